@@ -1,4 +1,4 @@
-import { FastifyInstance, FastifyReply } from 'fastify'
+import { FastifyInstance, FastifyReply, FastifyRequest } from 'fastify'
 import { MercuriusContext, MercuriusPlugin, MercuriusOptions, PreExecutionHookResponse } from 'mercurius'
 import { IncomingHttpHeaders, OutgoingHttpHeaders } from "http"
 
@@ -13,9 +13,164 @@ interface ServiceConfig {
   setSchema: (schema: string) => ServiceConfig;
 }
 
+interface QueryPlanCondition {
+  directive: 'skip' | 'include';
+  variable?: string;
+  value?: boolean;
+}
+
+/**
+ * A single operation sent to a service
+ */
+export interface QueryPlanFetchNode {
+  kind: 'Fetch';
+  service: string;
+  operation: 'query' | 'mutation' | 'subscription' | 'entities';
+  id: string;
+  /**
+   * The type of the entities, for `entities` operations
+   */
+  entityType?: string;
+  /**
+   * The field resolved by the fetch, for root operations and entity fields
+   */
+  field?: {
+    responseName: string;
+    fieldName: string;
+  };
+  skipIfPresent?: boolean;
+  nullOnEmptyList?: boolean;
+  conditions?: QueryPlanCondition[];
+  variableUsages: string[];
+  document: DocumentNode;
+  query: string;
+}
+
+/**
+ * Runs its fetch for every object found at `path`
+ */
+export interface QueryPlanFlattenNode {
+  kind: 'Flatten';
+  path: string[];
+  node: QueryPlanFetchNode;
+}
+
+export interface QueryPlanSequenceNode {
+  kind: 'Sequence';
+  nodes: QueryPlanNode[];
+}
+
+export interface QueryPlanParallelNode {
+  kind: 'Parallel';
+  nodes: QueryPlanNode[];
+}
+
+export type QueryPlanNode =
+  | QueryPlanFetchNode
+  | QueryPlanFlattenNode
+  | QueryPlanSequenceNode
+  | QueryPlanParallelNode;
+
+export interface QueryPlan {
+  kind: 'QueryPlan';
+  operation: 'query' | 'mutation' | 'subscription';
+  node: QueryPlanNode | null;
+}
+
+/**
+ * A request sent to a service, as described by `explain`
+ */
+export interface QueryPlanOperation {
+  id: string;
+  service: string;
+  operation: 'query' | 'mutation' | 'subscription' | 'entities';
+  path: string[];
+  entityType?: string;
+  query: string;
+  variables: Record<string, any>;
+  batched: boolean;
+  /**
+   * The ids of the operations that have to complete before this one is sent
+   */
+  dependsOn: string[];
+  /**
+   * The ids of the entities fetches of the same type merged into this request, when there are several
+   */
+  merged?: string[];
+}
+
+export interface QueryPlanExplanation {
+  operation: 'query' | 'mutation' | 'subscription';
+  operations: QueryPlanOperation[];
+}
+
+export interface SchemaChange {
+  kind: 'TYPE_ADDED' | 'TYPE_REMOVED' | 'TYPE_KIND_CHANGED' | 'FIELD_ADDED' | 'FIELD_REMOVED' | 'FIELD_TYPE_CHANGED' | 'FIELD_NULLABILITY_CHANGED';
+  type: string;
+  field?: string;
+  from?: string;
+  to?: string;
+  breaking: boolean;
+}
+
+/**
+ * The health of an upstream of a service, as checked by `healthCheck`
+ */
+export interface UpstreamHealth {
+  healthy: boolean;
+  /**
+   * The failures of the connections to the upstream since the last check
+   */
+  failures: number;
+  lastCheck: Date | null;
+  lastError: string | null;
+}
+
 interface Gateway {
-  refresh: (isRetry?: boolean) => Promise<GraphQLSchema | null>;
+  /**
+   * Refreshes the schemas of the services, or only of the given services, and rebuilds the gateway schema.
+   * Resolves `null` if the schemas did not change.
+   */
+  refresh: (isRetry?: boolean, serviceNames?: string[]) => Promise<GraphQLSchema | null>;
+  /**
+   * Restores the schema replaced by the last refresh, with its routing and the schemas of its services.
+   */
+  rollback: () => Promise<GraphQLSchema>;
+  /**
+   * Adds a service to the gateway and recomposes the gateway schema.
+   */
+  addService: (service: MercuriusGatewayService) => Promise<GraphQLSchema>;
+  /**
+   * Removes a service from the gateway and recomposes the gateway schema.
+   */
+  removeService: (name: string) => Promise<GraphQLSchema>;
+  /**
+   * Rebuilds a service with its options updated with `patch` and recomposes the gateway schema.
+   */
+  updateService: (name: string, patch: Partial<Omit<MercuriusGatewayService, 'name'>>) => Promise<GraphQLSchema>;
   serviceMap: Record<string, ServiceConfig>;
+  /**
+   * The changes of the schema on the last refresh.
+   */
+  schemaChanges: SchemaChange[];
+
+  /**
+   * Builds the query plan of an operation, without executing it.
+   */
+  getQueryPlan: (source: string | DocumentNode, operationName?: string) => QueryPlan;
+
+  /**
+   * Lists the requests sent to the services to execute an operation with the given variables, without executing it.
+   */
+  explain: (
+    source: string | DocumentNode,
+    options?: { variables?: Record<string, any>; operationName?: string }
+  ) => QueryPlanExplanation;
+
+  /**
+   * Returns the health of the upstreams of each service with health checks, by service name and origin.
+   */
+  getServiceHealth: () => Record<string, Record<string, UpstreamHealth>>;
 
   /**
    * `preGatewayExecution` is the hook to be executed in the GraphQL gateway request lifecycle.
@@ -38,6 +193,7 @@ interface Gateway {
    * This hook will only be triggered in gateway mode. It has the following parameters:
    *  - `instance` - The gateway server `FastifyInstance` (this contains the old schema).
    *  - `schema` - The new schema that has been built from the gateway refresh.
+   *  - `schemaChanges` - The changes between the old and the new schema.
    */
   addHook(name: 'onGatewayReplaceSchema', hook: onGatewayReplaceSchemaHookHandler): void;
 }
@@ -80,6 +236,7 @@ export interface Collectors {
   collectHeaders?: boolean;
   collectStatutsCodes?: boolean;
   collectExtensions?: boolean;
+  collectRetries?: boolean;
 }
 
 interface WsConnectionParams {
@@ -94,16 +251,104 @@ interface WsConnectionParams {
   rewriteConnectionInitPayload?: <TContext extends MercuriusContext = MercuriusContext>(payload: Record<string, any> | undefined, context: TContext) => Record<string, any>;
 }
 
+/**
+ * An url of a service, with the weight of the url in the load balancing
+ */
+export interface WeightedUrl {
+  url: string;
+  weight?: number;
+}
+
+/**
+ * An upstream of a service, as passed to a custom `loadBalancer`
+ */
+export interface Upstream {
+  url: string;
+  origin: string;
+  weight: number;
+  /**
+   * The number of requests in progress
+   */
+  outstanding: number;
+}
+
+export type LoadBalancer =
+  | 'round-robin'
+  | 'least-outstanding'
+  | {
+    hash: <TContext extends MercuriusContext = MercuriusContext>(
+      headers: IncomingHttpHeaders,
+      context: TContext
+    ) => string | undefined;
+  }
+  | (<TContext extends MercuriusContext = MercuriusContext>(
+    upstreams: Upstream[],
+    headers: IncomingHttpHeaders,
+    context: TContext
+  ) => Upstream | undefined);
+
 export interface MercuriusGatewayService {
   name: string;
-  url: string | string[];
+  url: string | Array<string | WeightedUrl>;
   schema?: string;
+  schemaFile?: string;
   wsUrl?: string;
   mandatory?: boolean;
+  revision?: string | number;
   agent?: Dispatcher;
   initHeaders?:
     | (() => OutgoingHttpHeaders | Promise<OutgoingHttpHeaders>)
     | OutgoingHttpHeaders;
+  /**
+   * A query sent before fetching the schema of the service, the schema is fetched only if its result changed.
+   */
+  schemaHashQuery?: string;
+  /**
+   * The amount of time in milliseconds between the refreshes of this service alone.
+   */
+  pollingInterval?: number;
+  /**
+   * Fails the requests to the service at once after `failureThreshold` consecutive failures, for `openDuration` milliseconds.
+   */
+  circuitBreaker?: boolean | {
+    failureThreshold?: number;
+    openDuration?: number;
+    halfOpenProbes?: number;
+  };
+  /**
+   * Picks the url of each request of a service with an `url` array.
+   */
+  loadBalancer?: LoadBalancer;
+  /**
+   * Sends a root query to another url of a service with an `url` array when its response is late.
+   */
+  hedging?: boolean | {
+    percentile?: number;
+    minDelay?: number;
+    window?: number;
+  };
+  /**
+   * Checks the health of the upstreams of a service with an `url` array and removes the unhealthy ones from the load balancing.
+   */
+  healthCheck?: boolean | {
+    interval?: number;
+    timeout?: number;
+    path?: string;
+    unhealthyThreshold?: number;
+    healthyThreshold?: number;
+    maxFailures?: number;
+  };
+  /**
+   * Sends the `query` and `_entities` requests to the service again when they fail with a transient error, never the mutations.
+   */
+  retry?: boolean | {
+    attempts?: number;
+    backoff?: number;
+    maxBackoff?: number;
+    jitter?: number;
+    statusCodes?: number[];
+    errorCodes?: string[];
+  };
   rewriteHeaders?: <TContext extends MercuriusContext = MercuriusContext>(
     headers: IncomingHttpHeaders,
     context: TContext
@@ -123,13 +368,36 @@ export interface MercuriusGatewayService {
   allowBatchedQueries?: boolean;
 }
 
-export interface MercuriusGatewayOptions {
-  gateway: {
+export type MercuriusGatewayServicesOptions =
+  | {
     services: Array<MercuriusGatewayService> | (() => Promise<Array<MercuriusGatewayService>>);
+    supergraph?: undefined;
+  }
+  | {
+    /**
+     * A supergraph document, or the path of a file containing it.
+     * The `services` add options to the services of the supergraph with the same name.
+     */
+    supergraph: string;
+    services?: Array<Partial<MercuriusGatewayService> & { name: string }>;
+  }
+
+export interface MercuriusGatewayOptions {
+  gateway: MercuriusGatewayServicesOptions & {
     pollingInterval?: number;
+    watch?: boolean | { debounce?: number };
+    snapshotDir?: string;
+    breakingChangePolicy?: 'allow' | 'reject' | 'reject-used';
+    fieldUsageWindow?: number;
+    refreshRoute?: {
+      path?: string;
+      auth: (request: FastifyRequest) => boolean | Promise<boolean>;
+    };
     errorHandler?(error: Error, service: MercuriusGatewayService): void;
     retryServicesCount?: number;
     retryServicesInterval?: number;
+    queryPlanner?: boolean;
+    explain?: boolean | { path?: string };
   };
 }
 
@@ -195,10 +463,12 @@ export interface preGatewaySubscriptionExecutionHookHandler<TContext = Mercurius
  * This hook will only be triggered in gateway mode. It has the following parameters:
  *  - `instance` - The gateway server `FastifyInstance` (this contains the old schema).
  *  - `schema` - The new schema that has been built from the gateway refresh.
+ *  - `schemaChanges` - The changes between the old and the new schema.
  */
 export interface onGatewayReplaceSchemaHookHandler {
   (
     instance: FastifyInstance,
-    schema: GraphQLSchema
+    schema: GraphQLSchema,
+    schemaChanges: SchemaChange[]
   ): Promise<void> | void;
 }
@@ -32,6 +32,20 @@ function collectExtensions (context, queryId, response, serviceName) {
   }
 }
 
+// the retries are collected when they happen, the request can still fail
+function collectRetry (context, retry, serviceName) {
+  if (!context.collectors) {
+    context.collectors = {}
+  }
+  if (!context.collectors.retries) {
+    context.collectors.retries = []
+  }
+  context.collectors.retries.push({
+    service: serviceName,
+    data: retry
+  })
+}
+
 function collect ({ collectors, context, queryId, response, serviceName }) {
   if (!context.collectors) {
     context.collectors = {}
@@ -51,5 +65,6 @@ function collect ({ collectors, context, queryId, response, serviceName }) {
 }
 
 module.exports = {
-  collect
+  collect,
+  collectRetry
 }
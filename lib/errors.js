@@ -100,14 +100,59 @@ const errors = {
     'MER_ERR_GQL_GATEWAY_REFRESH',
     'Refresh schema issues'
   ),
+  MER_ERR_GQL_GATEWAY_REFRESH_UNAUTHORIZED: createError(
+    'MER_ERR_GQL_GATEWAY_REFRESH_UNAUTHORIZED',
+    'Unauthorized schema refresh',
+    401
+  ),
+  MER_ERR_GQL_GATEWAY_UNKNOWN_SERVICE: createError(
+    'MER_ERR_GQL_GATEWAY_UNKNOWN_SERVICE',
+    'Unknown service "%s"',
+    404
+  ),
+  MER_ERR_GQL_GATEWAY_MANAGED_SERVICES: createError(
+    'MER_ERR_GQL_GATEWAY_MANAGED_SERVICES',
+    'The services are defined by the %s, they cannot be %s at runtime'
+  ),
   MER_ERR_GQL_GATEWAY_INIT: createError(
     'MER_ERR_GQL_GATEWAY_INIT',
     'Gateway schema init issues'
   ),
+  MER_ERR_GQL_GATEWAY_INVALID_COMPOSITION: createError(
+    'MER_ERR_GQL_GATEWAY_INVALID_COMPOSITION',
+    'Invalid composition of the services: %s'
+  ),
+  MER_ERR_GQL_GATEWAY_BREAKING_CHANGES: createError(
+    'MER_ERR_GQL_GATEWAY_BREAKING_CHANGES',
+    'The refreshed schema has breaking changes: %s'
+  ),
+  MER_ERR_GQL_GATEWAY_CIRCUIT_OPEN: createError(
+    'MER_ERR_GQL_GATEWAY_CIRCUIT_OPEN',
+    'The circuit of service "%s" is open',
+    503
+  ),
+  MER_ERR_GQL_GATEWAY_NO_UPSTREAM: createError(
+    'MER_ERR_GQL_GATEWAY_NO_UPSTREAM',
+    'No upstream available for service "%s"',
+    503
+  ),
+  MER_ERR_GQL_GATEWAY_ROLLBACK: createError(
+    'MER_ERR_GQL_GATEWAY_ROLLBACK',
+    'Cannot roll back the gateway schema: %s'
+  ),
+  MER_ERR_GQL_GATEWAY_INVALID_SUPERGRAPH: createError(
+    'MER_ERR_GQL_GATEWAY_INVALID_SUPERGRAPH',
+    'Invalid supergraph: %s'
+  ),
   MER_ERR_GQL_GATEWAY_MISSING_KEY_DIRECTIVE: createError(
     'MER_ERR_GQL_GATEWAY_MISSING_KEY_DIRECTIVE',
     'Missing @key directive in %s type'
   ),
+  MER_ERR_GQL_GATEWAY_QUERY_PLAN: createError(
+    'MER_ERR_GQL_GATEWAY_QUERY_PLAN',
+    'Unable to build the query plan: %s',
+    400
+  ),
   MER_ERR_GQL_GATEWAY_DUPLICATE_DIRECTIVE: createError(
     'MER_ERR_GQL_GATEWAY_DUPLICATE_DIRECTIVE',
     'Directive with a different definition but the same name "%s" already exists in the gateway schema'
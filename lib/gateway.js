@@ -1,10 +1,14 @@
 'use strict'
 
 const buildGateway = require('./gateway/build-gateway')
+const watchFiles = require('./gateway/watch-files')
+const { validateService } = require('./gateway/service-map')
 const {
   MER_ERR_INVALID_OPTS,
   MER_ERR_GQL_GATEWAY,
-  MER_ERR_GQL_GATEWAY_INIT
+  MER_ERR_GQL_GATEWAY_INIT,
+  MER_ERR_GQL_GATEWAY_REFRESH_UNAUTHORIZED,
+  MER_ERR_GQL_GATEWAY_UNKNOWN_SERVICE
 } = require('./errors')
 
 const {
@@ -18,37 +22,39 @@ const kGatewayHooks = Symbol('mercurius.gateway.hooks')
 function validateGateway (opts) {
   const gateway = opts
 
+  if (gateway.refreshRoute && typeof gateway.refreshRoute.auth !== 'function') {
+    throw new MER_ERR_INVALID_OPTS(
+      'gateway: "refreshRoute.auth" must be a Function'
+    )
+  }
+
+  if (gateway.supergraph !== undefined) {
+    if (typeof gateway.supergraph !== 'string') {
+      throw new MER_ERR_INVALID_OPTS(
+        'gateway: "supergraph" must be a String'
+      )
+    }
+    if (gateway.services !== undefined && !Array.isArray(gateway.services)) {
+      throw new MER_ERR_INVALID_OPTS(
+        'gateway: "services" must be an Array when "supergraph" is set'
+      )
+    }
+    // the names and the urls of the services are defined by the supergraph
+    return
+  }
+
   if (typeof gateway.services === 'function') return
 
   if (Array.isArray(gateway.services)) {
     const serviceNames = new Set()
     for (const service of gateway.services) {
-      if (typeof service !== 'object') {
-        throw new MER_ERR_INVALID_OPTS(
-          'gateway: all "services" must be objects'
-        )
-      }
-      if (typeof service.name !== 'string') {
-        throw new MER_ERR_INVALID_OPTS(
-          'gateway: all "services" must have a "name" String property'
-        )
-      }
-      if (serviceNames.has(service.name)) {
+      if (service !== null && typeof service === 'object' && serviceNames.has(service.name)) {
         throw new MER_ERR_INVALID_OPTS(
           `gateway: all "services" must have a unique "name": "${service.name}" is already used`
         )
       }
+      validateService(service)
       serviceNames.add(service.name)
-      if (
-        typeof service.url !== 'string' &&
-        (!Array.isArray(service.url) ||
-          service.url.length === 0 ||
-          !service.url.every(url => typeof url === 'string'))
-      ) {
-        throw new MER_ERR_INVALID_OPTS(
-          'gateway: all "services" must have an "url" String, or a non-empty Array of String, property'
-        )
-      }
     }
   } else {
     throw new MER_ERR_GQL_GATEWAY_INIT(
@@ -57,6 +63,19 @@ function validateGateway (opts) {
   }
 }
 
+// the supergraph file and the schema files of the services
+function getWatchedFiles (gateway) {
+  const files = Object.values(gateway.serviceMap)
+    .filter(service => service.schemaFile)
+    .map(service => service.schemaFile)
+
+  if (gateway.supergraphFile !== undefined) {
+    files.push(gateway.supergraphFile)
+  }
+
+  return files
+}
+
 async function createGateway (gatewayOpts, app) {
   validateGateway(gatewayOpts)
 
@@ -88,8 +107,24 @@ async function createGateway (gatewayOpts, app) {
 
     app.graphql.replaceSchema(gateway.schema)
 
+    // the schema replacements, i.e. the refreshes, the rollback and the changes of the services, run one after the other
+    let pendingReplacement = Promise.resolve()
+    // eslint-disable-next-line no-inner-declarations
+    function serializeReplacement (replace) {
+      const replacement = pendingReplacement.then(replace)
+      pendingReplacement = replacement.catch(() => {})
+      return replacement
+    }
+
+    const refreshGateway = gateway.refresh
+    gateway.refresh = function (...args) {
+      return serializeReplacement(() => refreshGateway.apply(gateway, args))
+    }
+
     let gatewayInterval
+    const gatewayServiceIntervals = new Map()
     let gatewayRetryIntervalTimer
+    let gatewayWatcher
 
     // eslint-disable-next-line
     function gatewayClose() {
@@ -99,20 +134,85 @@ async function createGateway (gatewayOpts, app) {
         gatewayInterval = null
       }
 
+      for (const { interval } of gatewayServiceIntervals.values()) {
+        clearInterval(interval)
+      }
+      gatewayServiceIntervals.clear()
+
       /* istanbul ignore next */
       if (gatewayRetryIntervalTimer) {
         clearInterval(gatewayRetryIntervalTimer)
         gatewayRetryIntervalTimer = null
       }
 
+      if (gatewayWatcher) {
+        gatewayWatcher.close()
+        gatewayWatcher = null
+      }
+
       return gateway.close()
     }
 
     app.decorate('graphqlGateway', gateway)
 
+    if (gatewayOpts.explain) {
+      const explainPath = (typeof gatewayOpts.explain === 'object' && gatewayOpts.explain.path) || '/graphql/explain'
+
+      app.post(explainPath, {
+        schema: {
+          body: {
+            type: 'object',
+            required: ['query'],
+            properties: {
+              query: { type: 'string' },
+              variables: { type: ['object', 'null'] },
+              operationName: { type: ['string', 'null'] }
+            }
+          }
+        }
+      }, async function (request) {
+        const { query, variables, operationName } = request.body
+
+        return gateway.explain(query, {
+          variables: variables || {},
+          operationName
+        })
+      })
+    }
+
+    if (gatewayOpts.refreshRoute) {
+      const { path = '/_gateway/refresh', auth } = gatewayOpts.refreshRoute
+
+      app.post(path, {
+        schema: {
+          querystring: {
+            type: 'object',
+            properties: {
+              service: { type: 'string' }
+            }
+          }
+        },
+        async onRequest (request) {
+          if (!(await auth(request))) {
+            throw new MER_ERR_GQL_GATEWAY_REFRESH_UNAUTHORIZED()
+          }
+        }
+      }, async function (request) {
+        const { service } = request.query
+
+        if (service !== undefined && !gateway.serviceMap[service]) {
+          throw new MER_ERR_GQL_GATEWAY_UNKNOWN_SERVICE(service)
+        }
+
+        const replaced = await refreshSchema(service === undefined ? undefined : [service])
+
+        return { replaced }
+      })
+    }
+
     const fastifyGraphQl = app.graphql
     const failedMandatoryServices = Object.values(gateway.serviceMap).filter(
-      service => !!service.error && service.mandatory
+      service => (!!service.error || service.fromSnapshot) && service.mandatory
     )
     if (failedMandatoryServices.length) {
       gatewayRetryIntervalTimer = retryServices(retryInterval)
@@ -141,26 +241,7 @@ async function createGateway (gatewayOpts, app) {
       if (typeof gatewayOpts.pollingInterval === 'number') {
         gatewayInterval = setInterval(async () => {
           try {
-            const context = assignApplicationLifecycleHooksToContext(
-              {},
-              gateway[kGatewayHooks]
-            )
-            const schema = await gateway.refresh()
-            if (schema !== null) {
-              // Trigger onGatewayReplaceSchema hook
-              if (context.onGatewayReplaceSchema !== null) {
-                await onGatewayReplaceSchemaHandler(context, {
-                  instance: app,
-                  schema
-                })
-              }
-
-              /* istanbul ignore else */
-              if (lruGatewayResolvers) {
-                lruGatewayResolvers.clear()
-              }
-              fastifyGraphQl.replaceSchema(schema)
-            }
+            await refreshSchema()
           } catch (error) {
             app.log.error(error)
           }
@@ -172,6 +253,115 @@ async function createGateway (gatewayOpts, app) {
       }
     }
 
+    scheduleServicePolling()
+
+    if (gatewayOpts.watch) {
+      const watchedFiles = getWatchedFiles(gateway)
+      if (watchedFiles.length > 0) {
+        const debounce = (typeof gatewayOpts.watch === 'object' && gatewayOpts.watch.debounce) || 100
+        gatewayWatcher = watchFiles(watchedFiles, debounce, async () => {
+          try {
+            await refreshSchema()
+          } catch (error) {
+            app.log.error(error)
+          }
+        }, error => app.log.error(error))
+      } else {
+        app.log.warn(
+          "'gateway.watch' is set but neither 'gateway.supergraph' nor 'service.schemaFile' is a file to watch"
+        )
+      }
+    }
+
+    // the services with their own polling interval are refreshed alone, the other services are not fetched.
+    // The intervals follow the services added, removed or replaced since the last call.
+    // eslint-disable-next-line no-inner-declarations
+    function scheduleServicePolling () {
+      for (const [name, { service, interval }] of gatewayServiceIntervals) {
+        if (gateway.serviceMap[name] !== service) {
+          clearInterval(interval)
+          gatewayServiceIntervals.delete(name)
+        }
+      }
+
+      for (const [name, service] of Object.entries(gateway.serviceMap)) {
+        if (gatewayServiceIntervals.has(name) || service.pollingInterval === undefined) {
+          continue
+        }
+        if (typeof service.pollingInterval !== 'number') {
+          app.log.warn(
+            `Expected a number for 'pollingInterval' of service "${name}", received: ${typeof service.pollingInterval}`
+          )
+          gatewayServiceIntervals.set(name, { service, interval: null })
+          continue
+        }
+
+        const interval = setInterval(async () => {
+          // the service may be removed while the gateway schema is replaced
+          if (gateway.serviceMap[name] !== service) {
+            return
+          }
+          try {
+            await refreshSchema([name])
+          } catch (error) {
+            app.log.error(error)
+          }
+        }, service.pollingInterval)
+        gatewayServiceIntervals.set(name, { service, interval })
+      }
+    }
+
+    // eslint-disable-next-line no-inner-declarations
+    function refreshSchema (serviceNames) {
+      return serializeReplacement(async () => {
+        const schema = await refreshGateway.call(gateway, false, serviceNames)
+        if (schema === null) {
+          return false
+        }
+
+        await replaceSchema(schema)
+
+        return true
+      })
+    }
+
+    // the methods replacing the gateway schema trigger the onGatewayReplaceSchema hook
+    for (const method of ['rollback', 'addService', 'removeService', 'updateService']) {
+      const replaceGatewaySchema = gateway[method]
+      gateway[method] = function (...args) {
+        return serializeReplacement(async () => {
+          const schema = await replaceGatewaySchema.apply(gateway, args)
+          await replaceSchema(schema)
+
+          return schema
+        })
+      }
+    }
+
+    // eslint-disable-next-line no-inner-declarations
+    async function replaceSchema (schema) {
+      const context = assignApplicationLifecycleHooksToContext(
+        {},
+        gateway[kGatewayHooks]
+      )
+
+      // Trigger onGatewayReplaceSchema hook
+      if (context.onGatewayReplaceSchema !== null) {
+        await onGatewayReplaceSchemaHandler(context, {
+          instance: app,
+          schema,
+          schemaChanges: gateway.schemaChanges
+        })
+      }
+
+      /* istanbul ignore else */
+      if (lruGatewayResolvers) {
+        lruGatewayResolvers.clear()
+      }
+      fastifyGraphQl.replaceSchema(schema)
+      scheduleServicePolling()
+    }
+
     app.onClose((fastify, next) => {
       gatewayClose().then(() => setImmediate(next))
     })
@@ -198,26 +388,31 @@ async function createGateway (gatewayOpts, app) {
             gateway[kGatewayHooks]
           )
 
-          const schema = await gateway.refresh(isRetry)
-          /* istanbul ignore next */
-          if (schema !== null) {
+          await serializeReplacement(async () => {
+            const schema = await refreshGateway.call(gateway, isRetry)
+            // the services are fetched, a service started from its snapshot may have the same schema
             if (gatewayRetryIntervalTimer) {
               clearInterval(gatewayRetryIntervalTimer)
               gatewayRetryIntervalTimer = null
             }
-            // Trigger onGatewayReplaceSchema hook
-            if (context.onGatewayReplaceSchema !== null) {
-              await onGatewayReplaceSchemaHandler(context, {
-                instance: app,
-                schema
-              })
-            }
-            /* istanbul ignore else */
-            if (lruGatewayResolvers) {
-              lruGatewayResolvers.clear()
+            /* istanbul ignore next */
+            if (schema !== null) {
+              // Trigger onGatewayReplaceSchema hook
+              if (context.onGatewayReplaceSchema !== null) {
+                await onGatewayReplaceSchemaHandler(context, {
+                  instance: app,
+                  schema,
+                  schemaChanges: gateway.schemaChanges
+                })
+              }
+              /* istanbul ignore else */
+              if (lruGatewayResolvers) {
+                lruGatewayResolvers.clear()
+              }
+              fastifyGraphQl.replaceSchema(schema)
+              scheduleServicePolling()
             }
-            fastifyGraphQl.replaceSchema(schema)
-          }
+          })
         } catch (error) {
           app.log.error(error)
         }
@@ -1,23 +1,56 @@
 'use strict'
 
-const { getNamedType, isObjectType, isScalarType, Kind } = require('graphql')
+const {
+  getNamedType,
+  getOperationAST,
+  isInterfaceType,
+  isObjectType,
+  isScalarType,
+  isTypeExtensionNode,
+  parse,
+  validate,
+  Kind
+} = require('graphql')
 const { Factory } = require('single-user-cache')
 const { buildFederationSchema } = require('@mercuriusjs/federation')
-const buildServiceMap = require('./service-map')
+const { buildServiceMap, isSameServiceOptions, parseServiceSchema, validateService } = require('./service-map')
 const {
   makeResolver,
+  makeInterfaceResolver,
   createQueryOperation,
   createFieldResolverOperation,
   createEntityReferenceResolverOperation,
+  getDirectiveSelection,
+  getKeySelections,
   kEntityResolvers
 } = require('./make-resolver')
 const {
   MER_ERR_GQL_GATEWAY_REFRESH,
   MER_ERR_GQL_GATEWAY_INIT,
+  MER_ERR_GQL_GATEWAY_INVALID_COMPOSITION,
+  MER_ERR_GQL_GATEWAY_BREAKING_CHANGES,
+  MER_ERR_GQL_GATEWAY_MANAGED_SERVICES,
+  MER_ERR_GQL_GATEWAY_ROLLBACK,
+  MER_ERR_GQL_GATEWAY_UNKNOWN_SERVICE,
+  MER_ERR_INVALID_OPTS,
+  MER_ERR_GQL_GATEWAY_QUERY_PLAN,
   MER_ERR_SERVICE_RETRY_FAILED
 } = require('../errors')
+const { hasExtensionDirective } = require('../util')
 const findValueTypes = require('./find-value-types')
-const getQueryResult = require('./get-query-result')
+const composeFederationV2Schemas = require('./federation-v2')
+const validateComposition = require('./validate-composition')
+const createSchemaSnapshot = require('./schema-snapshot')
+const { diffSchemas, createFieldUsage } = require('./schema-diff')
+const {
+  loadSupergraph,
+  mergeSupergraphServices,
+  refreshSupergraphServices
+} = require('./supergraph')
+const { getQueryResult } = require('./get-query-result')
+const { buildQueryPlan } = require('./query-plan')
+const explainQueryPlan = require('./explain-query-plan')
+const { defineQueryPlanResolvers } = require('./execute-query-plan')
 
 function isDefaultType (type) {
   return [
@@ -126,6 +159,9 @@ function defineResolvers (
   lruGatewayResolvers
 ) {
   const types = schema.getTypeMap()
+  // Records how each field is resolved, keyed as `${type}-${fieldName}`.
+  // Fields resolved from their parent are not recorded.
+  const fieldRoutes = {}
 
   for (const type of Object.values(types)) {
     if (isObjectType(type) && !isDefaultType(type.name)) {
@@ -144,6 +180,27 @@ function defineResolvers (
           const serviceForFieldType = typeToServiceMap[fieldType]
           /* istanbul ignore else */
           if (
+            isInterfaceType(fieldType) &&
+            !getKeySelections(fieldType).length &&
+            serviceForType &&
+            serviceMap[serviceForType].typeMap[type.name].has(fieldName)
+          ) {
+            /**
+             * The implementations of an interface can be entities owned by different services.
+             * The field is resolved from the parent and the objects whose type is owned by another service
+             * are fetched from their service, as for the queries returning a union or an interface.
+             */
+            fieldRoutes[`${type}-${fieldName}`] = {
+              kind: 'interface',
+              service: serviceForType
+            }
+            field.resolve = makeInterfaceResolver({
+              service: serviceMap[serviceForType],
+              typeToServiceMap,
+              serviceMap,
+              entityResolversFactory
+            })
+          } else if (
             (serviceForFieldType === null && serviceForType !== null) ||
             (serviceForFieldType !== null &&
               serviceForType !== null &&
@@ -196,6 +253,16 @@ function defineResolvers (
                   ? field.astNode.type.type.kind
                   : field.astNode.type.kind
 
+                const provides = getDirectiveSelection(field, 'provides')
+
+                fieldRoutes[`${type}-${fieldName}`] = {
+                  kind: 'reference',
+                  service: service.name,
+                  isList: leafKind === Kind.LIST_TYPE,
+                  isNonNull,
+                  provides
+                }
+
                 if (leafKind === Kind.LIST_TYPE) {
                   field.resolve = makeResolver({
                     service,
@@ -207,6 +274,7 @@ function defineResolvers (
                           ? []
                           : null,
                     isReference: true,
+                    provides,
                     entityResolversFactory,
                     lruGatewayResolvers
                   })
@@ -216,12 +284,17 @@ function defineResolvers (
                     createOperation: createEntityReferenceResolverOperation,
                     transformData: response => response.json.data._entities[0],
                     isReference: true,
+                    provides,
                     entityResolversFactory,
                     lruGatewayResolvers
                   })
                 }
               }
             } else if (type.name === 'Subscription') {
+              fieldRoutes[`${type}-${fieldName}`] = {
+                kind: 'subscription',
+                service: service.name
+              }
               field.subscribe = makeResolver({
                 service,
                 createOperation: createQueryOperation,
@@ -231,6 +304,11 @@ function defineResolvers (
                 lruGatewayResolvers
               })
             } else {
+              fieldRoutes[`${type}-${fieldName}`] = {
+                kind: 'query',
+                service: service.name,
+                resolveAcrossServices: true
+              }
               field.resolve = makeResolver({
                 service,
                 createOperation: createQueryOperation,
@@ -259,6 +337,17 @@ function defineResolvers (
                 ? field.astNode.type.type.kind
                 : field.astNode.type.kind
 
+              // the fields provided by the service of the type are not fetched from the service of the entity
+              const provides = getDirectiveSelection(field, 'provides')
+
+              fieldRoutes[`${type}-${fieldName}`] = {
+                kind: 'reference',
+                service: serviceForFieldType,
+                isList: leafKind === Kind.LIST_TYPE,
+                isNonNull,
+                provides
+              }
+
               if (leafKind === Kind.LIST_TYPE) {
                 field.resolve = makeResolver({
                   service: serviceMap[serviceForFieldType],
@@ -270,6 +359,7 @@ function defineResolvers (
                         ? []
                         : null,
                   isReference: true,
+                  provides,
                   entityResolversFactory,
                   lruGatewayResolvers
                 })
@@ -279,16 +369,22 @@ function defineResolvers (
                   createOperation: createEntityReferenceResolverOperation,
                   transformData: response => response.json.data._entities[0],
                   isReference: true,
+                  provides,
                   entityResolversFactory,
                   lruGatewayResolvers
                 })
               }
             } else {
+              fieldRoutes[`${type}-${fieldName}`] = {
+                kind: 'field',
+                service: serviceForFieldType,
+                skipIfPresent: true
+              }
               field.resolve = makeResolver({
                 service: serviceMap[serviceForFieldType],
                 createOperation: createFieldResolverOperation,
-                // TODO this should be refactored to have a dataloader for a given entity
-                // that merges all different fields for a given entity.
+                // the entities queries for the different fields of a type are merged
+                // by the entity loader of the service
                 transformData: response =>
                   response.json.data._entities[0][fieldName],
                 entityResolversFactory,
@@ -302,6 +398,10 @@ function defineResolvers (
             serviceMap[typeFieldsToService[`${type}-${fieldName}`]]
           if (serviceForType === null) {
             if (type.name === 'Subscription') {
+              fieldRoutes[`${type}-${fieldName}`] = {
+                kind: 'subscription',
+                service: service.name
+              }
               field.subscribe = makeResolver({
                 service,
                 createOperation: createQueryOperation,
@@ -311,6 +411,11 @@ function defineResolvers (
                 lruGatewayResolvers
               })
             } else {
+              fieldRoutes[`${type}-${fieldName}`] = {
+                kind: 'query',
+                service: service.name,
+                resolveAcrossServices: false
+              }
               field.resolve = makeResolver({
                 service,
                 createOperation: createQueryOperation,
@@ -321,10 +426,15 @@ function defineResolvers (
               })
             }
           } else {
+            fieldRoutes[`${type}-${fieldName}`] = {
+              kind: 'field',
+              service: service.name,
+              skipIfPresent: false
+            }
             field.resolve = makeResolver({
               service,
-              // TODO this should be refactored to have a dataloader for a given entity
-              // that merges all different fields for a given entity.
+              // the entities queries for the different fields of a type are merged
+              // by the entity loader of the service
               createOperation: createFieldResolverOperation,
               transformData: response =>
                 response.json.data._entities[0][fieldName],
@@ -346,6 +456,116 @@ function defineResolvers (
       }
     }
   }
+
+  return fieldRoutes
+}
+
+function parseOperation (schema, source, operationName) {
+  let document
+  try {
+    document = typeof source === 'string' ? parse(source) : source
+  } catch (err) {
+    const planErr = new MER_ERR_GQL_GATEWAY_QUERY_PLAN(err.message)
+    planErr.errors = [err]
+    throw planErr
+  }
+
+  const errors = validate(schema, document)
+  if (errors.length > 0) {
+    const err = new MER_ERR_GQL_GATEWAY_QUERY_PLAN(errors[0].message)
+    err.errors = errors
+    throw err
+  }
+
+  const operation = getOperationAST(document, operationName)
+  if (!operation) {
+    throw new MER_ERR_GQL_GATEWAY_QUERY_PLAN(
+      operationName ? `Unknown operation named "${operationName}"` : 'Must provide operation name if query contains multiple operations'
+    )
+  }
+
+  const fragments = {}
+  for (const definition of document.definitions) {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      fragments[definition.name.value] = definition
+    }
+  }
+
+  return { operation, fragments }
+}
+
+/**
+ * Returns the schema definitions used to build the gateway schema.
+ * The schema definitions of the Federation 2 services are rewritten in the Federation 1 form
+ * and the type maps of these services are updated accordingly.
+ */
+function composeServiceSchemas (services) {
+  const composedServices = composeFederationV2Schemas(services)
+
+  for (const [index, service] of services.entries()) {
+    const { schemaDefinition, interfaceObjects } = composedServices[index]
+    if (schemaDefinition !== service.schemaDefinition) {
+      Object.assign(service, parseServiceSchema(schemaDefinition))
+    }
+    service.interfaceObjects = interfaceObjects
+  }
+
+  return composedServices.map(({ schemaDefinition }) => schemaDefinition)
+}
+
+/**
+ * Refuses the schema definitions of the services if they conflict.
+ * Each conflict is reported in the `errors` property of the error, with the service, the type and the field.
+ */
+function validateServiceSchemas (services, schemaDefinitions) {
+  const conflicts = validateComposition(services.map((service, index) => ({
+    name: service.name,
+    schemaDefinition: schemaDefinitions[index]
+  })))
+
+  if (conflicts.length > 0) {
+    const err = new MER_ERR_GQL_GATEWAY_INVALID_COMPOSITION(conflicts.map(({ message }) => message).join(', '))
+    err.errors = conflicts
+    throw err
+  }
+}
+
+/**
+ * Builds the gateway schema from the schema definitions of the services.
+ * The services extending a type declare the interfaces it implements in their own schema,
+ * an interface is kept once for each type.
+ */
+function buildGatewaySchema (schemaDefinitions) {
+  const document = parse(schemaDefinitions.join(' '))
+  const implementedInterfaces = new Map()
+  const addInterfaces = (definition, interfaces) => {
+    const names = implementedInterfaces.get(definition.name.value) || new Set()
+    for (const node of interfaces) {
+      names.add(node.name.value)
+    }
+    implementedInterfaces.set(definition.name.value, names)
+  }
+
+  const extensions = []
+  for (const definition of document.definitions) {
+    if (!definition.interfaces || definition.interfaces.length === 0) {
+      continue
+    }
+    if (isTypeExtensionNode(definition) || hasExtensionDirective(definition)) {
+      extensions.push(definition)
+    } else {
+      addInterfaces(definition, definition.interfaces)
+    }
+  }
+
+  for (const definition of extensions) {
+    const names = implementedInterfaces.get(definition.name.value) || new Set()
+    const interfaces = definition.interfaces.filter(node => !names.has(node.name.value))
+    addInterfaces(definition, interfaces)
+    definition.interfaces = interfaces
+  }
+
+  return buildFederationSchema(document, { isGateway: true })
 }
 
 function defaultErrorHandler (error, service) {
@@ -354,115 +574,184 @@ function defaultErrorHandler (error, service) {
   }
 }
 
+/**
+ * Builds the routing tables from the services: the service owning each type,
+ * `null` for the root and the value types, and the service extending each `${type}-${field}`.
+ * The tables are new objects, the tables of the current schema are left untouched.
+ */
+function buildRoutingTables (serviceMap) {
+  const typeToServiceMap = {}
+  const typeFieldsToService = {}
+  const allTypes = []
+
+  for (const [service, serviceDefinition] of Object.entries(serviceMap)) {
+    for (const type of serviceDefinition.types) {
+      allTypes.push(serviceDefinition.schema.getTypeMap()[type])
+      typeToServiceMap[type] = service
+    }
+
+    for (const [type, fields] of Object.entries(
+      serviceDefinition.extensionTypeMap
+    )) {
+      for (const field of fields) {
+        typeFieldsToService[`${type}-${field}`] = service
+      }
+    }
+  }
+
+  typeToServiceMap.Query = null
+  typeToServiceMap.Mutation = null
+  typeToServiceMap.Subscription = null
+
+  const valueTypes = findValueTypes(allTypes)
+  for (const typeName of valueTypes) {
+    typeToServiceMap[typeName] = null
+  }
+
+  return { typeToServiceMap, typeFieldsToService }
+}
+
+function describeOwner (service) {
+  return service === null ? 'no service' : `service "${service}"`
+}
+
+/**
+ * Lists the types and the extension fields routed to another service, or not routed anymore,
+ * by the new routing tables.
+ */
+function listRoutingMoves (oldRouting, newRouting) {
+  const moves = []
+
+  for (const [type, oldService] of Object.entries(oldRouting.typeToServiceMap)) {
+    const newService = newRouting.typeToServiceMap[type]
+    if (newService === undefined) {
+      moves.push(`Type "${type}" is not routed to ${describeOwner(oldService)} anymore`)
+    } else if (newService !== oldService) {
+      moves.push(`Type "${type}" moved from ${describeOwner(oldService)} to ${describeOwner(newService)}`)
+    }
+  }
+
+  for (const [typeField, oldService] of Object.entries(oldRouting.typeFieldsToService)) {
+    const field = typeField.replace('-', '.')
+    const newService = newRouting.typeFieldsToService[typeField]
+    if (newService === undefined) {
+      moves.push(`Field "${field}" is not routed to ${describeOwner(oldService)} anymore`)
+    } else if (newService !== oldService) {
+      moves.push(`Field "${field}" moved from ${describeOwner(oldService)} to ${describeOwner(newService)}`)
+    }
+  }
+
+  return moves
+}
+
+// closes a service removed from the gateway, with its subscription client, once its pending requests are completed
+function drainService (service) {
+  if (service.client) {
+    service.client.close()
+  }
+  service.drain().catch(() => {})
+}
+
+// the resolvers read the schema of the services at query time,
+// it is saved with each gateway schema to be restored with it
+function saveServiceSchemas (serviceMap) {
+  return Object.values(serviceMap).map(service => ({
+    service,
+    schema: service.schema,
+    schemaDefinition: service.schemaDefinition,
+    typeMap: service.typeMap,
+    types: service.types,
+    extensionTypeMap: service.extensionTypeMap,
+    interfaceObjects: service.interfaceObjects,
+    schemaETag: service.schemaETag,
+    schemaHash: service.schemaHash
+  }))
+}
+
+function restoreServiceSchemas (serviceSchemas) {
+  for (const { service, ...serviceSchema } of serviceSchemas) {
+    Object.assign(service, serviceSchema)
+  }
+}
+
 async function buildGateway (serviceMap, gatewayOpts, app, lruGatewayResolvers) {
-  const { services, errorHandler = defaultErrorHandler } = gatewayOpts
+  const { services, supergraph, snapshotDir, errorHandler = defaultErrorHandler } = gatewayOpts
+  const snapshot = snapshotDir ? createSchemaSnapshot(snapshotDir) : null
+  // the supergraph file is read again on refresh, a supergraph document does not change
+  let supergraphFile
+
+  // the snapshot is only a fallback, failing to write it does not fail the gateway
+  async function writeSnapshot (serviceConfigs) {
+    if (!snapshot) {
+      return
+    }
+    try {
+      await snapshot.write(serviceConfigs)
+    } catch (err) {
+      app.log.warn(`Writing the schema snapshot failed with message: "${err.message}"`)
+    }
+  }
 
-  if (typeof services === 'function') {
-    await buildServiceMap(serviceMap, await services(), errorHandler, app.log)
+  if (supergraph !== undefined) {
+    const { services: loadedServices, file } = await loadSupergraph(supergraph)
+    if (file) {
+      supergraphFile = supergraph
+    }
+    const supergraphServices = mergeSupergraphServices(loadedServices, services)
+    await buildServiceMap(serviceMap, supergraphServices, errorHandler, app.log, snapshot)
+  } else if (typeof services === 'function') {
+    await buildServiceMap(serviceMap, await services(), errorHandler, app.log, snapshot)
   } else {
-    await buildServiceMap(serviceMap, services, errorHandler, app.log)
+    await buildServiceMap(serviceMap, services, errorHandler, app.log, snapshot)
   }
 
-  const serviceSDLs = Object.entries(serviceMap).reduce(
+  const initializedServices = Object.entries(serviceMap).reduce(
     (acc, [name, value]) => {
-      const { schemaDefinition, error } = value
+      const { error } = value
 
       error !== null
         ? app.log.warn(
           `Initializing service "${name}" failed with message: "${error.message}"`
         )
-        : acc.push(schemaDefinition)
+        : acc.push(value)
 
       return acc
     },
     []
   )
 
-  if (serviceSDLs.length < 1) {
+  if (initializedServices.length < 1) {
     for (const service of Object.values(serviceMap)) {
       await service.close()
     }
     throw new MER_ERR_GQL_GATEWAY_INIT('No valid service SDLs were provided')
   }
 
-  const schema = buildFederationSchema(serviceSDLs.join(' '), {
-    isGateway: true
-  })
+  const serviceSDLs = initializedServices.map(service => service.schemaDefinition)
+  const schemaDefinitions = composeServiceSchemas(initializedServices)
+  try {
+    validateServiceSchemas(initializedServices, schemaDefinitions)
+  } catch (err) {
+    for (const service of Object.values(serviceMap)) {
+      await service.close()
+    }
+    throw err
+  }
+  const schema = buildGatewaySchema(schemaDefinitions)
 
-  const typeToServiceMap = {}
-  const typeFieldsToService = {}
-  let allTypes = []
   const factory = new Factory()
   app.decorateReply(kEntityResolvers)
   app.addHook('onRequest', async function (req, reply) {
     reply[kEntityResolvers] = factory.create()
   })
 
-  for (const [service, serviceDefinition] of Object.entries(serviceMap)) {
-    for (const type of serviceDefinition.types) {
-      allTypes.push(serviceDefinition.schema.getTypeMap()[type])
-      typeToServiceMap[type] = service
-    }
-
-    for (const [type, fields] of Object.entries(
-      serviceDefinition.extensionTypeMap
-    )) {
-      for (const field of fields) {
-        typeFieldsToService[`${type}-${field}`] = service
-      }
-    }
-
+  function addEntityLoader (service, serviceDefinition) {
     /**
-     * TODO: further optimization is possible by merging queries to the same service
-     * when the entities query is for the same type with the same representation values
-     * but for different fields
-     *
-     * This example currently sends 2 requests:
-     * [{
-     *   query: `query EntitiesQuery($representations: [_Any!]!) {
-     *     _entities(representations: $representations) {
-     *        __typename
-     *        ... on Product {
-     *          inStock
-     *        }
-     *     }
-     *   }`,
-     *   variables: {
-     *     representations: [{ __typename: "Product", upc: "1"}, {__typename:"Product", upc:"2"}]
-     *   }
-     * }, {
-     *   query: `query EntitiesQuery($representations: [_Any!]!) {
-     *     _entities(representations: $representations) {
-     *        __typename
-     *        ... on Product {
-     *          inStock
-     *        }
-     *     }
-     *   }`,
-     *   variables: {
-     *     representations: [{ __typename: "Product", upc: "1"}, {__typename:"Product", upc:"2"}]
-     *   }
-     * }]
-     *
-     * but queries should be merged into one and only one service request should be made
-     *
-     * {
-     *   query: `query EntitiesQuery($representations: [_Any!]!) {
-     *     _entities(representations: $representations) {
-     *        __typename
-     *        ... on Product {
-     *          inStock
-     *          shippingEstimate
-     *        }
-     *     }
-     *   }`,
-     *   variables: {
-     *     representations: [{ __typename: "Product", upc: "1"}, {__typename:"Product", upc:"2"}]
-     *   }
-     * }
-     *
-     * However returning the correct response for the two orignal query is not trival hence it remains a future todo
-     *
+     * The entities queries sent to the same service in the same tick are collected here:
+     * - the queries with the same query string are merged by concatenating their representations
+     * - the queries for the same type are merged into one query selecting all their fields
+     *   for all their representations
+     * and the results are split back to each original query.
      */
     factory.add(
       `${service}Entity`,
@@ -474,7 +763,9 @@ async function buildGateway (serviceMap, gatewayOpts, app, lruGatewayResolvers)
           context,
           queries,
           serviceDefinition,
-          service
+          service,
+          // the schema is replaced when the gateway is refreshed
+          schema: gateway.schema
         })
 
         return result
@@ -483,23 +774,288 @@ async function buildGateway (serviceMap, gatewayOpts, app, lruGatewayResolvers)
     )
   }
 
-  typeToServiceMap.Query = null
-  typeToServiceMap.Mutation = null
-  typeToServiceMap.Subscription = null
+  for (const [service, serviceDefinition] of Object.entries(serviceMap)) {
+    addEntityLoader(service, serviceDefinition)
+  }
 
-  const valueTypes = findValueTypes(allTypes)
-  for (const typeName of valueTypes) {
-    typeToServiceMap[typeName] = null
+  /**
+   * Defines the resolvers of a new gateway schema with new routing tables.
+   * The resolvers of each schema keep the routing tables they were defined with,
+   * a schema and its routing are replaced together.
+   */
+  function defineRouting (schema) {
+    const { typeToServiceMap, typeFieldsToService } = buildRoutingTables(serviceMap)
+
+    const fieldRoutes = defineResolvers(
+      schema,
+      typeToServiceMap,
+      serviceMap,
+      typeFieldsToService,
+      factory,
+      lruGatewayResolvers
+    )
+
+    if (gatewayOpts.queryPlanner) {
+      defineQueryPlanResolvers(schema, {
+        fieldRoutes,
+        serviceMap,
+        typeToServiceMap,
+        entityResolversFactory: factory,
+        lruGatewayResolvers
+      })
+    }
+
+    return { typeToServiceMap, typeFieldsToService, fieldRoutes }
   }
 
-  defineResolvers(
-    schema,
-    typeToServiceMap,
-    serviceMap,
-    typeFieldsToService,
-    factory,
-    lruGatewayResolvers
-  )
+  // the routing of the gateway schema and the schemas of its services
+  let current = {
+    routing: defineRouting(schema),
+    serviceSchemas: saveServiceSchemas(serviceMap)
+  }
+  // the gateway schema replaced by the last refresh, restored by `rollback`
+  let previous = null
+
+  await writeSnapshot(initializedServices)
+
+  const { breakingChangePolicy = 'allow', fieldUsageWindow = 60 * 60 * 1000 } = gatewayOpts
+  const fieldUsage = breakingChangePolicy === 'reject-used' ? createFieldUsage(fieldUsageWindow) : null
+  if (fieldUsage) {
+    app.graphql.addHook('preExecution', async (schema, document) => {
+      fieldUsage.record(schema, document)
+    })
+  }
+
+  /**
+   * Refuses the breaking changes of a refreshed schema according to the `breakingChangePolicy`:
+   * all of them with `reject`, the ones of the fields in use with `reject-used`.
+   */
+  function validateSchemaChanges (schemaChanges) {
+    if (breakingChangePolicy === 'allow') {
+      return
+    }
+
+    const refusedChanges = schemaChanges.filter(change =>
+      change.breaking && (!fieldUsage || fieldUsage.isUsed(change.type, change.field))
+    )
+    if (refusedChanges.length > 0) {
+      const err = new MER_ERR_GQL_GATEWAY_BREAKING_CHANGES(refusedChanges.map(({ kind, type, field }) =>
+        `${kind} ${field ? `${type}.${field}` : type}`
+      ).join(', '))
+      err.changes = refusedChanges
+      throw err
+    }
+  }
+
+  /**
+   * Refreshes the schemas of the services and builds the refreshed gateway schema with its routing,
+   * without replacing the current ones. Returns `null` if the schemas of the services did not change,
+   * unless `force` is set because a service was replaced.
+   */
+  async function refreshServiceSchemas (isRetry, serviceNames, force) {
+    const failedMandatoryServices = []
+
+    if (supergraphFile !== undefined && !serviceNames) {
+      await refreshSupergraphServices(serviceMap, supergraphFile)
+    }
+
+    const refreshedServices = serviceNames
+      ? serviceNames.map(name => serviceMap[name])
+      : Object.values(serviceMap)
+
+    const $refreshResult = await Promise.allSettled(
+      refreshedServices.map(service =>
+        service.refresh().catch(err => {
+          // If non-mandatory service or if retry count has exceeded for mandatory service then throw
+          if (!service.mandatory || !isRetry) {
+            errorHandler(err, service)
+          }
+
+          // If service is mandatory and retry count has not exceeded then add to service to
+          // failedMandatoryServices so it can be returned for retrying
+          if (service.mandatory) {
+            failedMandatoryServices.push(service)
+          }
+        })
+      )
+    )
+
+    if (failedMandatoryServices.length > 0) {
+      const serviceNames = failedMandatoryServices.map(
+        service => service.name
+      )
+      const err = new MER_ERR_SERVICE_RETRY_FAILED(serviceNames.join(', '))
+      err.failedServices = serviceNames
+      throw err
+    }
+
+    const rejectedResults = $refreshResult
+      .filter(({ status }) => status === 'rejected')
+      .map(({ reason }) => reason)
+
+    if (rejectedResults.length) {
+      const err = new MER_ERR_GQL_GATEWAY_REFRESH()
+      err.errors = rejectedResults
+      throw err
+    }
+
+    return composeGatewaySchema(force)
+  }
+
+  /**
+   * Builds the gateway schema of the services with its routing, without replacing the current ones.
+   * Returns `null` if the schemas of the services did not change, unless `force` is set
+   * because a service was replaced.
+   */
+  function composeGatewaySchema (force) {
+    const _serviceSDLs = Object.values(serviceMap)
+      .map(service => service.schemaDefinition)
+      .join(' ')
+
+    // the unchanged services keep their composed schemas
+    if (!force && gateway._serviceSDLs === _serviceSDLs) {
+      return null
+    }
+
+    // the services are refreshed with their own schema definitions
+    const composedSDLs = composeServiceSchemas(
+      Object.values(serviceMap).filter(service => service.schemaDefinition)
+    )
+
+    validateServiceSchemas(
+      Object.values(serviceMap).filter(service => service.schemaDefinition),
+      composedSDLs
+    )
+
+    const schema = buildGatewaySchema(composedSDLs)
+    const schemaChanges = diffSchemas(gateway.schema, schema)
+    validateSchemaChanges(schemaChanges)
+
+    return {
+      schema,
+      schemaChanges,
+      serviceSDLs: _serviceSDLs,
+      routing: defineRouting(schema)
+    }
+  }
+
+  // replaces the gateway schema and its routing at once, the replaced ones are kept for `rollback`
+  async function applyGatewaySchema ({ schema, schemaChanges, serviceSDLs, routing }) {
+    previous = {
+      schema: gateway.schema,
+      schemaChanges: gateway.schemaChanges,
+      serviceSDLs: gateway._serviceSDLs,
+      ...current
+    }
+    for (const move of listRoutingMoves(current.routing, routing)) {
+      app.log.info(move)
+    }
+
+    current = {
+      routing,
+      serviceSchemas: saveServiceSchemas(serviceMap)
+    }
+    gateway._serviceSDLs = serviceSDLs
+    gateway.schemaChanges = schemaChanges
+    gateway.schema = schema
+    app.graphql.replaceSchema(schema)
+
+    await Promise.allSettled(
+      Object.values(serviceMap).map(service =>
+        service.reconnectSubscription()
+      )
+    )
+
+    await writeSnapshot(Object.values(serviceMap).filter(service => service.schemaDefinition))
+
+    return schema
+  }
+
+  /**
+   * Builds the `services` and puts them in the service map in place of the services with the same name,
+   * and removes the `removedNames` services. The service map is left unchanged if a service cannot be initialized,
+   * unless `keepFailedServices` is set: the added services that cannot be initialized are then kept as on start.
+   * Returns `commit`, to call once the new services are used by the gateway schema, and `restore`.
+   */
+  async function swapServices (services, removedNames, keepFailedServices = false) {
+    const newServiceMap = {}
+    const replacedServices = [...removedNames, ...services.map(({ name }) => name)]
+      .filter(name => serviceMap[name])
+      .map(name => serviceMap[name])
+
+    try {
+      await buildServiceMap(newServiceMap, services, errorHandler, app.log, snapshot)
+      for (const [name, service] of Object.entries(newServiceMap)) {
+        if (service.error && !(keepFailedServices && !serviceMap[name])) {
+          throw service.error
+        }
+      }
+    } catch (err) {
+      for (const service of Object.values(newServiceMap)) {
+        drainService(service)
+      }
+      throw err
+    }
+
+    for (const name of removedNames) {
+      delete serviceMap[name]
+    }
+    Object.assign(serviceMap, newServiceMap)
+
+    return {
+      // the replaced services complete their pending requests
+      commit () {
+        for (const [name, service] of Object.entries(newServiceMap)) {
+          addEntityLoader(name, service)
+        }
+        for (const service of replacedServices) {
+          drainService(service)
+        }
+      },
+      restore () {
+        for (const service of replacedServices) {
+          serviceMap[service.name] = service
+        }
+        for (const [name, service] of Object.entries(newServiceMap)) {
+          if (serviceMap[name] === service) {
+            delete serviceMap[name]
+          }
+          drainService(service)
+        }
+      }
+    }
+  }
+
+  /**
+   * Adds or replaces the `services` and removes the `removedNames` services, then recomposes the gateway schema.
+   * The service map is restored if a service cannot be initialized or the schema is refused.
+   */
+  async function replaceServices (services, removedNames) {
+    const swappedServices = await swapServices(services, removedNames)
+
+    let composed
+    try {
+      composed = composeGatewaySchema(true)
+    } catch (err) {
+      swappedServices.restore()
+      throw err
+    }
+
+    const schema = await applyGatewaySchema(composed)
+    swappedServices.commit()
+
+    return schema
+  }
+
+  // the services of a supergraph or of a services function are set again by the next refresh
+  function checkManagedServices (action) {
+    if (supergraph !== undefined && action !== 'updated') {
+      throw new MER_ERR_GQL_GATEWAY_MANAGED_SERVICES('supergraph', action)
+    }
+    if (typeof services === 'function') {
+      throw new MER_ERR_GQL_GATEWAY_MANAGED_SERVICES('services function', action)
+    }
+  }
 
   const close = async () => {
     for (const service of Object.values(serviceMap)) {
@@ -507,93 +1063,118 @@ async function buildGateway (serviceMap, gatewayOpts, app, lruGatewayResolvers)
     }
   }
 
-  return {
+  const gateway = {
     schema,
+    schemaChanges: [],
+    _serviceSDLs: serviceSDLs.join(' '),
     serviceMap,
     subscriptionMap: new Map(),
     entityResolversFactory: factory,
     pollingInterval: gatewayOpts.pollingInterval,
     serviceFn: typeof gatewayOpts.services === 'function' ? gatewayOpts.services : undefined,
-    async refresh (isRetry) {
-      const failedMandatoryServices = []
-      if (this._serviceSDLs === undefined) {
-        this._serviceSDLs = serviceSDLs.join(' ')
-      }
+    supergraphFile,
+    getQueryPlan (source, operationName) {
+      const { operation, fragments } = parseOperation(this.schema, source, operationName)
 
-      if (this.serviceFn) {
-        const newServices = await this.serviceFn()
-        const oldServices = Object.keys(serviceMap)
-        const addedServices = newServices.filter(({ name }) => !oldServices.includes(name))
-        const deletedServices = oldServices.filter(name => !newServices.find(service => service.name === name))
-        for (const name of deletedServices) {
-          serviceMap[name].close().catch(() => {})
-          delete serviceMap[name]
+      return buildQueryPlan({
+        schema: this.schema,
+        operation,
+        fragments,
+        fieldRoutes: current.routing.fieldRoutes,
+        serviceMap,
+        typeToServiceMap: current.routing.typeToServiceMap
+      })
+    },
+    explain (source, { variables, operationName } = {}) {
+      return explainQueryPlan(this.getQueryPlan(source, operationName), {
+        serviceMap,
+        schema: this.schema,
+        variables
+      })
+    },
+    /**
+     * Returns the health of the upstreams of each service with health checks, by service name and origin.
+     */
+    getServiceHealth () {
+      const health = {}
+      for (const [name, service] of Object.entries(serviceMap)) {
+        if (service.health) {
+          health[name] = service.health()
         }
-        await buildServiceMap(serviceMap, addedServices, errorHandler, app.log)
       }
-
-      const $refreshResult = await Promise.allSettled(
-        Object.values(serviceMap).map(service =>
-          service.refresh().catch(err => {
-            // If non-mandatory service or if retry count has exceeded for mandatory service then throw
-            if (!service.mandatory || !isRetry) {
-              errorHandler(err, service)
-            }
-
-            // If service is mandatory and retry count has not exceeded then add to service to
-            // failedMandatoryServices so it can be returned for retrying
-            if (service.mandatory) {
-              failedMandatoryServices.push(service)
-            }
-          })
-        )
-      )
-
-      if (failedMandatoryServices.length > 0) {
-        const serviceNames = failedMandatoryServices.map(
-          service => service.name
-        )
-        const err = new MER_ERR_SERVICE_RETRY_FAILED(serviceNames.join(', '))
-        err.failedServices = serviceNames
-        throw err
+      return health
+    },
+    /**
+     * Refreshes the schemas of the services, or only of the `serviceNames` services, and rebuilds the gateway schema.
+     * Returns the new schema, or `null` if the schemas of the services did not change.
+     */
+    async refresh (isRetry, serviceNames) {
+      // the services added or whose options were changed by the services function are built,
+      // and swapped with the deleted and replaced services once the refreshed schema is applied
+      const builtServices = []
+      let deletedServices = []
+      if (this.serviceFn && !serviceNames) {
+        const newServices = await this.serviceFn()
+        deletedServices = Object.keys(serviceMap).filter(name => !newServices.find(service => service.name === name))
+        for (const service of newServices) {
+          if (!serviceMap[service.name] || !isSameServiceOptions(serviceMap[service.name].options, service)) {
+            builtServices.push(service)
+          }
+        }
       }
 
-      const rejectedResults = $refreshResult
-        .filter(({ status }) => status === 'rejected')
-        .map(({ reason }) => reason)
-
-      if (rejectedResults.length) {
-        const err = new MER_ERR_GQL_GATEWAY_REFRESH()
-        err.errors = rejectedResults
+      // a refused schema leaves the services with the schemas of the current gateway schema
+      const serviceSchemas = saveServiceSchemas(serviceMap)
+      let swappedServices = null
+      let refreshed
+      try {
+        if (builtServices.length > 0 || deletedServices.length > 0) {
+          swappedServices = await swapServices(builtServices, deletedServices, true)
+        }
+        refreshed = await refreshServiceSchemas(isRetry, serviceNames, swappedServices !== null)
+      } catch (err) {
+        restoreServiceSchemas(serviceSchemas)
+        if (swappedServices) {
+          swappedServices.restore()
+        }
         throw err
       }
 
-      const _serviceSDLs = Object.values(serviceMap)
-        .map(service => service.schemaDefinition)
-        .join(' ')
-
-      if (this._serviceSDLs === _serviceSDLs) {
+      if (refreshed === null) {
         return null
       }
 
-      this._serviceSDLs = _serviceSDLs
+      const schema = await applyGatewaySchema(refreshed)
+      if (swappedServices) {
+        swappedServices.commit()
+      }
 
-      allTypes = []
+      return schema
+    },
+    /**
+     * Restores the gateway schema replaced by the last refresh, with its routing and the schemas of its services.
+     * Returns the restored schema. The next refresh applies the schemas of the services again if they still differ.
+     */
+    async rollback () {
+      if (previous === null) {
+        throw new MER_ERR_GQL_GATEWAY_ROLLBACK('there is no previous schema')
+      }
 
-      for (const [service, serviceDefinition] of Object.entries(serviceMap)) {
-        for (const type of serviceDefinition.types) {
-          allTypes.push(serviceDefinition.schema.getTypeMap()[type])
-          typeToServiceMap[type] = service
-        }
+      const removed = previous.serviceSchemas.find(({ service }) => serviceMap[service.name] !== service)
+      if (removed) {
+        throw new MER_ERR_GQL_GATEWAY_ROLLBACK(`the service "${removed.service.name}" was removed or replaced`)
+      }
 
-        for (const [type, fields] of Object.entries(
-          serviceDefinition.extensionTypeMap
-        )) {
-          for (const field of fields) {
-            typeFieldsToService[`${type}-${field}`] = service
-          }
-        }
+      restoreServiceSchemas(previous.serviceSchemas)
+      current = {
+        routing: previous.routing,
+        serviceSchemas: previous.serviceSchemas
       }
+      this._serviceSDLs = previous.serviceSDLs
+      this.schemaChanges = diffSchemas(this.schema, previous.schema)
+      this.schema = previous.schema
+      previous = null
+      app.graphql.replaceSchema(this.schema)
 
       await Promise.allSettled(
         Object.values(serviceMap).map(service =>
@@ -601,26 +1182,51 @@ async function buildGateway (serviceMap, gatewayOpts, app, lruGatewayResolvers)
         )
       )
 
-      const schema = buildFederationSchema(_serviceSDLs, { isGateway: true })
+      await writeSnapshot(Object.values(serviceMap).filter(service => service.schemaDefinition))
 
-      typeToServiceMap.Query = null
-      typeToServiceMap.Mutation = null
-      typeToServiceMap.Subscription = null
+      return this.schema
+    },
+    /**
+     * Adds a service to the gateway and recomposes the gateway schema.
+     */
+    async addService (service) {
+      checkManagedServices('added')
+      validateService(service)
+      if (serviceMap[service.name]) {
+        throw new MER_ERR_INVALID_OPTS(`gateway: all "services" must have a unique "name": "${service.name}" is already used`)
+      }
 
-      const valueTypes = findValueTypes(allTypes)
-      for (const typeName of valueTypes) {
-        typeToServiceMap[typeName] = null
+      return replaceServices([service], [])
+    },
+    /**
+     * Removes a service from the gateway and recomposes the gateway schema.
+     */
+    async removeService (name) {
+      checkManagedServices('removed')
+      if (!serviceMap[name]) {
+        throw new MER_ERR_GQL_GATEWAY_UNKNOWN_SERVICE(name)
       }
 
-      defineResolvers(schema, typeToServiceMap, serviceMap, typeFieldsToService, factory, lruGatewayResolvers)
+      return replaceServices([], [name])
+    },
+    /**
+     * Rebuilds a service with its options updated with `patch`, e.g. a new `url`, and recomposes the gateway schema.
+     */
+    async updateService (name, patch) {
+      checkManagedServices('updated')
+      if (!serviceMap[name]) {
+        throw new MER_ERR_GQL_GATEWAY_UNKNOWN_SERVICE(name)
+      }
 
-      this.schema = schema
-      app.graphql.replaceSchema(this.schema)
+      const service = { ...serviceMap[name].options, ...patch, name }
+      validateService(service)
 
-      return schema
+      return replaceServices([service], [])
     },
     close
   }
+
+  return gateway
 }
 
 module.exports = buildGateway
@@ -0,0 +1,102 @@
+'use strict'
+
+const { FederatedError, MER_ERR_GQL_GATEWAY_CIRCUIT_OPEN } = require('../errors')
+
+const CLOSED = 'closed'
+const OPEN = 'open'
+const HALF_OPEN = 'half-open'
+
+/**
+ * Stops sending requests to a failing service for a while.
+ * The circuit opens after `failureThreshold` consecutive failures, i.e. errors of the connection,
+ * timeouts or `5xx` replies. The requests then fail at once for `openDuration` milliseconds,
+ * after which `halfOpenProbes` requests are sent to the service: the circuit closes if they all succeed
+ * and opens again if one of them fails.
+ * @param {string} service The name of the service
+ * @param {Object} opts
+ * @param {number} [opts.failureThreshold=5] The number of consecutive failures opening the circuit
+ * @param {number} [opts.openDuration=30000] The delay in milliseconds before probing the service
+ * @param {number} [opts.halfOpenProbes=1] The number of requests probing the service
+ */
+function createCircuitBreaker (service, { failureThreshold = 5, openDuration = 30e3, halfOpenProbes = 1 } = {}) {
+  let failures = 0
+  let openedAt = 0
+  let probes = 0
+  let succeededProbes = 0
+  // changed on each transition, the result of a request sent in a previous state is ignored
+  let generation = 0
+
+  const breaker = {
+    state: CLOSED,
+    /**
+     * Wraps the `request` function of a service.
+     */
+    wrap (request) {
+      return async function (opts) {
+        const requestGeneration = acquire()
+
+        let response
+        try {
+          response = await request(opts)
+        } catch (err) {
+          record(requestGeneration, false)
+          throw err
+        }
+
+        record(requestGeneration, response.statusCode < 500)
+        return response
+      }
+    }
+  }
+
+  function transition (state) {
+    breaker.state = state
+    generation++
+    failures = 0
+    probes = 0
+    succeededProbes = 0
+    if (state === OPEN) {
+      openedAt = Date.now()
+    }
+  }
+
+  function acquire () {
+    if (breaker.state === OPEN && Date.now() - openedAt >= openDuration) {
+      transition(HALF_OPEN)
+    }
+
+    if (breaker.state === OPEN || (breaker.state === HALF_OPEN && probes >= halfOpenProbes)) {
+      const err = new MER_ERR_GQL_GATEWAY_CIRCUIT_OPEN(service)
+      err.extensions = { code: err.code, service }
+      throw new FederatedError([err])
+    }
+
+    if (breaker.state === HALF_OPEN) {
+      probes++
+    }
+
+    return generation
+  }
+
+  function record (requestGeneration, succeeded) {
+    if (requestGeneration !== generation) {
+      return
+    }
+
+    if (breaker.state === HALF_OPEN) {
+      if (!succeeded) {
+        transition(OPEN)
+      } else if (++succeededProbes >= halfOpenProbes) {
+        transition(CLOSED)
+      }
+    } else if (succeeded) {
+      failures = 0
+    } else if (++failures >= failureThreshold) {
+      transition(OPEN)
+    }
+  }
+
+  return breaker
+}
+
+module.exports = createCircuitBreaker
@@ -0,0 +1,317 @@
+'use strict'
+
+const { defaultFieldResolver, isObjectType } = require('graphql')
+const { preGatewayExecutionHandler } = require('../handlers')
+const { collect } = require('../collectors')
+const { buildQueryPlan, shouldInclude } = require('./query-plan')
+const {
+  removeNonIdProperties,
+  getRequiredFields,
+  kEntityResolvers
+} = require('./make-resolver')
+
+const kQueryPlanExecutions = Symbol('mercurius.gateway.query-plan-executions')
+
+function pickVariables (variableUsages, variableValues) {
+  const variables = {}
+  for (const name of variableUsages) {
+    if (name in variableValues) {
+      variables[name] = variableValues[name]
+    }
+  }
+  return variables
+}
+
+/**
+ * Collects the objects found at `path` as `{ container, key }` pairs,
+ * so that they can be replaced once their fetch is completed.
+ */
+function collectTargets (value, path, index = 0, container = null, key = null, targets = []) {
+  if (value == null || value instanceof Error) {
+    return targets
+  }
+  if (index === path.length) {
+    targets.push({ container, key })
+    return targets
+  }
+
+  const segment = path[index]
+  if (segment === '@') {
+    if (Array.isArray(value)) {
+      for (let i = 0; i < value.length; i++) {
+        collectTargets(value[i], path, index + 1, value, i, targets)
+      }
+    }
+  } else if (segment.startsWith('... on ')) {
+    if (value.__typename === segment.slice(7)) {
+      collectTargets(value, path, index + 1, container, key, targets)
+    }
+  } else {
+    collectTargets(value[segment], path, index + 1, value, segment, targets)
+  }
+
+  return targets
+}
+
+async function executeRootFetch (fetch, state) {
+  const { context, reply, schema } = state
+  const service = state.serviceMap[fetch.service]
+  const { responseName, fieldName } = fetch.field
+
+  try {
+    let modifiedQuery
+
+    if (context.gateway.preGatewayExecution !== null) {
+      ;({ modifiedQuery } = await preGatewayExecutionHandler({
+        schema,
+        document: fetch.document,
+        context,
+        service
+      }))
+    }
+
+    const response = await service.sendRequest({
+      method: 'POST',
+      body: JSON.stringify({
+        query: modifiedQuery || fetch.query,
+        variables: pickVariables(fetch.variableUsages, state.variableValues)
+      }),
+      originalRequestHeaders: reply ? reply.request.headers : {},
+      context,
+      operation: fetch.operation
+    })
+
+    const collectors = service.collectors
+    if (collectors) {
+      collect({
+        collectors,
+        context,
+        queryId: fetch.id,
+        response,
+        serviceName: service.name
+      })
+    }
+
+    service.setResponseHeaders(reply || {})
+
+    state.data[responseName] = response.json.data[fieldName]
+  } catch (err) {
+    state.data[responseName] = err
+  }
+}
+
+async function executeEntitiesFetch (fetch, state, path) {
+  const { field } = fetch
+
+  if (fetch.nullOnEmptyList) {
+    for (const { container, key } of collectTargets(state.data, path.slice(0, -1))) {
+      if (container[key].length === 0) {
+        container[key] = null
+      }
+    }
+  }
+
+  let targets = collectTargets(state.data, path)
+
+  if (field && fetch.skipIfPresent) {
+    // the value can already be available in the parent
+    targets = targets.filter(({ container, key }) => {
+      const parent = container[key]
+      if (parent[field.fieldName]) {
+        parent[field.responseName] = parent[field.fieldName]
+        return false
+      }
+      return true
+    })
+  }
+
+  if (targets.length === 0) {
+    return
+  }
+
+  try {
+    const type = state.schema.getType(fetch.entityType)
+    const service = state.serviceMap[fetch.service]
+    const representations = targets.map(({ container, key }) =>
+      field
+        ? {
+            ...removeNonIdProperties(container[key], type, service),
+            ...getRequiredFields(container[key], type.getFields()[field.fieldName])
+          }
+        : removeNonIdProperties(container[key], type, service)
+    )
+
+    // This method is declared in gateway.js inside of onRequest
+    // hence it's unique per request.
+    const response = await state.entityResolvers[`${fetch.service}Entity`]({
+      document: fetch.document,
+      query: fetch.query,
+      variables: {
+        ...pickVariables(fetch.variableUsages, state.variableValues),
+        representations
+      },
+      context: state.context,
+      id: fetch.id
+    })
+
+    const entities = response.json.data._entities
+    for (let i = 0; i < targets.length; i++) {
+      const { container, key } = targets[i]
+      const entity = entities[i]
+      if (field) {
+        container[key][field.responseName] = entity == null ? null : entity[field.fieldName]
+      } else if (entity == null) {
+        container[key] = null
+      } else {
+        Object.assign(container[key], entity)
+      }
+    }
+  } catch (err) {
+    // the error is thrown by graphql when the value is resolved
+    for (const { container, key } of targets) {
+      if (field) {
+        container[key][field.responseName] = err
+      } else {
+        container[key] = err
+      }
+    }
+  }
+}
+
+async function executeNode (node, state, path) {
+  if (!node) {
+    return
+  }
+
+  switch (node.kind) {
+    case 'Sequence':
+      for (const child of node.nodes) {
+        await executeNode(child, state)
+      }
+      break
+    case 'Parallel':
+      await Promise.all(node.nodes.map(child => executeNode(child, state)))
+      break
+    case 'Flatten':
+      await executeNode(node.node, state, node.path)
+      break
+    case 'Fetch':
+      if (!shouldInclude(node.conditions, state.variableValues)) {
+        break
+      }
+      if (path) {
+        await executeEntitiesFetch(node, state, path)
+      } else {
+        await executeRootFetch(node, state)
+      }
+      break
+  }
+}
+
+/**
+ * Executes a query plan and returns the data of the operation, keyed by response name.
+ * The failed fetches are stored as errors in place of their values, graphql throws them
+ * when the fields are resolved.
+ */
+async function executeQueryPlan (plan, {
+  schema,
+  serviceMap,
+  context,
+  variableValues,
+  entityResolversFactory
+}) {
+  const reply = context.reply
+  const state = {
+    schema,
+    serviceMap,
+    context,
+    reply,
+    variableValues,
+    entityResolvers: reply?.[kEntityResolvers] || entityResolversFactory.create(),
+    data: {}
+  }
+
+  await executeNode(plan.node, state)
+
+  return state.data
+}
+
+function getQueryPlan (info, context, params) {
+  const { operation, fragments, schema } = info
+  const { lruGatewayResolvers } = params
+  const cacheKey = context.__currentQuery !== undefined &&
+    `${context.__currentQuery}_${operation.name ? operation.name.value : ''}_queryPlan`
+
+  const cached = cacheKey && lruGatewayResolvers != null && lruGatewayResolvers.get(cacheKey)
+  if (cached) {
+    return cached
+  }
+
+  const plan = buildQueryPlan({ ...params, schema, operation, fragments })
+  if (cacheKey && lruGatewayResolvers != null) {
+    lruGatewayResolvers.set(cacheKey, plan)
+  }
+  return plan
+}
+
+/**
+ * Replaces the field resolvers defined by `defineResolvers` with the execution of the query plan:
+ * the first resolved root field executes the plan of the whole operation and every other field
+ * is resolved from its parent.
+ * Subscriptions are not planned and keep using the field resolvers.
+ */
+function defineQueryPlanResolvers (schema, params) {
+  function executeOperation (context, info) {
+    // `variableValues` is unique for each execution of an operation
+    let executions = context[kQueryPlanExecutions]
+    if (!executions) {
+      executions = new WeakMap()
+      context[kQueryPlanExecutions] = executions
+    }
+
+    let execution = executions.get(info.variableValues)
+    if (!execution) {
+      execution = executeQueryPlan(getQueryPlan(info, context, params), {
+        ...params,
+        schema,
+        context,
+        variableValues: info.variableValues
+      })
+      executions.set(info.variableValues, execution)
+    }
+    return execution
+  }
+
+  const rootTypes = [schema.getQueryType(), schema.getMutationType()]
+  for (const rootType of rootTypes) {
+    if (!rootType) {
+      continue
+    }
+    for (const field of Object.values(rootType.getFields())) {
+      field.resolve = async (parent, args, context, info) => {
+        const data = await executeOperation(context, info)
+        return data[info.path.key]
+      }
+    }
+  }
+
+  for (const type of Object.values(schema.getTypeMap())) {
+    if (!isObjectType(type) || type.name.startsWith('__') || rootTypes.includes(type) || type === schema.getSubscriptionType()) {
+      continue
+    }
+    for (const field of Object.values(type.getFields())) {
+      const resolve = field.resolve || defaultFieldResolver
+      field.resolve = (parent, args, context, info) => {
+        if (context[kQueryPlanExecutions] && context[kQueryPlanExecutions].has(info.variableValues)) {
+          return parent && parent[info.path.key]
+        }
+        return resolve(parent, args, context, info)
+      }
+    }
+  }
+}
+
+module.exports = {
+  executeQueryPlan,
+  defineQueryPlanResolvers
+}
@@ -0,0 +1,132 @@
+'use strict'
+
+const { shouldInclude } = require('./query-plan')
+const { planEntitiesRequests } = require('./get-query-result')
+
+function pickVariables (variableUsages, variables) {
+  const result = {}
+  for (const name of variableUsages) {
+    if (name in variables) {
+      result[name] = variables[name]
+    }
+  }
+  return result
+}
+
+/**
+ * Lists the fetches of a node in execution order.
+ * Returns the ids of the fetches the next nodes of a sequence have to wait for.
+ */
+function explainNode (node, ctx, dependsOn, path) {
+  if (!node) {
+    return dependsOn
+  }
+
+  switch (node.kind) {
+    case 'Sequence': {
+      let ids = dependsOn
+      for (const child of node.nodes) {
+        ids = explainNode(child, ctx, ids)
+      }
+      return ids
+    }
+    case 'Parallel': {
+      const ids = []
+      for (const child of node.nodes) {
+        const childIds = explainNode(child, ctx, dependsOn)
+        if (childIds !== dependsOn) {
+          ids.push(...childIds)
+        }
+      }
+      return ids.length > 0 ? ids : dependsOn
+    }
+    case 'Flatten':
+      return explainNode(node.node, ctx, dependsOn, node.path)
+    case 'Fetch': {
+      if (!shouldInclude(node.conditions, ctx.variables)) {
+        return dependsOn
+      }
+      const service = ctx.serviceMap[node.service]
+      ctx.operations.push({
+        id: node.id,
+        service: node.service,
+        operation: node.operation,
+        path: path || [],
+        entityType: node.entityType,
+        query: node.query,
+        variables: pickVariables(node.variableUsages, ctx.variables),
+        // the entities requests sent at the same time to a service are batched
+        batched: node.operation === 'entities' && !!(service && service.allowBatchedQueries),
+        dependsOn
+      })
+      return [node.id]
+    }
+  }
+}
+
+/**
+ * Merges the entities fetches sent at the same time to a service, i.e. waiting for the same fetches,
+ * as the gateway merges their queries into one request.
+ * A merged request keeps the id of its first fetch and lists the ids of its fetches in `merged`.
+ */
+function mergeEntitiesOperations (operations, schema) {
+  const groups = new Map()
+  for (const operation of operations) {
+    if (operation.operation !== 'entities') {
+      continue
+    }
+    const key = JSON.stringify([operation.service, operation.dependsOn])
+    const group = groups.get(key) || []
+    group.push(operation)
+    groups.set(key, group)
+  }
+
+  const mergedIds = new Map()
+  for (const group of groups.values()) {
+    if (group.length < 2) {
+      continue
+    }
+    for (const { query, indexes } of planEntitiesRequests(group, schema)) {
+      if (indexes.length < 2) {
+        continue
+      }
+      const [first, ...others] = indexes.map(index => group[index])
+      first.query = query
+      first.merged = [first.id]
+      for (const other of others) {
+        first.merged.push(other.id)
+        first.variables = { ...other.variables, ...first.variables }
+        mergedIds.set(other.id, first.id)
+      }
+    }
+  }
+
+  return operations
+    .filter(({ id }) => !mergedIds.has(id))
+    .map(operation => ({
+      ...operation,
+      dependsOn: [...new Set(operation.dependsOn.map(id => mergedIds.get(id) || id))]
+    }))
+}
+
+/**
+ * Describes the requests sent to the services to execute a query plan with the given variables.
+ * The fetches excluded by `@skip` and `@include` are omitted.
+ * @param {Object} plan The query plan
+ * @param {Object} params
+ * @param {Object} params.serviceMap The services of the gateway
+ * @param {Object} [params.schema] The gateway schema
+ * @param {Object} params.variables The variables of the operation
+ * @returns {Object} The operation type and the list of the requests, in execution order
+ */
+function explainQueryPlan (plan, { serviceMap, schema, variables = {} }) {
+  const ctx = { serviceMap, variables, operations: [] }
+  explainNode(plan.node, ctx, [])
+
+  return {
+    operation: plan.operation,
+    operations: mergeEntitiesOperations(ctx.operations, schema)
+  }
+}
+
+module.exports = explainQueryPlan
@@ -0,0 +1,422 @@
+'use strict'
+
+const { parse, print, Kind } = require('graphql')
+
+const FEDERATION_V2_URL = 'https://specs.apollo.dev/federation/v2'
+const ROOT_TYPES = ['Query', 'Mutation', 'Subscription']
+// Directives only used to compose the services, they are removed from the schemas
+const COMPOSITION_DIRECTIVES = ['link', 'shareable', 'override', 'inaccessible', 'tag', 'composeDirective', 'interfaceObject']
+
+function getArgument (directive, name) {
+  return directive.arguments && directive.arguments.find(argument => argument.name.value === name)
+}
+
+function getDirective (node, name) {
+  return node.directives && node.directives.find(directive => directive.name.value === name)
+}
+
+function isFederationV2Link (directive) {
+  const url = getArgument(directive, 'url')
+  return directive.name.value === 'link' &&
+    url !== undefined &&
+    url.value.kind === Kind.STRING &&
+    url.value.value.startsWith(FEDERATION_V2_URL)
+}
+
+function getFederationV2Link (document) {
+  for (const definition of document.definitions) {
+    if (definition.kind === Kind.SCHEMA_DEFINITION || definition.kind === Kind.SCHEMA_EXTENSION) {
+      const link = definition.directives.find(isFederationV2Link)
+      if (link) {
+        return link
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Maps the names used by the service for the federation directives to their names in the specification.
+ * Imported directives can be renamed, the other ones are prefixed by the namespace of the link.
+ */
+function getDirectiveNames (link) {
+  const as = getArgument(link, 'as')
+  const namespace = as ? as.value.value : 'federation'
+  const names = new Map()
+
+  const imports = getArgument(link, 'import')
+  if (imports && imports.value.kind === Kind.LIST) {
+    for (const value of imports.value.values) {
+      if (value.kind === Kind.STRING) {
+        names.set(value.value.replace(/^@/, ''), value.value.replace(/^@/, ''))
+      } else if (value.kind === Kind.OBJECT) {
+        const name = value.fields.find(field => field.name.value === 'name')
+        const alias = value.fields.find(field => field.name.value === 'as')
+        if (name) {
+          const specName = name.value.value.replace(/^@/, '')
+          names.set(alias ? alias.value.value.replace(/^@/, '') : specName, specName)
+        }
+      }
+    }
+  }
+
+  return {
+    get (name) {
+      if (names.has(name)) {
+        return names.get(name)
+      }
+      if (name.startsWith(`${namespace}__`)) {
+        return name.slice(namespace.length + 2)
+      }
+      return name
+    }
+  }
+}
+
+function renameDirectives (node, directiveNames) {
+  if (Array.isArray(node)) {
+    return node.map(child => renameDirectives(child, directiveNames))
+  }
+  if (node === null || typeof node !== 'object') {
+    return node
+  }
+
+  const result = {}
+  for (const [key, value] of Object.entries(node)) {
+    result[key] = key === 'loc' ? value : renameDirectives(value, directiveNames)
+  }
+  if (node.kind === Kind.DIRECTIVE) {
+    result.name = { ...node.name, value: directiveNames.get(node.name.value) }
+  }
+  return result
+}
+
+function isInaccessible (node) {
+  return getDirective(node, 'inaccessible') !== undefined
+}
+
+/**
+ * Removes the elements marked with `@inaccessible`, they can still be used by the services
+ * but they are not exposed by the gateway.
+ */
+function removeInaccessibleElements (definitions) {
+  const result = []
+  for (const definition of definitions) {
+    if (isInaccessible(definition)) {
+      continue
+    }
+
+    const node = { ...definition }
+    if (node.fields) {
+      node.fields = node.fields
+        .filter(field => !isInaccessible(field))
+        .map(field => field.arguments
+          ? { ...field, arguments: field.arguments.filter(argument => !isInaccessible(argument)) }
+          : field
+        )
+    }
+    if (node.values) {
+      node.values = node.values.filter(value => !isInaccessible(value))
+    }
+    result.push(node)
+  }
+  return result
+}
+
+function isLinkDefinition (definition) {
+  const name = definition.name && definition.name.value
+  return name !== undefined && (
+    name.startsWith('link__') ||
+    name.startsWith('federation__') ||
+    name === 'FieldSet' ||
+    (definition.kind === Kind.DIRECTIVE_DEFINITION && name === 'link')
+  )
+}
+
+function removeSchemaLinks (definitions) {
+  const result = []
+  for (const definition of definitions) {
+    if (definition.kind === Kind.SCHEMA_DEFINITION || definition.kind === Kind.SCHEMA_EXTENSION) {
+      const directives = definition.directives.filter(directive => !COMPOSITION_DIRECTIVES.includes(directive.name.value))
+      if (directives.length > 0 || (definition.operationTypes && definition.operationTypes.length > 0)) {
+        result.push({ ...definition, directives })
+      }
+    } else if (!isLinkDefinition(definition)) {
+      result.push(definition)
+    }
+  }
+  return result
+}
+
+function isObjectTypeNode (definition) {
+  return definition.kind === Kind.OBJECT_TYPE_DEFINITION || definition.kind === Kind.OBJECT_TYPE_EXTENSION
+}
+
+function isExtensionNode (definition) {
+  return definition.kind === Kind.OBJECT_TYPE_EXTENSION || getDirective(definition, 'extends') !== undefined
+}
+
+function isInterfaceObject (definition) {
+  return getDirective(definition, 'interfaceObject') !== undefined
+}
+
+/**
+ * Finds the service owning each entity type and the service resolving each field of the entities and of the root types.
+ * The owner is the first service defining the type, the other services extend it.
+ * A field is resolved by the owner if it defines it, otherwise by the first service defining it.
+ * `@override(from:)` moves a field from a service to another one.
+ */
+function findOwners (services) {
+  const typeOwners = new Map()
+  const fieldCandidates = new Map()
+  const entityTypes = new Set()
+
+  for (const { name, definitions } of services) {
+    for (const definition of definitions) {
+      // the fields of an `@interfaceObject` are added to the implementations of the interface
+      if (!isObjectTypeNode(definition) || isInterfaceObject(definition)) {
+        continue
+      }
+      const typeName = definition.name.value
+      if (getDirective(definition, 'key')) {
+        entityTypes.add(typeName)
+      }
+      if (!ROOT_TYPES.includes(typeName) && !isExtensionNode(definition) && !typeOwners.has(typeName)) {
+        typeOwners.set(typeName, name)
+      }
+      for (const field of definition.fields || []) {
+        if (getDirective(field, 'external')) {
+          continue
+        }
+        const key = `${typeName}.${field.name.value}`
+        const candidates = fieldCandidates.get(key) || []
+        candidates.push({ service: name, field })
+        fieldCandidates.set(key, candidates)
+      }
+    }
+  }
+
+  const fieldOwners = new Map()
+  for (const [key, candidates] of fieldCandidates) {
+    const typeOwner = typeOwners.get(key.split('.')[0])
+    let owner = (candidates.find(({ service }) => service === typeOwner) || candidates[0]).service
+    for (const { service, field } of candidates) {
+      const override = getDirective(field, 'override')
+      const from = override && getArgument(override, 'from')
+      if (from && from.value.value === owner) {
+        owner = service
+      }
+    }
+    fieldOwners.set(key, owner)
+  }
+
+  return { typeOwners, fieldOwners, entityTypes }
+}
+
+function markAsExternal (field) {
+  if (getDirective(field, 'external')) {
+    return field
+  }
+  return {
+    ...field,
+    directives: [...field.directives, { kind: Kind.DIRECTIVE, name: { kind: Kind.NAME, value: 'external' }, arguments: [] }]
+  }
+}
+
+function removeCompositionDirectives (node) {
+  const result = { ...node }
+  if (node.directives) {
+    result.directives = node.directives
+      .filter(directive => !COMPOSITION_DIRECTIVES.includes(directive.name.value))
+      .map(directive => directive.name.value === 'key'
+        // `resolvable` is not supported by the gateway, every entity is resolvable
+        ? { ...directive, arguments: directive.arguments.filter(argument => argument.name.value === 'fields') }
+        : directive
+      )
+  }
+  // type, field and enum value definitions
+  for (const key of ['fields', 'arguments', 'values']) {
+    if (Array.isArray(node[key])) {
+      result[key] = node[key].map(removeCompositionDirectives)
+    }
+  }
+  return result
+}
+
+function getKeyFieldNames (definition) {
+  const names = new Set()
+  for (const directive of definition.directives) {
+    const fields = directive.name.value === 'key' && getArgument(directive, 'fields')
+    if (fields) {
+      for (const selection of parse(`{ ${fields.value.value} }`).definitions[0].selectionSet.selections) {
+        names.add(selection.name.value)
+      }
+    }
+  }
+  return names
+}
+
+/**
+ * Finds the fields and the implementations of each interface defined by the services.
+ */
+function findInterfaces (services) {
+  const interfaces = new Map()
+  const getInterface = name => {
+    if (!interfaces.has(name)) {
+      interfaces.set(name, { fields: new Set(), implementations: new Set() })
+    }
+    return interfaces.get(name)
+  }
+
+  for (const { definitions } of services) {
+    for (const definition of definitions) {
+      if (definition.kind === Kind.INTERFACE_TYPE_DEFINITION || definition.kind === Kind.INTERFACE_TYPE_EXTENSION) {
+        for (const field of definition.fields || []) {
+          getInterface(definition.name.value).fields.add(field.name.value)
+        }
+      } else if (isObjectTypeNode(definition) && !isInterfaceObject(definition)) {
+        for (const node of definition.interfaces || []) {
+          getInterface(node.name.value).implementations.add(definition.name.value)
+        }
+      }
+    }
+  }
+
+  return interfaces
+}
+
+/**
+ * Rewrites an `@interfaceObject` as an extension of the entity interface defined by another service
+ * and as extensions of its implementations, which the service resolves as the interface.
+ * The types resolved as the interface are recorded in `interfaceObjects`.
+ */
+function rewriteInterfaceObject (definition, interfaces, interfaceObjects) {
+  const typeName = definition.name.value
+  const { fields: interfaceFields, implementations } = interfaces.get(typeName) || { fields: new Set(), implementations: new Set() }
+  const keyFieldNames = getKeyFieldNames(definition)
+  const fields = []
+  for (const field of definition.fields || []) {
+    if (keyFieldNames.has(field.name.value)) {
+      fields.push(markAsExternal(field))
+    } else if (!interfaceFields.has(field.name.value)) {
+      fields.push(field)
+    }
+  }
+  const directives = definition.directives.filter(directive => directive.name.value === 'key')
+
+  const nodes = [{
+    kind: Kind.INTERFACE_TYPE_EXTENSION,
+    name: definition.name,
+    interfaces: [],
+    directives,
+    fields
+  }]
+  for (const implementation of implementations) {
+    interfaceObjects[implementation] = typeName
+    nodes.push({
+      kind: Kind.OBJECT_TYPE_EXTENSION,
+      name: { kind: Kind.NAME, value: implementation },
+      interfaces: [],
+      directives,
+      fields
+    })
+  }
+  return nodes
+}
+
+/**
+ * Rewrites an object type of a Federation 2 service in the Federation 1 form:
+ * the types owned by other services and the root types are extended
+ * and the fields resolved by other services are removed.
+ * The key fields of the extended types are marked with `@external`.
+ */
+function rewriteObjectType (definition, service, owners) {
+  const typeName = definition.name.value
+  const isRootType = ROOT_TYPES.includes(typeName)
+  if (!isRootType && !owners.entityTypes.has(typeName)) {
+    return definition
+  }
+
+  const isOwner = owners.typeOwners.get(typeName) === service
+  const keyFieldNames = getKeyFieldNames(definition)
+  const fields = []
+  for (const field of definition.fields || []) {
+    const fieldOwner = owners.fieldOwners.get(`${typeName}.${field.name.value}`)
+    if (fieldOwner === undefined || fieldOwner === service) {
+      fields.push(field)
+    } else if (!isOwner && (keyFieldNames.has(field.name.value) || getDirective(field, 'external'))) {
+      // the external fields can be required by the fields of the service
+      fields.push(markAsExternal(field))
+    }
+  }
+
+  return {
+    ...definition,
+    kind: isOwner ? Kind.OBJECT_TYPE_DEFINITION : Kind.OBJECT_TYPE_EXTENSION,
+    directives: definition.directives.filter(directive => directive.name.value !== 'extends'),
+    fields
+  }
+}
+
+/**
+ * Rewrites the schema definitions of the Federation 2 services in the Federation 1 form understood by the gateway.
+ * The schema definitions of the Federation 1 services are returned unchanged.
+ * @param {Array<{ name: string, schemaDefinition: string }>} services The services, in the order of the configuration
+ * @returns {Array<{ schemaDefinition: string, interfaceObjects: Object }>} The schema definition of each service
+ * and the types it resolves as an `@interfaceObject`, by type name
+ */
+function composeFederationV2Schemas (services) {
+  // avoid parsing the schema definitions of the Federation 1 services at each refresh
+  if (!services.some(({ schemaDefinition }) => schemaDefinition.includes(FEDERATION_V2_URL))) {
+    return services.map(({ schemaDefinition }) => ({ schemaDefinition, interfaceObjects: {} }))
+  }
+
+  const parsedServices = services.map(({ name, schemaDefinition }) => {
+    const document = parse(schemaDefinition)
+    const link = getFederationV2Link(document)
+    if (!link) {
+      return { name, schemaDefinition, definitions: document.definitions, isV2: false }
+    }
+
+    const renamed = renameDirectives(document, getDirectiveNames(link))
+    return {
+      name,
+      schemaDefinition,
+      definitions: removeInaccessibleElements(removeSchemaLinks(renamed.definitions)),
+      isV2: true
+    }
+  })
+
+  if (!parsedServices.some(({ isV2 }) => isV2)) {
+    return services.map(({ schemaDefinition }) => ({ schemaDefinition, interfaceObjects: {} }))
+  }
+
+  const owners = findOwners(parsedServices)
+  const interfaces = findInterfaces(parsedServices)
+
+  return parsedServices.map(({ name, schemaDefinition, definitions, isV2 }) => {
+    const interfaceObjects = {}
+    if (!isV2) {
+      return { schemaDefinition, interfaceObjects }
+    }
+
+    const rewrittenDefinitions = []
+    for (const definition of definitions) {
+      if (isObjectTypeNode(definition) && isInterfaceObject(definition)) {
+        rewrittenDefinitions.push(...rewriteInterfaceObject(definition, interfaces, interfaceObjects))
+      } else {
+        rewrittenDefinitions.push(isObjectTypeNode(definition) ? rewriteObjectType(definition, name, owners) : definition)
+      }
+    }
+
+    return {
+      schemaDefinition: print({
+        kind: Kind.DOCUMENT,
+        definitions: rewrittenDefinitions.map(removeCompositionDirectives)
+      }),
+      interfaceObjects
+    }
+  })
+}
+
+module.exports = composeFederationV2Schemas
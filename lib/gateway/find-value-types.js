@@ -21,9 +21,8 @@ function getDuplicateTypes (types) {
  * Find all value types according to the definition given here:
  * https://www.apollographql.com/docs/federation/value-types/
  *
- * TODO: it should be checked whether all types with the same name have the exact same fields,
- * incl. types, subtypes and nullability
- * If that is not the case, I would argue that throwing would be the best approach
+ * The value types defined differently by the services are refused by `validateComposition`
+ * before the gateway schema is built.
  */
 function findValueTypes (allTypes) {
   // Is exposed by more than one service
@@ -1,6 +1,8 @@
 'use strict'
 
+const { print, parse, Kind } = require('graphql')
 const { preGatewayExecutionHandler } = require('../handlers')
+const { removeNonIdProperties } = require('./make-resolver')
 
 /**
  * @typedef {Object.<string, { variables: Object, document: import('graphql').DocumentNode }>} GroupedQueries
@@ -38,6 +40,278 @@ function groupQueriesByDefinition (queries) {
   return { mergedQueries, resultIndexes }
 }
 
+function hasFragmentSpreads (selections) {
+  for (const selection of selections) {
+    if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      return true
+    }
+    if (selection.selectionSet && hasFragmentSpreads(selection.selectionSet.selections)) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Returns the inline fragment selecting the entity fields of an entities query,
+ * or null if the query cannot be merged with other queries.
+ */
+function getEntitiesFragment (document) {
+  const operation = document.definitions[0]
+  const [entities] = operation.selectionSet.selections
+  if (
+    document.definitions.length !== 1 ||
+    !entities ||
+    entities.kind !== Kind.FIELD ||
+    entities.name.value !== '_entities'
+  ) {
+    return null
+  }
+
+  const fragment = entities.selectionSet.selections.find(
+    selection => selection.kind === Kind.INLINE_FRAGMENT
+  )
+  // fragment definitions are appended to the query string and are not merged
+  if (!fragment || hasFragmentSpreads(fragment.selectionSet.selections)) {
+    return null
+  }
+
+  return fragment
+}
+
+/**
+ * Merges the selections of two inline fragments.
+ * Returns null if they select the same response name differently.
+ */
+function mergeSelections (selections, otherSelections) {
+  const printedSelections = new Map()
+  for (const selection of selections) {
+    const responseName = selection.alias ? selection.alias.value : selection.name.value
+    printedSelections.set(responseName, print(selection))
+  }
+
+  const merged = [...selections]
+  for (const selection of otherSelections) {
+    const responseName = selection.alias ? selection.alias.value : selection.name.value
+    const printed = printedSelections.get(responseName)
+    if (printed === undefined) {
+      printedSelections.set(responseName, print(selection))
+      merged.push(selection)
+    } else if (printed !== print(selection)) {
+      return null
+    }
+  }
+
+  return merged
+}
+
+function mergeEntitiesDocuments (document, otherDocument, fragment, otherFragment) {
+  const selections = mergeSelections(
+    fragment.selectionSet.selections,
+    otherFragment.selectionSet.selections
+  )
+  if (!selections) {
+    return null
+  }
+
+  const operation = document.definitions[0]
+  const variableDefinitions = [...operation.variableDefinitions]
+  for (const definition of otherDocument.definitions[0].variableDefinitions) {
+    if (!variableDefinitions.find(d => d.variable.name.value === definition.variable.name.value)) {
+      variableDefinitions.push(definition)
+    }
+  }
+
+  const [entities] = operation.selectionSet.selections
+  const mergedFragment = {
+    ...fragment,
+    selectionSet: { kind: Kind.SELECTION_SET, selections }
+  }
+
+  return {
+    fragment: mergedFragment,
+    document: {
+      ...document,
+      definitions: [{
+        ...operation,
+        variableDefinitions,
+        selectionSet: {
+          kind: Kind.SELECTION_SET,
+          selections: [{
+            ...entities,
+            selectionSet: {
+              kind: Kind.SELECTION_SET,
+              selections: entities.selectionSet.selections.map(selection =>
+                selection === fragment ? mergedFragment : selection
+              )
+            }
+          }]
+        }
+      }]
+    }
+  }
+}
+
+/**
+ * Returns the names of the fields the selected fields require in the representations.
+ */
+function getRequiredFieldNames (selections, typeName, schema) {
+  const type = schema && schema.getType(typeName)
+  const names = new Set()
+  if (!type || !type.getFields) {
+    return names
+  }
+
+  for (const selection of selections) {
+    const field = selection.kind === Kind.FIELD && type.getFields()[selection.name.value]
+    const directive = field && field.astNode && field.astNode.directives.find(d => d.name.value === 'requires')
+    if (directive) {
+      const required = parse(`{ ${directive.arguments[0].value.value} }`).definitions[0]
+      for (const requiredField of required.selectionSet.selections) {
+        names.add(requiredField.name.value)
+      }
+    }
+  }
+  return names
+}
+
+function haveRequiredFields (representations, names) {
+  for (const representation of representations) {
+    for (const name of names) {
+      if (!(name in representation)) {
+        return false
+      }
+    }
+  }
+  return true
+}
+
+function haveSameVariableValues (variables, otherVariables) {
+  for (const [name, value] of Object.entries(otherVariables)) {
+    if (name !== 'representations' && name in variables &&
+      JSON.stringify(variables[name]) !== JSON.stringify(value)) {
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * Identifies the entity of a representation by its type and its key fields.
+ */
+function getRepresentationKey (representation, schema) {
+  const type = schema && schema.getType(representation.__typename)
+  if (type && type.astNode && type.astNode.directives.some(d => d.name.value === 'key')) {
+    return JSON.stringify(removeNonIdProperties(representation, type))
+  }
+  return JSON.stringify(representation)
+}
+
+function areCompatibleRepresentations (representation, otherRepresentation) {
+  for (const [name, value] of Object.entries(otherRepresentation)) {
+    if (name in representation && JSON.stringify(representation[name]) !== JSON.stringify(value)) {
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * Adds the representations of a grouped query to a request.
+ * A representation is merged with the one of the same entity already requested,
+ * unless they have different values for the same fields,
+ * so that the fields required by each query are available.
+ * Returns the index of each representation in the request.
+ */
+function addRepresentations (request, representations, schema) {
+  const requested = request.variables.representations
+
+  return representations.map(representation => {
+    const key = getRepresentationKey(representation, schema)
+    const indexes = request.representationIndexes.get(key) || []
+    let index = indexes.find(i => areCompatibleRepresentations(requested[i], representation))
+    if (index === undefined) {
+      index = requested.length
+      requested.push({ ...representation })
+      indexes.push(index)
+      request.representationIndexes.set(key, indexes)
+    } else {
+      Object.assign(requested[index], representation)
+    }
+    return index
+  })
+}
+
+/**
+ * Merges the entities queries for the same type into one request per type,
+ * so that all the fields of the entities are fetched in one round trip.
+ * The queries that cannot be merged (fragment spreads, conflicting selections or variables)
+ * are sent in their own request.
+ * Each request lists the grouped queries it answers with the index of their representations.
+ * @param {GroupedQueries} mergedQueries
+ * @param {import('graphql').GraphQLSchema} [schema] The gateway schema, used to find the key fields of the entities
+ * @returns {Array<{ query: string, document: Object, variables: Object, groups: Array<{ groupIndex: Number, indexes: Number[] }> }>} requests
+ */
+function mergeEntitiesQueries (mergedQueries, schema) {
+  const requests = []
+  const requestsByType = new Map()
+
+  for (const [groupIndex, [query, { document, variables }]] of Object.entries(mergedQueries).entries()) {
+    const fragment = getEntitiesFragment(document)
+    const typeName = fragment && `${fragment.typeCondition.name.value}`
+
+    let request = null
+    for (const candidate of (fragment && requestsByType.get(typeName)) || []) {
+      // every representation must provide the fields required by all the selections
+      if (
+        !haveSameVariableValues(candidate.variables, variables) ||
+        !haveRequiredFields(candidate.variables.representations, getRequiredFieldNames(fragment.selectionSet.selections, typeName, schema)) ||
+        !haveRequiredFields(variables.representations, getRequiredFieldNames(candidate.fragment.selectionSet.selections, typeName, schema))
+      ) {
+        continue
+      }
+      const merged = mergeEntitiesDocuments(candidate.document, document, candidate.fragment, fragment)
+      if (merged) {
+        request = candidate
+        request.document = merged.document
+        request.fragment = merged.fragment
+        request.query = null
+        request.variables = { ...variables, ...request.variables }
+        break
+      }
+    }
+
+    if (!request) {
+      request = {
+        query,
+        document,
+        fragment,
+        variables: { ...variables, representations: [] },
+        representationIndexes: new Map(),
+        groups: []
+      }
+      requests.push(request)
+      if (fragment) {
+        const typeRequests = requestsByType.get(typeName) || []
+        typeRequests.push(request)
+        requestsByType.set(typeName, typeRequests)
+      }
+    }
+
+    request.groups.push({
+      groupIndex,
+      indexes: addRepresentations(request, variables.representations, schema)
+    })
+  }
+
+  return requests.map(({ query, document, variables, groups }) => ({
+    query: query || print(document),
+    document,
+    variables,
+    groups
+  }))
+}
+
 /**
  * Fetches queries result from the service with batching (1 request for all the queries).
  * @param {Object} params
@@ -50,12 +324,10 @@ async function fetchBatchedResult ({
   serviceDefinition,
   service
 }) {
-  const { mergedQueries, resultIndexes } = mergeQueriesResult
+  const { requests, resultIndexes } = mergeQueriesResult
   const batchedQueries = []
 
-  for (const [query, { document, variables }] of Object.entries(
-    mergedQueries
-  )) {
+  for (const { query, document, variables } of requests) {
     let modifiedQuery
 
     if (context.gateway.preGatewayExecution !== null) {
@@ -79,10 +351,41 @@ async function fetchBatchedResult ({
   const response = await serviceDefinition.sendRequest({
     originalRequestHeaders: context.reply.request.headers,
     body: JSON.stringify(batchedQueries),
-    context
+    context,
+    operation: 'entities'
   })
 
-  return buildResult({ resultIndexes, data: response.json })
+  return buildResult({ resultIndexes, data: spreadResponses(requests, response.json) })
+}
+
+/**
+ * Maps the responses of the requests to the grouped queries they answer.
+ * @param {Array<{ groups: Array<{ groupIndex: Number, indexes: Number[] }> }>} requests
+ * @param {Array<Object>} responses
+ * @returns {Array<Object>} The response of each grouped query
+ */
+function spreadResponses (requests, responses) {
+  const data = []
+  for (const [requestIndex, { groups, variables }] of requests.entries()) {
+    const response = responses[requestIndex]
+    for (const { groupIndex, indexes } of groups) {
+      if (groups.length === 1 && indexes.length === variables.representations.length) {
+        // the request is the grouped query itself
+        data[groupIndex] = response
+        continue
+      }
+
+      const entities = response.data && response.data._entities
+      data[groupIndex] = {
+        ...response,
+        data: {
+          ...response.data,
+          _entities: entities ? indexes.map(index => entities[index]) : entities
+        }
+      }
+    }
+  }
+  return data
 }
 
 /**
@@ -124,7 +427,7 @@ function buildResult ({ resultIndexes, data }) {
 /**
  * Fetches queries result from the service without batching (1 request for each query)
  * @param {Object} params
- * @param {GroupedQueries} params.mergeQueriesResult
+ * @param {Object} params.mergeQueriesResult The requests to send and the indexes used to map their results
  * @param {Object} params.service The service that will receive requests for the queries
  * @returns {Array} result
  */
@@ -134,10 +437,9 @@ async function fetchResult ({
   context,
   service
 }) {
-  const { mergedQueries, resultIndexes } = mergeQueriesResult
-  const queriesEntries = Object.entries(mergedQueries)
-  const data = await Promise.all(
-    queriesEntries.map(async ([query, { document, variables }]) => {
+  const { requests, resultIndexes } = mergeQueriesResult
+  const responses = await Promise.all(
+    requests.map(async ({ query, document, variables }) => {
       let modifiedQuery
 
       if (context.gateway.preGatewayExecution !== null) {
@@ -155,33 +457,69 @@ async function fetchResult ({
           query: modifiedQuery || query,
           variables
         }),
-        context
+        context,
+        operation: 'entities'
       })
 
       return response.json
     })
   )
 
-  return buildResult({ data, resultIndexes })
+  return buildResult({ data: spreadResponses(requests, responses), resultIndexes })
+}
+
+/**
+ * Lists the requests the entities queries sent at the same time to a service are merged into,
+ * as they are merged with their representations by `mergeEntitiesQueries`.
+ * The representations of each query have the fields required by its selections.
+ * @param {Array<{ query: string, variables: Object }>} queries
+ * @param {import('graphql').GraphQLSchema} [schema] The gateway schema
+ * @returns {Array<{ query: string, indexes: Number[] }>} The query of each request and the indexes of the queries it answers
+ */
+function planEntitiesRequests (queries, schema) {
+  const { mergedQueries, resultIndexes } = groupQueriesByDefinition(queries.map(({ query, variables }) => {
+    const document = parse(query)
+    const fragment = getEntitiesFragment(document)
+    const representation = {}
+    if (fragment) {
+      const typeName = fragment.typeCondition.name.value
+      representation.__typename = typeName
+      for (const name of getRequiredFieldNames(fragment.selectionSet.selections, typeName, schema)) {
+        representation[name] = null
+      }
+    }
+    return { query, document, variables: { ...variables, representations: [representation] } }
+  }))
+
+  return mergeEntitiesQueries(mergedQueries, schema).map(({ query, groups }) => ({
+    query,
+    indexes: [...new Set(groups.flatMap(({ groupIndex }) => resultIndexes[groupIndex]))]
+  }))
 }
 
 /**
  * Fetches queries results from their shared service and returns array of data.
  * It batches queries into one request if allowBatchedQueries is true for the service.
+ * The queries fetching different fields of the same entities are merged into one query.
  * @param {Object} params
  * @param {Array} params.queries The list of queries to be executed
  * @param {Object} params.service The service to send requests to
+ * @param {Object} [params.schema] The gateway schema
  * @returns {Array} The array of results
  */
 async function getQueryResult ({
   context,
   queries,
   serviceDefinition,
-  service
+  service,
+  schema
 }) {
-  const mergeQueriesResult = groupQueriesByDefinition(queries)
+  const { mergedQueries, resultIndexes } = groupQueriesByDefinition(queries)
   const params = {
-    mergeQueriesResult,
+    mergeQueriesResult: {
+      requests: mergeEntitiesQueries(mergedQueries, schema),
+      resultIndexes
+    },
     service,
     serviceDefinition,
     queries,
@@ -195,4 +533,7 @@ async function getQueryResult ({
   return fetchResult({ ...params })
 }
 
-module.exports = getQueryResult
+module.exports = {
+  getQueryResult,
+  planEntitiesRequests
+}
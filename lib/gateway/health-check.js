@@ -0,0 +1,167 @@
+'use strict'
+
+// the errors of the requests counted as failures of their upstream
+const failureCodes = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EPIPE',
+  'ETIMEDOUT',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_BODY_TIMEOUT'
+])
+
+/**
+ * Checks the health of the upstreams of a `BalancedPool` and removes the unhealthy ones from the pool.
+ * - actively: each upstream is sent a `{ __typename }` query, or a GET request to `path`, every `interval` milliseconds,
+ *   it is unhealthy after `unhealthyThreshold` failed checks and healthy again after `healthyThreshold` successful checks
+ * - passively: an upstream is unhealthy when its requests fail `maxFailures` times between two checks,
+ *   the closes of the idle connections are not failures
+ * The upstreams are added back to the pool once they are healthy.
+ * The last upstream of the pool is never removed, the requests would fail anyway.
+ * @param {import('undici').BalancedPool} pool The pool of the upstreams
+ * @param {import('undici').Dispatcher} dispatcher The dispatcher sending the checks
+ * @param {string[]} urls The urls of the upstreams
+ * @param {Object} opts
+ * @param {number} [opts.interval=10000] The delay in milliseconds between two checks
+ * @param {string} [opts.path] The path requested with GET instead of the `{ __typename }` query
+ * @param {number} [opts.unhealthyThreshold=2] The number of consecutive failed checks of an unhealthy upstream
+ * @param {number} [opts.healthyThreshold=2] The number of consecutive successful checks of a healthy upstream
+ * @param {number} [opts.maxFailures=5] The number of failed requests of an unhealthy upstream
+ * @param {Object} [log] The logger of the gateway
+ */
+function createHealthCheck (pool, dispatcher, urls, {
+  interval = 10e3,
+  path,
+  unhealthyThreshold = 2,
+  healthyThreshold = 2,
+  maxFailures = 5
+} = {}, log) {
+  const upstreams = new Map()
+  for (const url of urls) {
+    const { origin, pathname } = new URL(url)
+    upstreams.set(origin, {
+      origin,
+      path: path || pathname,
+      healthy: true,
+      checkFailures: 0,
+      checkSuccesses: 0,
+      // the failures of the connections since the last check
+      failures: 0,
+      lastCheck: null,
+      lastError: null
+    })
+  }
+
+  function updatePool () {
+    const healthy = [...upstreams.values()].filter(upstream => upstream.healthy)
+    for (const { origin } of healthy) {
+      if (!pool.getUpstream(origin)) {
+        pool.addUpstream(origin)
+      }
+    }
+    if (healthy.length === 0) {
+      return
+    }
+    for (const { origin, healthy } of upstreams.values()) {
+      if (!healthy && pool.getUpstream(origin)) {
+        pool.removeUpstream(origin)
+      }
+    }
+  }
+
+  function setHealthy (upstream, healthy) {
+    if (upstream.healthy === healthy) {
+      return
+    }
+    upstream.healthy = healthy
+    upstream.checkFailures = 0
+    upstream.checkSuccesses = 0
+    upstream.failures = 0
+    if (log) {
+      const message = `Upstream "${upstream.origin}" is ${healthy ? 'healthy' : 'unhealthy'}`
+      healthy ? log.info(message) : log.warn(message)
+    }
+    updatePool()
+  }
+
+  function recordFailure (origin, err) {
+    const upstream = upstreams.get(origin)
+    if (!upstream || !upstream.healthy || !err || !failureCodes.has(err.code)) {
+      return
+    }
+    upstream.lastError = err.message
+    if (++upstream.failures >= maxFailures) {
+      setHealthy(upstream, false)
+    }
+  }
+
+  async function check (upstream) {
+    try {
+      const { statusCode, body } = await dispatcher.request(path
+        ? { origin: upstream.origin, path: upstream.path, method: 'GET' }
+        : {
+            origin: upstream.origin,
+            path: upstream.path,
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ query: '{ __typename }' })
+          })
+      await body.dump()
+      if (statusCode >= 300) {
+        throw new Error(`Unexpected status code ${statusCode}`)
+      }
+
+      upstream.checkFailures = 0
+      if (++upstream.checkSuccesses >= healthyThreshold) {
+        setHealthy(upstream, true)
+      }
+    } catch (err) {
+      upstream.lastError = err.message
+      upstream.checkSuccesses = 0
+      if (++upstream.checkFailures >= unhealthyThreshold) {
+        setHealthy(upstream, false)
+      }
+    }
+    upstream.lastCheck = new Date()
+  }
+
+  let checking = false
+  const timer = setInterval(async () => {
+    // a check slower than the interval is not run twice
+    if (checking) {
+      return
+    }
+    checking = true
+    for (const upstream of upstreams.values()) {
+      upstream.failures = 0
+    }
+    await Promise.all([...upstreams.values()].map(check))
+    checking = false
+  }, interval)
+  timer.unref()
+
+  return {
+    /**
+     * Returns the health of each upstream, by origin.
+     */
+    health () {
+      const health = {}
+      for (const { origin, healthy, failures, lastCheck, lastError } of upstreams.values()) {
+        health[origin] = { healthy, failures, lastCheck, lastError }
+      }
+      return health
+    },
+    /**
+     * Counts a failed request of an upstream, a connect error included.
+     */
+    recordFailure,
+    close () {
+      clearInterval(timer)
+      return dispatcher.close()
+    }
+  }
+}
+
+module.exports = createHealthCheck
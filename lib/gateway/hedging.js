@@ -0,0 +1,114 @@
+'use strict'
+
+// the number of latencies needed to compute the delay of the hedged requests
+const minSamples = 10
+
+/**
+ * Sends a request to another upstream when the response of the first upstream is slower than
+ * the `percentile` of the latest `window` latencies of the service, and keeps the first response.
+ * The requests are not hedged until `minSamples` latencies are known.
+ * @param {Object} opts
+ * @param {number} [opts.percentile=95] The percentile of the latencies used as the delay of the hedged requests
+ * @param {number} [opts.minDelay=10] The minimum delay in milliseconds of the hedged requests
+ * @param {number} [opts.window=100] The number of latest latencies
+ */
+function createHedging ({ percentile = 95, minDelay = 10, window = 100 } = {}) {
+  const latencies = []
+
+  function record (latency) {
+    latencies.push(latency)
+    if (latencies.length > window) {
+      latencies.shift()
+    }
+  }
+
+  function getDelay () {
+    if (latencies.length < minSamples) {
+      return null
+    }
+    const sorted = [...latencies].sort((a, b) => a - b)
+    const index = Math.max(0, Math.ceil((percentile / 100) * sorted.length) - 1)
+    return Math.max(minDelay, sorted[index])
+  }
+
+  // sends a request that is not hedged and records its latency
+  async function measure (send, upstream) {
+    const start = Date.now()
+    const response = await send(upstream)
+    record(Date.now() - start)
+    return response
+  }
+
+  return {
+    /**
+     * Sends a request with `send (upstream, signal)` to `upstream`,
+     * and to the upstream returned by `pickHedge ()` if the response is late.
+     * The request failing first is not hedged, the failure is thrown at once.
+     */
+    request (send, upstream, pickHedge) {
+      const delay = getDelay()
+      if (delay === null) {
+        return measure(send, upstream)
+      }
+
+      // the latency of a hedged request is the one seen by the client, from the first request
+      const begin = Date.now()
+      return new Promise((resolve, reject) => {
+        const controllers = []
+        let settled = false
+        let pending = 0
+        let hedged = false
+
+        function start (upstream) {
+          const controller = new AbortController()
+          const started = Date.now()
+          controllers.push(controller)
+          pending++
+          send(upstream, controller.signal).then(response => {
+            if (settled) {
+              record(Date.now() - started)
+              response.body.destroy()
+              return
+            }
+            settled = true
+            record(Date.now() - begin)
+            clearTimeout(timer)
+            for (const other of controllers) {
+              if (other !== controller) {
+                other.abort()
+              }
+            }
+            resolve(response)
+          }, err => {
+            pending--
+            if (settled) {
+              return
+            }
+            // the hedged request may still succeed
+            if (hedged && pending > 0) {
+              return
+            }
+            settled = true
+            clearTimeout(timer)
+            reject(err)
+          })
+        }
+
+        const timer = setTimeout(() => {
+          let hedge
+          try {
+            hedge = pickHedge()
+          } catch (err) {
+            // the pending request is kept when no upstream can be picked
+            return
+          }
+          hedged = true
+          start(hedge)
+        }, delay)
+        start(upstream)
+      })
+    }
+  }
+}
+
+module.exports = createHedging
@@ -0,0 +1,177 @@
+'use strict'
+
+const { createHash } = require('node:crypto')
+const { MER_ERR_INVALID_OPTS, MER_ERR_GQL_GATEWAY_NO_UPSTREAM } = require('../errors')
+
+// the number of points of an upstream on the hash ring, multiplied by its weight
+const ringPoints = 100
+
+function hash (value) {
+  return createHash('md5').update(value).digest().readUInt32BE(0)
+}
+
+/**
+ * Returns the upstreams of the `url` option of a service, i.e. a url, or an array of urls or `{ url, weight }` objects.
+ * @returns {Array<{ url: string, origin: string, weight: number, outstanding: number }>}
+ */
+function getUpstreams (url) {
+  return (Array.isArray(url) ? url : [url]).map(upstream => {
+    const { url, weight = 1 } = typeof upstream === 'string' ? { url: upstream } : upstream
+    return { url, origin: new URL(url).origin, weight, outstanding: 0 }
+  })
+}
+
+function createRoundRobin () {
+  const currentWeights = new Map()
+
+  // smooth weighted round robin, the upstreams with the same weight are picked in turn
+  return function pick (upstreams, opts, exclude) {
+    let total = 0
+    let picked = null
+    for (const upstream of upstreams) {
+      if (upstream === exclude) {
+        continue
+      }
+      const current = (currentWeights.get(upstream) || 0) + upstream.weight
+      currentWeights.set(upstream, current)
+      total += upstream.weight
+      if (picked === null || current > currentWeights.get(picked)) {
+        picked = upstream
+      }
+    }
+    if (picked !== null) {
+      currentWeights.set(picked, currentWeights.get(picked) - total)
+    }
+    return picked
+  }
+}
+
+function createLeastOutstanding () {
+  let start = 0
+
+  // the upstreams with as many outstanding requests are picked in turn
+  return function pick (upstreams, opts, exclude) {
+    if (upstreams.length === 0) {
+      return null
+    }
+    start = (start + 1) % upstreams.length
+    let picked = null
+    for (let i = 0; i < upstreams.length; i++) {
+      const upstream = upstreams[(start + i) % upstreams.length]
+      if (upstream === exclude) {
+        continue
+      }
+      if (picked === null || upstream.outstanding / upstream.weight < picked.outstanding / picked.weight) {
+        picked = upstream
+      }
+    }
+    return picked
+  }
+}
+
+function createConsistentHashing (getKey, fallback) {
+  let ring = []
+  let ringUpstreams = null
+
+  function buildRing (upstreams) {
+    ring = []
+    for (const upstream of upstreams) {
+      for (let i = 0; i < ringPoints * upstream.weight; i++) {
+        ring.push({ point: hash(`${upstream.url}-${i}`), upstream })
+      }
+    }
+    ring.sort((a, b) => a.point - b.point)
+    ringUpstreams = upstreams
+  }
+
+  // the requests with the same key are sent to the same upstream as long as it is available,
+  // the excluded upstream is replaced by the next upstream on the ring
+  return function pick (upstreams, opts, exclude) {
+    if (!upstreams.some(upstream => upstream !== exclude)) {
+      return null
+    }
+
+    const key = getKey(opts.originalRequestHeaders, opts.context)
+    if (key === undefined || key === null) {
+      return fallback(upstreams, opts, exclude)
+    }
+
+    if (ringUpstreams === null || ringUpstreams.length !== upstreams.length || ringUpstreams.some((upstream, i) => upstream !== upstreams[i])) {
+      buildRing(upstreams)
+    }
+
+    const point = hash(String(key))
+    let low = 0
+    let high = ring.length
+    while (low < high) {
+      const middle = (low + high) >>> 1
+      if (ring[middle].point < point) {
+        low = middle + 1
+      } else {
+        high = middle
+      }
+    }
+    while (ring[low % ring.length].upstream === exclude) {
+      low++
+    }
+    return ring[low % ring.length].upstream
+  }
+}
+
+/**
+ * Picks the upstream of each request of a service, among its available upstreams but the `exclude` upstream,
+ * e.g. the upstream of a hedged request.
+ * The `loadBalancer` option of the service is one of:
+ * - `'round-robin'`: the upstreams are picked in turn, according to their weight
+ * - `'least-outstanding'`: the upstream with the fewest requests in progress, relative to its weight
+ * - `{ hash (headers, context) }`: consistent hashing on the returned key, e.g. a tenant id,
+ *   the requests without a key are load balanced with `'round-robin'`
+ * - `function (upstreams, headers, context)`: a custom picker returning one of the upstreams,
+ *   or `undefined` to use `'round-robin'`
+ * Throws when there is no upstream to pick.
+ * @param {string} service The name of the service
+ */
+function createLoadBalancer (service, loadBalancer = 'round-robin') {
+  const pick = createPicker(service, loadBalancer)
+
+  return function pickUpstream (upstreams, opts, exclude) {
+    const picked = pick(upstreams, opts, exclude)
+    if (!picked) {
+      throw new MER_ERR_GQL_GATEWAY_NO_UPSTREAM(service)
+    }
+    return picked
+  }
+}
+
+function createPicker (service, loadBalancer) {
+  const roundRobin = createRoundRobin()
+
+  if (loadBalancer === 'round-robin') {
+    return roundRobin
+  }
+  if (loadBalancer === 'least-outstanding') {
+    return createLeastOutstanding()
+  }
+  if (typeof loadBalancer === 'object' && loadBalancer !== null && typeof loadBalancer.hash === 'function') {
+    return createConsistentHashing(loadBalancer.hash, roundRobin)
+  }
+  if (typeof loadBalancer === 'function') {
+    return function pick (upstreams, opts, exclude) {
+      const candidates = upstreams.filter(upstream => upstream !== exclude)
+      if (candidates.length === 0) {
+        return null
+      }
+      const picked = loadBalancer(candidates, opts.originalRequestHeaders, opts.context)
+      return candidates.includes(picked) ? picked : roundRobin(candidates)
+    }
+  }
+
+  throw new MER_ERR_INVALID_OPTS(
+    `gateway: the "loadBalancer" of service "${service}" must be 'round-robin', 'least-outstanding', a { hash } Object or a Function`
+  )
+}
+
+module.exports = {
+  getUpstreams,
+  createLoadBalancer
+}
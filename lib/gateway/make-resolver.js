@@ -1,6 +1,6 @@
 'use strict'
 
-const { getNamedType, print, parse, Kind, isUnionType } = require('graphql')
+const { getNamedType, print, parse, Kind, isAbstractType, isUnionType } = require('graphql')
 const {
   preGatewayExecutionHandler,
   preGatewaySubscriptionExecutionHandler
@@ -9,6 +9,7 @@ const { collect } = require('../collectors')
 const { MER_ERR_GQL_GATEWAY_MISSING_KEY_DIRECTIVE } = require('../errors')
 
 const kEntityResolvers = Symbol('mercurius.entity-resolvers')
+const keySelectionsCache = new WeakMap()
 
 function getFieldType (schema, type, fieldName) {
   return getNamedType(schema.getType(type).getFields()[fieldName].type)
@@ -36,22 +37,73 @@ function getDirectiveSelection (node, directiveName) {
   return query.definitions[0].selectionSet.selections
 }
 
+/**
+ * Returns the selections of the fields of each `@key` of an entity type,
+ * declared on its definition or on its extensions.
+ */
+function getKeySelections (type) {
+  let keys = keySelectionsCache.get(type)
+  if (keys) {
+    return keys
+  }
+
+  keys = []
+  const printedKeys = new Set()
+  for (const node of [type.astNode, ...(type.extensionASTNodes || [])]) {
+    if (!node || !node.directives) {
+      continue
+    }
+    for (const directive of node.directives) {
+      const fields = directive.name.value === 'key' &&
+        directive.arguments.find(argument => argument.name.value === 'fields')
+      if (!fields) {
+        continue
+      }
+      const selections = parse(`{ ${fields.value.value} }`).definitions[0].selectionSet.selections
+      const printedKey = selections.map(selection => print(selection)).join(' ')
+      if (!printedKeys.has(printedKey)) {
+        printedKeys.add(printedKey)
+        keys.push(selections)
+      }
+    }
+  }
+
+  keySelectionsCache.set(type, keys)
+  return keys
+}
+
+/**
+ * Returns the fields of the keys of an entity type the service can return,
+ * so that the representations can be built for the services declaring any of the keys.
+ */
+function getServiceKeySelections (type, service) {
+  if (!type || !type.astNode) {
+    return []
+  }
+
+  const keys = getKeySelections(type)
+  const fields = service.typeMap[type]
+  const serviceKeys = fields
+    ? keys.filter(key => key.every(selection => fields.has(selection.name.value)))
+    : []
+
+  return (serviceKeys.length > 0 ? serviceKeys : keys.slice(0, 1)).flat()
+}
+
 function getDirectiveRequiresSelection (selections, type) {
-  if (
-    !type.extensionASTNodes ||
-    type.extensionASTNodes.length === 0 ||
-    !type.extensionASTNodes[0].fields[0] ||
-    !type.extensionASTNodes[0].fields[0].directives[0]
-  ) {
+  if (!type.extensionASTNodes || type.extensionASTNodes.length === 0) {
     return []
   }
 
   const requires = []
-  const selectedFields = selections.map(selection => selection.name.value)
+  const selectedFields = selections
+    .filter(selection => selection.kind === Kind.FIELD)
+    .map(selection => selection.name.value)
 
   for (let i = 0; i < type.extensionASTNodes.length; i++) {
-    for (let j = 0; j < type.extensionASTNodes[i].fields.length; j++) {
-      const field = type.extensionASTNodes[i].fields[j]
+    const fields = type.extensionASTNodes[i].fields || []
+    for (let j = 0; j < fields.length; j++) {
+      const field = fields[j]
       if (!selectedFields.includes(field.name.value) || !field.directives) {
         continue
       }
@@ -68,14 +120,62 @@ function getDirectiveRequiresSelection (selections, type) {
   return requires
 }
 
-function collectServiceTypeFields (selections, service, type, schema) {
+/**
+ * Returns the name of a type in the service: the implementations of an interface
+ * the service resolves as an `@interfaceObject` are named after the interface.
+ */
+function getServiceTypeName (service, typeName) {
+  return (service.interfaceObjects && service.interfaceObjects[typeName]) || typeName
+}
+
+function getServiceTypeCondition (service, typeCondition) {
+  const typeName = getServiceTypeName(service, typeCondition.name.value)
+  return typeName === typeCondition.name.value
+    ? typeCondition
+    : { ...typeCondition, name: { ...typeCondition.name, value: typeName } }
+}
+
+function isExternalField (service, typeName, fieldName) {
+  const fields = service.extensionTypeMap && service.extensionTypeMap[typeName]
+  return fields !== undefined && !service.types.has(typeName) && !fields.has(fieldName)
+}
+
+/**
+ * Returns the selections of the fields of a nested type the service can return:
+ * the fields listed by the `@provides` directive of the parent field,
+ * or the ones provided by the parent selections if the parent field is external.
+ */
+function getProvidedSelections (service, type, fieldName, schema, provides) {
+  if (provides && isExternalField(service, `${type}`, fieldName)) {
+    const provided = provides.find(selection => selection.kind === Kind.FIELD && selection.name.value === fieldName)
+    return provided && provided.selectionSet ? provided.selectionSet.selections : []
+  }
+  return getDirectiveSelection(schema.getType(`${type}`).getFields()[fieldName], 'provides')
+}
+
+/**
+ * The external fields of a nested type are only requested if they are keys or provided by the parent field.
+ * The external fields of the entities queried by the service are not filtered, `provides` is undefined.
+ */
+function isResolvableField (service, type, fieldName, provides) {
+  return !provides ||
+    !isExternalField(service, `${type}`, fieldName) ||
+    provides.some(selection => selection.kind === Kind.FIELD && selection.name.value === fieldName) ||
+    (type.astNode !== undefined && getKeySelections(type).some(key => key.some(selection => selection.name.value === fieldName)))
+}
+
+function collectServiceTypeFields (selections, service, type, schema, provides) {
   return [
     ...selections
       .filter(
         selection =>
           selection.kind === Kind.INLINE_FRAGMENT ||
           selection.kind === Kind.FRAGMENT_SPREAD ||
-          (service.typeMap[type] && service.typeMap[type].has(selection.name.value))
+          (
+            service.typeMap[type] &&
+            service.typeMap[type].has(selection.name.value) &&
+            isResolvableField(service, type, selection.name.value, provides)
+          )
       )
       .map(selection => {
         if (selection.selectionSet && selection.selectionSet.selections) {
@@ -92,13 +192,15 @@ function collectServiceTypeFields (selections, service, type, schema) {
 
             return {
               ...selection,
+              typeCondition: getServiceTypeCondition(service, selection.typeCondition),
               selectionSet: {
                 kind: Kind.SELECTION_SET,
                 selections: collectServiceTypeFields(
                   [...selection.selectionSet.selections, ...requiredFields],
                   service,
                   inlineFragmentType,
-                  schema
+                  schema,
+                  provides
                 )
               }
             }
@@ -121,7 +223,8 @@ function collectServiceTypeFields (selections, service, type, schema) {
                 [...selection.selectionSet.selections, ...requiredFields],
                 service,
                 fieldType,
-                schema
+                schema,
+                getProvidedSelections(service, type, selection.name.value, schema, provides)
               )
             }
           }
@@ -138,11 +241,52 @@ function collectServiceTypeFields (selections, service, type, schema) {
       arguments: [],
       directives: []
     },
-    ...getDirectiveSelection(type, 'key'),
+    ...getServiceKeySelections(type, service),
     ...getDirectiveRequiresSelection(selections, type)
   ]
 }
 
+/**
+ * Checks if the values of the fields selected from the service resolving an entity
+ * are already returned by the service providing them with `@provides`.
+ * The key fields of the entities are always returned with them.
+ */
+function isProvidedSelection (selections, provides, type, schema, fragments) {
+  const provided = [...provides, ...getKeySelections(type).flat()]
+
+  return selections.every(selection => {
+    if (selection.kind === Kind.INLINE_FRAGMENT || selection.kind === Kind.FRAGMENT_SPREAD) {
+      const fragment = selection.kind === Kind.INLINE_FRAGMENT
+        ? selection
+        : fragments[selection.name.value]
+      return fragment !== undefined &&
+        isProvidedSelection(fragment.selectionSet.selections, provides, type, schema, fragments)
+    }
+
+    const fieldName = selection.name.value
+    if (fieldName === '__typename') {
+      return true
+    }
+
+    const providedSelection = provided.find(
+      node => node.kind === Kind.FIELD && node.name.value === fieldName
+    )
+    if (!providedSelection) {
+      return false
+    }
+    if (!selection.selectionSet) {
+      return true
+    }
+    return providedSelection.selectionSet !== undefined && isProvidedSelection(
+      selection.selectionSet.selections,
+      providedSelection.selectionSet.selections,
+      getFieldType(schema, type, fieldName),
+      schema,
+      fragments
+    )
+  })
+}
+
 function createQueryOperation ({
   fieldName,
   selections,
@@ -408,6 +552,7 @@ function collectFragmentsToInclude (usedFragments, fragments, service, schema) {
 
     result.push({
       ...fragment,
+      typeCondition: getServiceTypeCondition(service, fragment.typeCondition),
       selectionSet: {
         kind: Kind.SELECTION_SET,
         selections
@@ -460,6 +605,128 @@ function getSelectionsForType (selections, targetTypeName, fragments) {
   return result
 }
 
+/**
+ * Fetches the fields of the returned objects whose type is owned by a different service
+ * than the one that returned them, grouping the objects by type.
+ * The objects are completed in place, `toFill` items are set to null if the entity is not found.
+ */
+async function resolveEntitiesOfOtherServices ({
+  toFill,
+  selections,
+  schema,
+  fragments,
+  typeToServiceMap,
+  service,
+  serviceMap,
+  entityResolvers,
+  variableValues,
+  variableDefinitions,
+  context,
+  queryId
+}) {
+  // Group items by __typename to resolve entities from different services
+  const typeGroups = {}
+  for (let i = 0; i < toFill.length; i++) {
+    const item = toFill[i]
+    if (!item || !item.__typename) continue
+    const typeName = item.__typename
+    const targetService = typeToServiceMap[typeName]
+    if (!targetService || targetService === service.name) continue
+    if (!typeGroups[typeName]) {
+      typeGroups[typeName] = { targetService, indices: [] }
+    }
+    typeGroups[typeName].indices.push(i)
+  }
+
+  // Skip the standard resolver logic to avoid expensive per-field requests
+  // to other services. Entity data loaders do not support resolving union
+  // and interface members across services, so we issue direct _entities requests instead.
+  for (const typeName in typeGroups) {
+    const group = typeGroups[typeName]
+    // the objects returned as an `@interfaceObject` are resolved to their type by the service of the interface
+    const isInterfaceObject = isAbstractType(schema.getType(typeName))
+    const typeSelections = isInterfaceObject
+      ? selections
+      : getSelectionsForType(
+        selections,
+        typeName,
+        fragments
+      )
+
+    const filteredSelections = collectServiceTypeFields(
+      typeSelections,
+      serviceMap[group.targetService],
+      schema.getType(typeName),
+      schema
+    )
+
+    const reps = group.indices.map(i =>
+      removeNonIdProperties(toFill[i], schema.getType(typeName), serviceMap[group.targetService])
+    )
+
+    const unionVarNames = new Set(collectArgumentsWithVariableValues(filteredSelections))
+    const unionVarDefs = variableDefinitions.filter(
+      def => unionVarNames.has(def.variable.name.value)
+    )
+    const entityVars = { representations: reps }
+    for (const name of unionVarNames) {
+      // GraphQL validates that all referenced variables are provided,
+      // so this check is purely defensive.
+      /* istanbul ignore next */
+      if (name in variableValues) {
+        entityVars[name] = variableValues[name]
+      }
+    }
+
+    const op = createEntityReferenceResolverOperation({
+      returnType: typeName,
+      selections: filteredSelections,
+      variableDefinitions: unionVarDefs
+    })
+
+    const existingValues = Object.keys(reps[0])
+    const fieldsInRequest = filteredSelections
+      .map(sel => sel.name && sel.name.value)
+      .filter(value => value && !existingValues.includes(value))
+
+    const queryStr = print(op)
+
+    const usedFragments = getFragmentNamesInSelection(filteredSelections)
+    const fragmentsToDefine = collectFragmentsToInclude(
+      usedFragments,
+      fragments,
+      serviceMap[group.targetService],
+      schema
+    )
+    const finalQuery = appendFragments(queryStr, fragmentsToDefine)
+
+    let entities
+    if (!isInterfaceObject && !fieldsInRequest.length && finalQuery === queryStr) {
+      entities = reps
+    } else {
+      const responseEntityResolver = await entityResolvers[`${group.targetService}Entity`]({
+        document: op,
+        query: finalQuery,
+        variables: entityVars,
+        context,
+        // the entities of the different types are fetched with different queries
+        id: `${queryId}.${typeName}`
+      })
+
+      entities = responseEntityResolver.json.data._entities
+    }
+
+    for (let j = 0; j < entities.length; j++) {
+      const entity = entities[j]
+      if (entity == null) {
+        toFill[group.indices[j]] = null
+        continue
+      }
+      Object.assign(toFill[group.indices[j]], entity)
+    }
+  }
+}
+
 async function resolveNestedUnionFields ({
   toFill,
   schema,
@@ -569,7 +836,7 @@ async function resolveNestedUnionFields ({
         )
 
         const reps = nestedGroup.indices.map(ni =>
-          removeNonIdProperties(nestedItems[ni], schema.getType(nestedTypeName))
+          removeNonIdProperties(nestedItems[ni], schema.getType(nestedTypeName), serviceMap[nestedGroup.targetService])
         )
 
         const nestedUnionVarNames = new Set(collectArgumentsWithVariableValues(filteredSelections))
@@ -660,7 +927,8 @@ function makeResolver ({
   serviceMap,
   entityResolversFactory,
   lruGatewayResolvers,
-  skipRequestIfValueExists
+  skipRequestIfValueExists,
+  provides = []
 }) {
   return async function (parent, args, context, info) {
     const {
@@ -679,6 +947,21 @@ function makeResolver ({
     // Get the actual type as the returnType can be NonNull or List as well
     const type = getNamedType(returnType)
 
+    // the entities are not fetched if the parent service provides all the selected fields
+    if (
+      isReference &&
+      provides.length > 0 &&
+      isProvidedSelection(
+        collectServiceTypeFields(fieldNodes[0].selectionSet.selections, service, type, schema),
+        provides,
+        type,
+        schema,
+        fragments
+      )
+    ) {
+      return parent[fieldName]
+    }
+
     const queryId = generatePathKey(info.path).join('.')
     const resolverKey = `${queryId}.${type.toString()}`
     const { reply, __currentQuery, pubsub } = context
@@ -725,7 +1008,7 @@ function makeResolver ({
       // create the operation that will be sent to the service
       operation = createOperation({
         returnType: type,
-        parentType,
+        parentType: getServiceTypeName(service, parentType.name),
         fieldName,
         selections,
         isQuery,
@@ -770,17 +1053,17 @@ function makeResolver ({
     if (isReference) {
       if (parent[fieldName] instanceof Array) {
         variables.representations = parent[fieldName].map(ref =>
-          removeNonIdProperties(ref, type)
+          removeNonIdProperties(ref, type, service)
         )
       } else {
         variables.representations = [
-          removeNonIdProperties(parent[fieldName], type)
+          removeNonIdProperties(parent[fieldName], type, service)
         ]
       }
     } else if (!isQuery && !isSubscription) {
       variables.representations = [
         {
-          ...removeNonIdProperties(parent, parentType),
+          ...removeNonIdProperties(parent, parentType, service),
           ...getRequiredFields(
             parent,
             schema.getType(parentType).getFields()[fieldName]
@@ -831,7 +1114,8 @@ function makeResolver ({
           variables
         }),
         originalRequestHeaders: reply ? reply.request.headers : {},
-        context
+        context,
+        operation: originalOperation.operation
       })
 
       const collectors = service.collectors
@@ -853,102 +1137,20 @@ function makeResolver ({
         const isTransformedArray = Array.isArray(transformed)
         const toFill = isTransformedArray ? transformed : [transformed]
 
-        // Group items by __typename to resolve entities from different services
-        const typeGroups = {}
-        for (let i = 0; i < toFill.length; i++) {
-          const item = toFill[i]
-          if (!item || !item.__typename) continue
-          const typeName = item.__typename
-          const targetService = typeToServiceMap[typeName]
-          if (!targetService || targetService === service.name) continue
-          if (!typeGroups[typeName]) {
-            typeGroups[typeName] = { targetService, indices: [] }
-          }
-          typeGroups[typeName].indices.push(i)
-        }
-
-        // Skip the standard resolver logic to avoid expensive per-field requests
-        // to other services. Entity data loaders do not support resolving union
-        // members across services, so we issue direct _entities requests instead.
-        for (const typeName in typeGroups) {
-          const group = typeGroups[typeName]
-          const typeSelections = getSelectionsForType(
-            fieldNodes[0].selectionSet.selections,
-            typeName,
-            fragments
-          )
-
-          const filteredSelections = collectServiceTypeFields(
-            typeSelections,
-            serviceMap[group.targetService],
-            schema.getType(typeName),
-            schema
-          )
-
-          const reps = group.indices.map(i =>
-            removeNonIdProperties(toFill[i], schema.getType(typeName))
-          )
-
-          const unionVarNames = new Set(collectArgumentsWithVariableValues(filteredSelections))
-          const unionVarDefs = originalOperation.variableDefinitions.filter(
-            def => unionVarNames.has(def.variable.name.value)
-          )
-          const entityVars = { representations: reps }
-          for (const name of unionVarNames) {
-            // GraphQL validates that all referenced variables are provided,
-            // so this check is purely defensive.
-            /* istanbul ignore next */
-            if (name in variableValues) {
-              entityVars[name] = variableValues[name]
-            }
-          }
-
-          const op = createEntityReferenceResolverOperation({
-            returnType: typeName,
-            selections: filteredSelections,
-            variableDefinitions: unionVarDefs
-          })
-
-          const existingValues = Object.keys(reps[0])
-          const fieldsInRequest = filteredSelections
-            .map(sel => sel.name && sel.name.value)
-            .filter(value => value && !existingValues.includes(value))
-
-          const queryStr = print(op)
-
-          const usedFragments = getFragmentNamesInSelection(filteredSelections)
-          const fragmentsToDefine = collectFragmentsToInclude(
-            usedFragments,
-            fragments,
-            serviceMap[group.targetService],
-            schema
-          )
-          const finalQuery = appendFragments(queryStr, fragmentsToDefine)
-
-          let entities
-          if (!fieldsInRequest.length && finalQuery === queryStr) {
-            entities = reps
-          } else {
-            const responseEntityResolver = await entityResolvers[`${group.targetService}Entity`]({
-              document: op,
-              query: finalQuery,
-              variables: entityVars,
-              context,
-              id: queryId
-            })
-
-            entities = responseEntityResolver.json.data._entities
-          }
-
-          for (let j = 0; j < entities.length; j++) {
-            const entity = entities[j]
-            if (entity == null) {
-              toFill[group.indices[j]] = null
-              continue
-            }
-            Object.assign(toFill[group.indices[j]], entity)
-          }
-        }
+        await resolveEntitiesOfOtherServices({
+          toFill,
+          selections: fieldNodes[0].selectionSet.selections,
+          schema,
+          fragments,
+          typeToServiceMap,
+          service,
+          serviceMap,
+          entityResolvers,
+          variableValues,
+          variableDefinitions: originalOperation.variableDefinitions,
+          context,
+          queryId
+        })
 
         // Resolve nested union fields whose members belong to a different service
         await resolveNestedUnionFields({
@@ -986,43 +1188,133 @@ function makeResolver ({
   }
 }
 
-function removeNonIdProperties (obj, type) {
-  const keyDirective = type.astNode.directives.find(d => d.name.value === 'key')
+/**
+ * Resolves a field returning an interface from the parent value,
+ * then fetches the objects whose type is owned by another service than the service of the parent.
+ */
+function makeInterfaceResolver ({
+  service,
+  typeToServiceMap,
+  serviceMap,
+  entityResolversFactory
+}) {
+  return async function (parent, args, context, info) {
+    const value = parent && parent[info.path.key]
+    if (!value || !info.fieldNodes[0].selectionSet) {
+      return value
+    }
 
-  if (!keyDirective) {
-    throw new MER_ERR_GQL_GATEWAY_MISSING_KEY_DIRECTIVE(type.name)
-  }
+    const toFill = Array.isArray(value) ? value : [value]
+    const entityResolvers = context.reply?.[kEntityResolvers] || entityResolversFactory.create()
+    const queryId = generatePathKey(info.path).join('.')
 
-  const idFields = keyDirective.arguments[0].value.value.split(' ')
+    await resolveEntitiesOfOtherServices({
+      toFill,
+      selections: info.fieldNodes[0].selectionSet.selections,
+      schema: info.schema,
+      fragments: info.fragments,
+      typeToServiceMap,
+      service,
+      serviceMap,
+      entityResolvers,
+      variableValues: info.variableValues,
+      variableDefinitions: info.operation.variableDefinitions,
+      context,
+      queryId
+    })
 
-  const result = {
-    __typename: obj.__typename
-  }
+    // Resolve nested union fields whose members belong to a different service
+    await resolveNestedUnionFields({
+      toFill,
+      schema: info.schema,
+      fieldNodes: info.fieldNodes,
+      fragments: info.fragments,
+      typeToServiceMap,
+      service,
+      serviceMap,
+      entityResolvers,
+      variableValues: info.variableValues,
+      originalVariableDefinitions: info.operation.variableDefinitions,
+      context,
+      queryId
+    })
 
-  for (const id of idFields) {
-    result[id] = obj[id]
+    return Array.isArray(value) ? value : toFill[0]
   }
+}
 
-  return result
+function hasKeyFields (obj, selections) {
+  return selections.every(selection => {
+    const value = obj[selection.name.value]
+    if (value === undefined) {
+      return false
+    }
+    if (!selection.selectionSet || value === null) {
+      return true
+    }
+    return Array.isArray(value)
+      ? value.every(item => item == null || hasKeyFields(item, selection.selectionSet.selections))
+      : hasKeyFields(value, selection.selectionSet.selections)
+  })
 }
 
-function getRequiredFields (obj, field) {
-  const requiresDirective = field.astNode.directives.find(
-    d => d.name.value === 'requires'
-  )
+/**
+ * Copies the values of the selected fields, including the nested ones, of an object.
+ */
+function pickSelectedFields (obj, selections) {
   const result = {}
 
-  if (!requiresDirective) {
-    return result
+  for (const selection of selections) {
+    const value = obj[selection.name.value]
+    if (!selection.selectionSet || value == null) {
+      result[selection.name.value] = value
+    } else if (Array.isArray(value)) {
+      result[selection.name.value] = value.map(item =>
+        item == null ? item : pickSelectedFields(item, selection.selectionSet.selections)
+      )
+    } else {
+      result[selection.name.value] = pickSelectedFields(value, selection.selectionSet.selections)
+    }
+  }
+
+  return result
+}
+
+/**
+ * Builds the representation of an entity from the fields of one of its keys.
+ * The keys declared by the service receiving the representation are preferred,
+ * the first key whose fields are all available is used.
+ * @param {Object} obj The entity
+ * @param {Object} type The entity type in the gateway schema
+ * @param {Object} [service] The service receiving the representation
+ * @returns {Object} The representation
+ */
+function removeNonIdProperties (obj, type, service) {
+  // the type owned by a service must be declared as an entity
+  if (!type.astNode.directives.some(directive => directive.name.value === 'key')) {
+    throw new MER_ERR_GQL_GATEWAY_MISSING_KEY_DIRECTIVE(type.name)
   }
 
-  const requiredFields = requiresDirective.arguments[0].value.value.split(' ')
+  const keys = getKeySelections(type)
+
+  const serviceType = service && service.schema && service.schema.getType(type.name)
+  const serviceKeys = serviceType ? getKeySelections(serviceType) : []
+  const key = serviceKeys.find(key => hasKeyFields(obj, key)) ||
+    keys.find(key => hasKeyFields(obj, key)) ||
+    serviceKeys[0] ||
+    keys[0]
 
-  for (const requiredField of requiredFields) {
-    result[requiredField] = obj[requiredField]
+  return {
+    __typename: service ? getServiceTypeName(service, obj.__typename) : obj.__typename,
+    ...pickSelectedFields(obj, key)
   }
+}
 
-  return result
+/**
+ * Copies the fields required by a field with `@requires`, including the nested ones, from its parent.
+ */
+function getRequiredFields (obj, field) {
+  return pickSelectedFields(obj, getDirectiveSelection(field, 'requires'))
 }
 
 function appendFragments (query, fragmentsToDefine) {
@@ -1042,8 +1334,22 @@ function appendFragments (query, fragmentsToDefine) {
 
 module.exports = {
   makeResolver,
+  makeInterfaceResolver,
   createQueryOperation,
   createFieldResolverOperation,
   createEntityReferenceResolverOperation,
+  collectServiceTypeFields,
+  collectArgumentNames,
+  collectArgumentsWithVariableValues,
+  collectFragmentsToInclude,
+  getFragmentNamesInSelection,
+  getSelectionsForType,
+  getServiceTypeName,
+  getDirectiveSelection,
+  getKeySelections,
+  isProvidedSelection,
+  removeNonIdProperties,
+  getRequiredFields,
+  appendFragments,
   kEntityResolvers
 }
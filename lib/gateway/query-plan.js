@@ -0,0 +1,570 @@
+'use strict'
+
+const {
+  getNamedType,
+  getNullableType,
+  isAbstractType,
+  isCompositeType,
+  isInterfaceType,
+  isListType,
+  isObjectType,
+  isUnionType,
+  print,
+  Kind
+} = require('graphql')
+const {
+  createQueryOperation,
+  createFieldResolverOperation,
+  createEntityReferenceResolverOperation,
+  collectServiceTypeFields,
+  collectArgumentNames,
+  collectArgumentsWithVariableValues,
+  collectFragmentsToInclude,
+  getFragmentNamesInSelection,
+  getSelectionsForType,
+  getServiceTypeName,
+  getKeySelections,
+  isProvidedSelection,
+  appendFragments
+} = require('./make-resolver')
+
+/**
+ * A query plan describes, before execution, every request the gateway sends to the services
+ * in order to resolve an operation. It is derived from the same routing decisions `defineResolvers`
+ * takes for each field, so it matches what the field resolvers would send.
+ *
+ * The plan is a tree of nodes:
+ *  - `Fetch`: a single operation sent to a service
+ *  - `Flatten`: runs its `Fetch` for every object found at `path` in the data fetched so far
+ *  - `Sequence`: runs its nodes one after the other
+ *  - `Parallel`: runs its nodes concurrently
+ *
+ * Paths are response names, `@` for the items of a list and `... on Type` to only keep
+ * the objects of the given type.
+ *
+ * Example:
+ *
+ * {
+ *   kind: 'QueryPlan',
+ *   operation: 'query',
+ *   node: {
+ *     kind: 'Sequence',
+ *     nodes: [
+ *       { kind: 'Fetch', service: 'post', operation: 'query', ... },
+ *       {
+ *         kind: 'Flatten',
+ *         path: ['topPosts', '@', 'author'],
+ *         node: { kind: 'Fetch', service: 'user', operation: 'entities', ... }
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+
+function sequence (nodes) {
+  const filtered = nodes.filter(Boolean)
+  if (filtered.length < 2) {
+    return filtered[0] || null
+  }
+  return { kind: 'Sequence', nodes: filtered }
+}
+
+function parallel (nodes) {
+  const filtered = nodes.filter(Boolean)
+  if (filtered.length < 2) {
+    return filtered[0] || null
+  }
+  return { kind: 'Parallel', nodes: filtered }
+}
+
+function flatten (path, node) {
+  return node && { kind: 'Flatten', path, node }
+}
+
+function listSegments (type) {
+  const segments = []
+  let nullableType = getNullableType(type)
+  while (isListType(nullableType)) {
+    segments.push('@')
+    nullableType = getNullableType(nullableType.ofType)
+  }
+  return segments
+}
+
+// the @skip and @include directives of a node, in a serializable form
+function getConditions (node) {
+  const conditions = []
+  if (!node.directives) {
+    return conditions
+  }
+  for (const directive of node.directives) {
+    const name = directive.name.value
+    if (name !== 'skip' && name !== 'include') {
+      continue
+    }
+    const argument = directive.arguments.find(arg => arg.name.value === 'if')
+    /* istanbul ignore next the graphql validation ensures the argument is defined */
+    if (!argument) {
+      continue
+    }
+    conditions.push(
+      argument.value.kind === Kind.VARIABLE
+        ? { directive: name, variable: argument.value.name.value }
+        : { directive: name, value: argument.value.value }
+    )
+  }
+  return conditions
+}
+
+function shouldInclude (conditions, variableValues) {
+  if (!conditions) {
+    return true
+  }
+  for (const condition of conditions) {
+    const value = condition.variable !== undefined
+      ? variableValues[condition.variable]
+      : condition.value
+    if (condition.directive === 'skip' && value === true) {
+      return false
+    }
+    if (condition.directive === 'include' && value === false) {
+      return false
+    }
+  }
+  return true
+}
+
+function doesTypeConditionMatch (schema, typeConditionName, type) {
+  if (typeConditionName === type.name) {
+    return true
+  }
+  const typeCondition = schema.getType(typeConditionName)
+  return isAbstractType(typeCondition) && schema.isSubType(typeCondition, type)
+}
+
+/**
+ * Groups the fields selected on a concrete type by their response name,
+ * the same way the graphql executor does.
+ */
+function collectFields (ctx, type, selections, fields = new Map(), conditions = []) {
+  for (const selection of selections) {
+    const selectionConditions = [...conditions, ...getConditions(selection)]
+
+    if (selection.kind === Kind.FIELD) {
+      if (selection.name.value.startsWith('__')) {
+        continue
+      }
+      const responseName = selection.alias
+        ? selection.alias.value
+        : selection.name.value
+      if (!fields.has(responseName)) {
+        fields.set(responseName, {
+          fieldName: selection.name.value,
+          nodes: [],
+          conditions: selectionConditions
+        })
+      }
+      fields.get(responseName).nodes.push(selection)
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      if (
+        !selection.typeCondition ||
+        doesTypeConditionMatch(ctx.schema, selection.typeCondition.name.value, type)
+      ) {
+        collectFields(ctx, type, selection.selectionSet.selections, fields, selectionConditions)
+      }
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const fragment = ctx.fragments[selection.name.value]
+      if (
+        fragment &&
+        doesTypeConditionMatch(ctx.schema, fragment.typeCondition.name.value, type)
+      ) {
+        collectFields(ctx, type, fragment.selectionSet.selections, fields, selectionConditions)
+      }
+    }
+  }
+
+  return fields
+}
+
+function mergeSelections (nodes) {
+  const selections = []
+  for (const node of nodes) {
+    if (node.selectionSet) {
+      selections.push(...node.selectionSet.selections)
+    }
+  }
+  return selections
+}
+
+function getVariableDefinitions (ctx, selections, fieldNode) {
+  const variableNames = new Set(collectArgumentsWithVariableValues(selections))
+  if (fieldNode) {
+    for (const argumentName of collectArgumentNames(fieldNode)) {
+      variableNames.add(argumentName)
+    }
+  }
+  return ctx.variableDefinitions.filter(definition =>
+    variableNames.has(definition.variable.name.value)
+  )
+}
+
+function createFetch (ctx, { service, selections, document, ...fetch }) {
+  const fragmentsToDefine = collectFragmentsToInclude(
+    getFragmentNamesInSelection(selections),
+    ctx.fragments,
+    ctx.serviceMap[service],
+    ctx.schema
+  )
+
+  return {
+    kind: 'Fetch',
+    service,
+    ...fetch,
+    variableUsages: document.definitions[0].variableDefinitions
+      .map(definition => definition.variable.name.value)
+      .filter(name => name !== 'representations'),
+    document,
+    query: appendFragments(print(document), fragmentsToDefine)
+  }
+}
+
+// the fetches inherit the conditions of their ancestors
+function planChildren (ctx, type, selections, path, conditions) {
+  if (!isCompositeType(type) || selections.length === 0) {
+    return []
+  }
+  if (isObjectType(type)) {
+    return planSelections(ctx, type, selections, path, conditions)
+  }
+
+  const nodes = []
+  for (const possibleType of ctx.schema.getPossibleTypes(type)) {
+    nodes.push(
+      ...planSelections(ctx, possibleType, selections, [
+        ...path,
+        `... on ${possibleType.name}`
+      ], conditions)
+    )
+  }
+  return nodes
+}
+
+function planSelections (ctx, type, selections, path, conditions) {
+  const nodes = []
+
+  for (const [responseName, group] of collectFields(ctx, type, selections, new Map(), conditions)) {
+    const field = type.getFields()[group.fieldName]
+    /* istanbul ignore next the graphql validation ensures the field is defined */
+    if (!field) {
+      continue
+    }
+    const fieldType = getNamedType(field.type)
+    const fieldSelections = mergeSelections(group.nodes)
+    const itemPath = [...path, responseName, ...listSegments(field.type)]
+    const route = ctx.fieldRoutes[`${type}-${group.fieldName}`]
+    const children = parallel(planChildren(ctx, fieldType, fieldSelections, itemPath, group.conditions))
+
+    if (route && route.kind === 'reference') {
+      const selections = collectServiceTypeFields(
+        fieldSelections,
+        ctx.serviceMap[route.service],
+        fieldType,
+        ctx.schema
+      )
+      // the entities are not fetched if the parent service provides all the selected fields
+      if (
+        route.provides.length > 0 &&
+        isProvidedSelection(selections, route.provides, fieldType, ctx.schema, ctx.fragments)
+      ) {
+        if (children) {
+          nodes.push(children)
+        }
+        continue
+      }
+      const fetch = createFetch(ctx, {
+        service: route.service,
+        operation: 'entities',
+        id: itemPath.join('.'),
+        entityType: fieldType.name,
+        // an empty list of references of a nullable field resolves to null
+        nullOnEmptyList: route.isList && !route.isNonNull,
+        conditions: group.conditions,
+        selections,
+        document: createEntityReferenceResolverOperation({
+          returnType: fieldType,
+          selections,
+          variableDefinitions: getVariableDefinitions(ctx, selections, group.nodes[0])
+        })
+      })
+      nodes.push(sequence([flatten(itemPath, fetch), children]))
+    } else if (route && route.kind === 'field') {
+      const selections = group.nodes[0].selectionSet
+        ? collectServiceTypeFields(
+          fieldSelections,
+          ctx.serviceMap[route.service],
+          fieldType,
+          ctx.schema
+        )
+        : []
+      const fetch = createFetch(ctx, {
+        service: route.service,
+        operation: 'entities',
+        id: [...path, responseName].join('.'),
+        entityType: type.name,
+        field: { responseName, fieldName: group.fieldName },
+        skipIfPresent: route.skipIfPresent,
+        conditions: group.conditions,
+        selections,
+        document: createFieldResolverOperation({
+          parentType: getServiceTypeName(ctx.serviceMap[route.service], type.name),
+          fieldName: group.fieldName,
+          selections,
+          args: group.nodes[0].arguments,
+          variableDefinitions: getVariableDefinitions(ctx, selections, group.nodes[0])
+        })
+      })
+      nodes.push(sequence([flatten(path, fetch), children]))
+    } else if (route && route.kind === 'interface') {
+      nodes.push(sequence([
+        planCrossServiceFetches(ctx, route.service, fieldType, fieldSelections, itemPath, group.conditions),
+        children
+      ]))
+    } else if (children) {
+      nodes.push(children)
+    }
+  }
+
+  return nodes
+}
+
+/**
+ * Mirrors the entities requests a query field resolver sends for returned objects,
+ * and their union fields, owned by a different service than the one that was queried.
+ */
+function planEntityFetch (ctx, queriedService, type, typeSelections, path, conditions) {
+  const targetService = ctx.typeToServiceMap[type.name]
+  if (!targetService || targetService === queriedService) {
+    return null
+  }
+
+  const selections = collectServiceTypeFields(
+    typeSelections,
+    ctx.serviceMap[targetService],
+    type,
+    ctx.schema
+  )
+  // the objects returned as an `@interfaceObject` are resolved to their type by the service of the interface
+  const isInterfaceObject = isAbstractType(type)
+  const existingValues = [
+    '__typename',
+    ...getKeySelections(type).flat().map(selection => selection.name.value)
+  ]
+  const fieldsInRequest = selections
+    .map(selection => selection.name && selection.name.value)
+    .filter(value => value && !existingValues.includes(value))
+
+  const fetch = createFetch(ctx, {
+    service: targetService,
+    operation: 'entities',
+    id: path.join('.'),
+    entityType: type.name,
+    conditions,
+    selections,
+    document: createEntityReferenceResolverOperation({
+      returnType: type.name,
+      selections,
+      variableDefinitions: getVariableDefinitions(ctx, selections)
+    })
+  })
+
+  if (!isInterfaceObject && !fieldsInRequest.length && fetch.query === print(fetch.document)) {
+    return null
+  }
+
+  return flatten(path, fetch)
+}
+
+function findNestedFieldSelections (selections, fieldName, fragments) {
+  for (const selection of selections) {
+    if (selection.kind === Kind.FIELD) {
+      if (selection.name.value === fieldName && selection.selectionSet) {
+        return selection.selectionSet.selections
+      }
+      continue
+    }
+
+    const fragment = selection.kind === Kind.INLINE_FRAGMENT
+      ? selection
+      : fragments[selection.name.value]
+    /* istanbul ignore next */
+    if (!fragment || !fragment.selectionSet) {
+      continue
+    }
+    for (const innerSelection of fragment.selectionSet.selections) {
+      if (
+        innerSelection.kind === Kind.FIELD &&
+        innerSelection.name.value === fieldName &&
+        innerSelection.selectionSet
+      ) {
+        return innerSelection.selectionSet.selections
+      }
+    }
+  }
+
+  return null
+}
+
+function planCrossServiceFetches (ctx, queriedService, returnType, selections, itemPath, conditions) {
+  if (!isCompositeType(returnType) || selections.length === 0) {
+    return null
+  }
+
+  // the service returns the implementations of an interface it resolves as an `@interfaceObject` as the interface
+  if (isInterfaceType(returnType) && Object.values(ctx.serviceMap[queriedService].interfaceObjects || {}).includes(returnType.name)) {
+    return planEntityFetch(ctx, queriedService, returnType, selections, [...itemPath, `... on ${returnType.name}`], conditions)
+  }
+
+  const entityFetches = []
+  const nestedEntityFetches = []
+  const possibleTypes = isAbstractType(returnType)
+    ? ctx.schema.getPossibleTypes(returnType)
+    : [returnType]
+
+  for (const type of possibleTypes) {
+    const typePath = [...itemPath, `... on ${type.name}`]
+    entityFetches.push(
+      planEntityFetch(
+        ctx,
+        queriedService,
+        type,
+        getSelectionsForType(selections, type.name, ctx.fragments),
+        typePath,
+        conditions
+      )
+    )
+
+    for (const field of Object.values(type.getFields())) {
+      const fieldType = getNamedType(field.type)
+      if (!isUnionType(fieldType)) {
+        continue
+      }
+      const nestedSelections = findNestedFieldSelections(selections, field.name, ctx.fragments)
+      if (!nestedSelections) {
+        continue
+      }
+      const nestedPath = [...typePath, field.name, ...listSegments(field.type)]
+      for (const memberType of fieldType.getTypes()) {
+        nestedEntityFetches.push(
+          planEntityFetch(
+            ctx,
+            queriedService,
+            memberType,
+            getSelectionsForType(nestedSelections, memberType.name, ctx.fragments),
+            [...nestedPath, `... on ${memberType.name}`],
+            conditions
+          )
+        )
+      }
+    }
+  }
+
+  // nested union fields are resolved once the returned objects are complete
+  return sequence([parallel(entityFetches), parallel(nestedEntityFetches)])
+}
+
+function planRootField (ctx, rootType, responseName, group) {
+  const field = rootType.getFields()[group.fieldName]
+  const route = ctx.fieldRoutes[`${rootType}-${group.fieldName}`]
+  /* istanbul ignore next the root fields are always resolved by a service */
+  if (!field || !route) {
+    return null
+  }
+
+  const returnType = getNamedType(field.type)
+  const fieldSelections = mergeSelections(group.nodes)
+  const itemPath = [responseName, ...listSegments(field.type)]
+  const selections = group.nodes[0].selectionSet
+    ? collectServiceTypeFields(
+      fieldSelections,
+      ctx.serviceMap[route.service],
+      returnType,
+      ctx.schema
+    )
+    : []
+
+  const fetch = createFetch(ctx, {
+    service: route.service,
+    operation: ctx.operation,
+    id: responseName,
+    field: { responseName, fieldName: group.fieldName },
+    conditions: group.conditions,
+    selections,
+    document: createQueryOperation({
+      fieldName: group.fieldName,
+      selections,
+      variableDefinitions: getVariableDefinitions(ctx, selections, group.nodes[0]),
+      args: group.nodes[0].arguments,
+      operation: ctx.operation
+    })
+  })
+
+  return sequence([
+    fetch,
+    route.resolveAcrossServices
+      ? planCrossServiceFetches(ctx, route.service, returnType, fieldSelections, itemPath, group.conditions)
+      : null,
+    parallel(planChildren(ctx, returnType, fieldSelections, itemPath, group.conditions))
+  ])
+}
+
+/**
+ * Builds the query plan of an operation.
+ * @param {Object} params
+ * @param {import('graphql').GraphQLSchema} params.schema The gateway schema
+ * @param {import('graphql').OperationDefinitionNode} params.operation The operation to plan
+ * @param {Object} params.fragments The fragment definitions of the document, by name
+ * @param {Object} params.fieldRoutes The field routes returned by `defineResolvers`
+ * @param {Object} params.serviceMap The services of the gateway
+ * @param {Object} params.typeToServiceMap The service owning each type
+ * @returns {Object} The query plan
+ */
+function buildQueryPlan ({
+  schema,
+  operation,
+  fragments,
+  fieldRoutes,
+  serviceMap,
+  typeToServiceMap
+}) {
+  const ctx = {
+    schema,
+    operation: operation.operation,
+    variableDefinitions: operation.variableDefinitions || [],
+    fragments,
+    fieldRoutes,
+    serviceMap,
+    typeToServiceMap
+  }
+  const rootType = schema.getRootType(operation.operation)
+
+  const nodes = []
+  for (const [responseName, group] of collectFields(
+    ctx,
+    rootType,
+    operation.selectionSet.selections
+  )) {
+    nodes.push(planRootField(ctx, rootType, responseName, group))
+  }
+
+  return {
+    kind: 'QueryPlan',
+    operation: operation.operation,
+    // mutation fields are executed serially
+    node: operation.operation === 'mutation' ? sequence(nodes) : parallel(nodes)
+  }
+}
+
+module.exports = {
+  buildQueryPlan,
+  shouldInclude
+}
@@ -1,8 +1,11 @@
 'use strict'
 
-const { BalancedPool, Pool } = require('undici')
+const { Agent, BalancedPool, Pool } = require('undici')
 const { URL } = require('url')
 const { FederatedError } = require('../errors')
+const createHealthCheck = require('./health-check')
+const { getUpstreams, createLoadBalancer } = require('./load-balancer')
+const createHedging = require('./hedging')
 const sJSON = require('secure-json-parse')
 const zlib = require('zlib')
 
@@ -20,19 +23,40 @@ function agentOption (opts) {
   }
 }
 
-function buildRequest (opts) {
+function buildRequest (opts, log) {
   let { agent } = opts
   const origin = Array.isArray(opts.url) ? undefined : new URL(opts.url).origin
   const useExternalAgent = !!agent
+  let healthCheck = null
+  let upstreams = null
+  let pickUpstream = null
+  let hedging = null
 
   if (!agent) {
     if (Array.isArray(opts.url)) {
-      const upstreams = []
-      for (const url of opts.url) {
-        upstreams.push(new URL(url).origin)
+      upstreams = getUpstreams(opts.url)
+      agent = new BalancedPool(upstreams.map(upstream => upstream.origin), agentOption(opts))
+
+      // the pool balances the upstreams by itself unless they are weighted, another strategy is set,
+      // the requests are hedged to another upstream or their failures are counted by the health checks
+      if (opts.loadBalancer !== undefined || upstreams.some(upstream => upstream.weight !== 1) || opts.hedging || opts.healthCheck) {
+        pickUpstream = createLoadBalancer(opts.name, opts.loadBalancer)
+      }
+      if (opts.hedging) {
+        hedging = createHedging(typeof opts.hedging === 'object' ? opts.hedging : {})
       }
 
-      agent = new BalancedPool(upstreams, agentOption(opts))
+      if (opts.healthCheck) {
+        const healthCheckOpts = typeof opts.healthCheck === 'object' ? opts.healthCheck : {}
+        const timeout = healthCheckOpts.timeout || 5e3
+        const dispatcher = new Agent({
+          ...agentOption(opts),
+          connections: 1,
+          headersTimeout: timeout,
+          bodyTimeout: timeout
+        })
+        healthCheck = createHealthCheck(agent, dispatcher, upstreams.map(upstream => upstream.url), healthCheckOpts, log)
+      }
     } else {
       agent = new Pool(origin, agentOption(opts))
     }
@@ -45,11 +69,24 @@ function buildRequest (opts) {
     }
 
   async function close () {
+    if (healthCheck) {
+      await healthCheck.close()
+    }
     if (!useExternalAgent) {
       await agent.destroy()
     }
   }
 
+  // closes the pool once its pending requests are completed
+  async function drain () {
+    if (healthCheck) {
+      await healthCheck.close()
+    }
+    if (!useExternalAgent) {
+      await agent.close()
+    }
+  }
+
   async function request (opts) {
     try {
       const newHeaders = await rewriteHeaders(
@@ -57,8 +94,7 @@ function buildRequest (opts) {
         opts.context
       )
 
-      const response = await agent.request({
-        origin,
+      const requestOpts = {
         method: opts.method,
         path: opts.url.pathname + (opts.qs || ''),
         headers: {
@@ -66,21 +102,76 @@ function buildRequest (opts) {
           ...opts.headers
         },
         body: opts.body
-      })
+      }
+
+      if (!pickUpstream) {
+        return await agent.request({ origin, ...requestOpts })
+      }
+
+      // the upstream is picked among the upstreams left in the pool by the health checks
+      const origins = agent.upstreams
+      const available = upstreams.filter(upstream => origins.includes(upstream.origin))
+      const upstream = pickUpstream(available, opts)
+
+      // only the root queries are hedged, they have no side effects
+      if (hedging && opts.operation === 'query' && available.length > 1) {
+        return await hedging.request(
+          (upstream, signal) => sendToUpstream(upstream, requestOpts, signal),
+          upstream,
+          () => pickUpstream(available, opts, upstream)
+        )
+      }
 
-      return response
+      return await sendToUpstream(upstream, requestOpts)
     } catch (err) {
       throw new FederatedError([err])
     }
   }
 
+  async function sendToUpstream (upstream, requestOpts, signal) {
+    upstream.outstanding++
+    let response
+    try {
+      response = await agent.getUpstream(upstream.origin).request({
+        origin: upstream.origin,
+        ...requestOpts,
+        signal
+      })
+    } catch (err) {
+      upstream.outstanding--
+      if (healthCheck) {
+        healthCheck.recordFailure(upstream.origin, err)
+      }
+      throw err
+    }
+
+    // the request is outstanding until its body is consumed
+    response.body.once('close', () => {
+      upstream.outstanding--
+    })
+    if (healthCheck) {
+      response.body.once('error', err => healthCheck.recordFailure(upstream.origin, err))
+    }
+    return response
+  }
+
   return {
     request,
-    close
+    close,
+    drain,
+    health: healthCheck && healthCheck.health
   }
 }
 
-function sendRequest (request, url, useSecureParse) {
+function sendRequest (request, url, useSecureParse, circuitBreaker, retryPolicy) {
+  if (circuitBreaker) {
+    request = circuitBreaker.wrap(request)
+  }
+  // each attempt goes through the circuit breaker
+  if (retryPolicy) {
+    request = retryPolicy.wrap(request)
+  }
+
   return async function (opts) {
     try {
       const { body, statusCode, headers } = await request({
@@ -93,9 +184,20 @@ function sendRequest (request, url, useSecureParse) {
           'content-length': Buffer.byteLength(opts.body)
         },
         originalRequestHeaders: opts.originalRequestHeaders || {},
-        context: opts.context
+        context: opts.context,
+        operation: opts.operation
       })
 
+      // the reply to a conditional request, e.g. for the schema of the service, has no body
+      if (statusCode === 304) {
+        await body.dump()
+        return {
+          statusCode,
+          json: null,
+          headers
+        }
+      }
+
       let data
       if (headers['content-encoding'] === 'gzip') {
         // undici request() doesn't automaticlally decompress the body
@@ -0,0 +1,89 @@
+'use strict'
+
+const { setTimeout: sleep } = require('node:timers/promises')
+const { FederatedError } = require('../errors')
+
+const defaultStatusCodes = [502, 503, 504]
+const defaultErrorCodes = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EPIPE',
+  'ETIMEDOUT',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT'
+]
+
+// the operations which can be sent again without side effects
+const idempotentOperations = new Set(['query', 'entities'])
+
+// the request errors are wrapped in a `FederatedError`
+function getErrorCode (err) {
+  const cause = err instanceof FederatedError ? err.extensions.errors[0] : err
+  return cause && cause.code
+}
+
+/**
+ * Sends the `query` and `_entities` requests of a service again when they fail with a transient error.
+ * The mutations are never sent again.
+ * @param {Object} opts
+ * @param {number} [opts.attempts=3] The maximum number of attempts of a request, including the first one
+ * @param {number} [opts.backoff=100] The delay in milliseconds before the first retry, doubled on each retry
+ * @param {number} [opts.maxBackoff=5000] The maximum delay in milliseconds between two attempts
+ * @param {number} [opts.jitter=0.2] The ratio of the delay randomly added or removed
+ * @param {number[]} [opts.statusCodes] The status codes of the replies to retry
+ * @param {string[]} [opts.errorCodes] The codes of the request errors to retry
+ * @param {Function} [onRetry] Called with the request options and the retry before each retry
+ */
+function createRetryPolicy ({
+  attempts = 3,
+  backoff = 100,
+  maxBackoff = 5e3,
+  jitter = 0.2,
+  statusCodes = defaultStatusCodes,
+  errorCodes = defaultErrorCodes
+} = {}, onRetry) {
+  function getDelay (attempt) {
+    const delay = Math.min(backoff * 2 ** (attempt - 1), maxBackoff)
+    return Math.round(delay * (1 + jitter * (Math.random() * 2 - 1)))
+  }
+
+  return {
+    /**
+     * Wraps the `request` function of a service.
+     */
+    wrap (request) {
+      return async function (opts) {
+        if (!idempotentOperations.has(opts.operation)) {
+          return request(opts)
+        }
+
+        for (let attempt = 1; ; attempt++) {
+          let reason
+          try {
+            const response = await request(opts)
+            if (attempt === attempts || !statusCodes.includes(response.statusCode)) {
+              return response
+            }
+            reason = response.statusCode
+            await response.body.dump()
+          } catch (err) {
+            const code = getErrorCode(err)
+            if (attempt === attempts || !errorCodes.includes(code)) {
+              throw err
+            }
+            reason = code
+          }
+
+          const delay = getDelay(attempt)
+          if (onRetry) {
+            onRetry(opts, { operation: opts.operation, attempt, reason, delay })
+          }
+          await sleep(delay)
+        }
+      }
+    }
+  }
+}
+
+module.exports = createRetryPolicy
@@ -0,0 +1,174 @@
+'use strict'
+
+const {
+  getNullableType,
+  isInputObjectType,
+  isInterfaceType,
+  isListType,
+  isNonNullType,
+  isObjectType,
+  isIntrospectionType,
+  TypeInfo,
+  visit,
+  visitWithTypeInfo
+} = require('graphql')
+
+function getKind (type) {
+  return type.constructor.name
+}
+
+function hasFields (type) {
+  return isObjectType(type) || isInterfaceType(type) || isInputObjectType(type)
+}
+
+// the type of a field without its nullability, e.g. `[String]` for `[String!]!`
+function printNullableType (type) {
+  return String(type).replace(/!/g, '')
+}
+
+/**
+ * An output field can become non-null, an input field can become nullable:
+ * the other nullability changes break the clients.
+ */
+function isNullabilityChangeSafe (oldType, newType, isInput) {
+  if (isNonNullType(oldType) !== isNonNullType(newType)) {
+    if (isInput ? isNonNullType(newType) : isNonNullType(oldType)) {
+      return false
+    }
+  }
+
+  const oldNullableType = getNullableType(oldType)
+  if (isListType(oldNullableType)) {
+    return isNullabilityChangeSafe(oldNullableType.ofType, getNullableType(newType).ofType, isInput)
+  }
+  return true
+}
+
+function diffFields (oldType, newType, changes) {
+  const isInput = isInputObjectType(newType)
+  const oldFields = oldType.getFields()
+  const newFields = newType.getFields()
+
+  for (const [fieldName, oldField] of Object.entries(oldFields)) {
+    const newField = newFields[fieldName]
+    if (!newField) {
+      changes.push({ kind: 'FIELD_REMOVED', type: newType.name, field: fieldName, breaking: true })
+      continue
+    }
+
+    const from = String(oldField.type)
+    const to = String(newField.type)
+    if (from === to) {
+      continue
+    }
+    if (printNullableType(oldField.type) !== printNullableType(newField.type)) {
+      changes.push({ kind: 'FIELD_TYPE_CHANGED', type: newType.name, field: fieldName, from, to, breaking: true })
+    } else {
+      const breaking = !isNullabilityChangeSafe(oldField.type, newField.type, isInput)
+      changes.push({ kind: 'FIELD_NULLABILITY_CHANGED', type: newType.name, field: fieldName, from, to, breaking })
+    }
+  }
+
+  for (const [fieldName, newField] of Object.entries(newFields)) {
+    if (!oldFields[fieldName]) {
+      // the clients do not send a new required input field
+      const breaking = isInput && isNonNullType(newField.type) && newField.defaultValue === undefined
+      changes.push({ kind: 'FIELD_ADDED', type: newType.name, field: fieldName, breaking })
+    }
+  }
+}
+
+/**
+ * Lists the changes between two gateway schemas: the types and the fields added or removed,
+ * the changes of the type and of the nullability of the fields.
+ * @param {GraphQLSchema} oldSchema The current schema
+ * @param {GraphQLSchema} newSchema The refreshed schema
+ * @returns {Array<{ kind: string, type: string, field?: string, from?: string, to?: string, breaking: boolean }>} The changes
+ */
+function diffSchemas (oldSchema, newSchema) {
+  const changes = []
+  const oldTypes = oldSchema.getTypeMap()
+  const newTypes = newSchema.getTypeMap()
+
+  for (const [typeName, oldType] of Object.entries(oldTypes)) {
+    if (isIntrospectionType(oldType)) {
+      continue
+    }
+
+    const newType = newTypes[typeName]
+    if (!newType) {
+      changes.push({ kind: 'TYPE_REMOVED', type: typeName, breaking: true })
+    } else if (getKind(oldType) !== getKind(newType)) {
+      changes.push({ kind: 'TYPE_KIND_CHANGED', type: typeName, from: getKind(oldType), to: getKind(newType), breaking: true })
+    } else if (hasFields(newType)) {
+      diffFields(oldType, newType, changes)
+    }
+  }
+
+  for (const typeName of Object.keys(newTypes)) {
+    if (!oldTypes[typeName]) {
+      changes.push({ kind: 'TYPE_ADDED', type: typeName, breaking: false })
+    }
+  }
+
+  return changes
+}
+
+/**
+ * Records the fields selected by the operations executed by the gateway,
+ * to know if a breaking change affects a field still in use.
+ * @param {number} window The delay in milliseconds after which an unused field is not in use anymore
+ */
+function createFieldUsage (window) {
+  const lastUses = new Map()
+  // the fields of each parsed document, the documents are cached by mercurius
+  const documentFields = new WeakMap()
+
+  return {
+    record (schema, document) {
+      let fields = documentFields.get(document)
+      if (!fields) {
+        fields = getSelectedFields(schema, document)
+        documentFields.set(document, fields)
+      }
+
+      const now = Date.now()
+      for (const field of fields) {
+        lastUses.set(field, now)
+      }
+    },
+    isUsed (typeName, fieldName) {
+      const limit = Date.now() - window
+      if (fieldName !== undefined) {
+        return (lastUses.get(`${typeName}.${fieldName}`) || 0) > limit
+      }
+      for (const [field, lastUse] of lastUses) {
+        if (lastUse > limit && field.startsWith(`${typeName}.`)) {
+          return true
+        }
+      }
+      return false
+    }
+  }
+}
+
+function getSelectedFields (schema, document) {
+  const typeInfo = new TypeInfo(schema)
+  const fields = new Set()
+
+  visit(document, visitWithTypeInfo(typeInfo, {
+    Field (node) {
+      const parentType = typeInfo.getParentType()
+      if (parentType) {
+        fields.add(`${parentType.name}.${node.name.value}`)
+      }
+    }
+  }))
+
+  return [...fields]
+}
+
+module.exports = {
+  diffSchemas,
+  createFieldUsage
+}
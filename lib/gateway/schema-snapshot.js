@@ -0,0 +1,65 @@
+'use strict'
+
+const { mkdir, readFile, rename, writeFile } = require('fs/promises')
+const { join } = require('path')
+const { parseServiceSchema } = require('./service-map')
+
+function toArrays (typeMap) {
+  return Object.fromEntries(Object.entries(typeMap).map(([type, fields]) => [type, [...fields]]))
+}
+
+function toSets (typeMap) {
+  return Object.fromEntries(Object.entries(typeMap).map(([type, fields]) => [type, new Set(fields)]))
+}
+
+/**
+ * Stores the last schema definition and type maps of each service in a directory,
+ * one `<service>.json` file per service.
+ * @param {string} dir The directory of the snapshots
+ */
+function createSchemaSnapshot (dir) {
+  function getPath (name) {
+    return join(dir, `${encodeURIComponent(name)}.json`)
+  }
+
+  return {
+    /**
+     * Returns the service config of the snapshot of a service, or `null` if there is no valid snapshot.
+     */
+    async read (name) {
+      try {
+        const snapshot = JSON.parse(await readFile(getPath(name), 'utf8'))
+
+        return {
+          schema: parseServiceSchema(snapshot.schemaDefinition).schema,
+          schemaDefinition: snapshot.schemaDefinition,
+          typeMap: toSets(snapshot.typeMap),
+          types: new Set(snapshot.types),
+          extensionTypeMap: toSets(snapshot.extensionTypeMap)
+        }
+      } catch (err) {
+        return null
+      }
+    },
+    /**
+     * Writes the snapshots of the services, each file is replaced at once.
+     */
+    async write (services) {
+      await mkdir(dir, { recursive: true })
+
+      await Promise.all(services.map(async service => {
+        const path = getPath(service.name)
+        await writeFile(`${path}.tmp`, JSON.stringify({
+          name: service.name,
+          schemaDefinition: service.schemaDefinition,
+          typeMap: toArrays(service.typeMap),
+          types: [...service.types],
+          extensionTypeMap: toArrays(service.extensionTypeMap)
+        }))
+        await rename(`${path}.tmp`, path)
+      }))
+    }
+  }
+}
+
+module.exports = createSchemaSnapshot
@@ -1,6 +1,7 @@
 'use strict'
 
 const URL = require('url').URL
+const { readFile } = require('fs/promises')
 
 const { default: pmap } = require('p-map')
 const {
@@ -13,9 +14,13 @@ const {
 } = require('graphql')
 
 const { buildRequest, sendRequest } = require('./request')
+const { getUpstreams } = require('./load-balancer')
+const createCircuitBreaker = require('./circuit-breaker')
+const createRetryPolicy = require('./retry')
+const { collectRetry } = require('../collectors')
 
 const { SubscriptionClient } = require('@mercuriusjs/subscription-client')
-const { MER_ERR_GQL_GATEWAY_INIT } = require('../errors')
+const { MER_ERR_GQL_GATEWAY_INIT, MER_ERR_INVALID_OPTS } = require('../errors')
 const { buildFederationSchema } = require('@mercuriusjs/federation')
 const { hasDirective, hasExtensionDirective } = require('../util')
 
@@ -78,7 +83,12 @@ async function getWsOpts (service) {
   return opts
 }
 
-async function getRemoteSchemaDefinition (serviceConfig, initHeaders) {
+/**
+ * Fetches the schema definition of a service with its change tokens, or returns `null` if it did not change
+ * since the last fetch: when the result of the `schemaHashQuery` is the same, or when the service
+ * replies `304 Not Modified` to the `If-None-Match` header sent with the `ETag` of the last schema.
+ */
+async function getRemoteSchemaDefinition (serviceConfig, initHeaders, schemaHashQuery) {
   let headers
   if (typeof initHeaders === 'function') {
     headers = await initHeaders()
@@ -86,6 +96,22 @@ async function getRemoteSchemaDefinition (serviceConfig, initHeaders) {
     headers = initHeaders
   }
 
+  // the tokens of a service without schema, e.g. started from its snapshot, are not trusted
+  const hasSchema = !!serviceConfig.schemaDefinition
+
+  let schemaHash
+  if (schemaHashQuery) {
+    const { json } = await serviceConfig.sendRequest({
+      body: JSON.stringify({ query: schemaHashQuery }),
+      headers
+    })
+    schemaHash = JSON.stringify(json.data)
+
+    if (hasSchema && schemaHash === serviceConfig.schemaHash) {
+      return null
+    }
+  }
+
   const response = await serviceConfig.sendRequest({
     body: JSON.stringify({
       query: `
@@ -96,9 +122,15 @@ async function getRemoteSchemaDefinition (serviceConfig, initHeaders) {
         }
         `
     }),
-    headers
+    headers: hasSchema && serviceConfig.schemaETag
+      ? { ...headers, 'if-none-match': serviceConfig.schemaETag }
+      : headers
   })
 
+  if (response.statusCode === 304) {
+    return null
+  }
+
   const {
     json: { data = null, error, message, statusCode }
   } = response
@@ -112,7 +144,11 @@ async function getRemoteSchemaDefinition (serviceConfig, initHeaders) {
     throw err
   }
 
-  return data._service.sdl
+  return {
+    schemaDefinition: data._service.sdl,
+    schemaETag: response.headers.etag,
+    schemaHash
+  }
 }
 
 function safeBuildSchema (schemaDefinition) {
@@ -123,38 +159,150 @@ function safeBuildSchema (schemaDefinition) {
   }
 }
 
-async function buildServiceMap (serviceMap, services, errorHandler, log) {
+function parseServiceSchema (schemaDefinition) {
+  const { typeMap, types, extensionTypeMap } = createTypeMap(schemaDefinition)
+  const schema = safeBuildSchema(schemaDefinition)
+
+  return { schema, typeMap, types, extensionTypeMap }
+}
+
+// an upstream of a service is a url or a weighted `{ url, weight }` object
+function isUpstreamUrl (upstream) {
+  return typeof upstream === 'string' || (
+    typeof upstream === 'object' &&
+    upstream !== null &&
+    typeof upstream.url === 'string' &&
+    (upstream.weight === undefined || (typeof upstream.weight === 'number' && upstream.weight > 0))
+  )
+}
+
+/**
+ * Validates the options of a service, given on start or added and updated at runtime.
+ */
+function validateService (service) {
+  if (typeof service !== 'object' || service === null) {
+    throw new MER_ERR_INVALID_OPTS(
+      'gateway: all "services" must be objects'
+    )
+  }
+  if (typeof service.name !== 'string') {
+    throw new MER_ERR_INVALID_OPTS(
+      'gateway: all "services" must have a "name" String property'
+    )
+  }
+  if (
+    typeof service.url !== 'string' &&
+    (!Array.isArray(service.url) ||
+      service.url.length === 0 ||
+      !service.url.every(isUpstreamUrl))
+  ) {
+    throw new MER_ERR_INVALID_OPTS(
+      'gateway: all "services" must have an "url" String, or a non-empty Array of String or { url, weight } Object, property'
+    )
+  }
+}
+
+function isPlainObject (value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+}
+
+/**
+ * Compares two values of the options of a service.
+ * The functions and the other objects, e.g. an agent, are compared by reference,
+ * as a closure may capture new values, e.g. a token, with the same source.
+ */
+function isSameOption (a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((value, index) => isSameOption(value, b[index]))
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    return isSameObject(a, b)
+  }
+  return a === b
+}
+
+function isSameObject (a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)])
+  for (const key of keys) {
+    if (!isSameOption(a[key], b[key])) {
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * The services with a revision are compared by their revision alone,
+ * so a services function can create new functions and agents on each call without rebuilding them.
+ */
+function isSameServiceOptions (options, newOptions) {
+  if (options.revision !== undefined || newOptions.revision !== undefined) {
+    return options.revision === newOptions.revision
+  }
+  return isSameObject(options, newOptions)
+}
+
+async function buildServiceMap (serviceMap, services, errorHandler, log, snapshot) {
   for (const service of services) {
     const {
       mandatory = false,
       initHeaders,
+      schemaHashQuery,
       useSecureParse = false,
       ...opts
     } = service
 
-    const { request, close } = buildRequest(opts)
-    const url = new URL(Array.isArray(opts.url) ? opts.url[0] : opts.url)
+    const { request, close, drain, health } = buildRequest(opts, log)
+    const circuitBreaker = opts.circuitBreaker
+      ? createCircuitBreaker(service.name, typeof opts.circuitBreaker === 'object' ? opts.circuitBreaker : {})
+      : null
+    const retryPolicy = opts.retry
+      ? createRetryPolicy(typeof opts.retry === 'object' ? opts.retry : {}, ({ context }, retry) => {
+        if (opts.collectors && opts.collectors.collectRetries && context) {
+          collectRetry(context, retry, service.name)
+        }
+      })
+      : null
+    const url = new URL(getUpstreams(opts.url)[0].url)
 
     const serviceConfig = {
+      // the options of the service, updated by `updateService`
+      options: service,
       mandatory,
-      sendRequest: sendRequest(request, url, useSecureParse),
+      schemaFile: opts.schemaFile,
+      pollingInterval: opts.pollingInterval,
+      circuitBreaker,
+      health,
+      sendRequest: sendRequest(request, url, useSecureParse, circuitBreaker, retryPolicy),
       setResponseHeaders: reply =>
         opts.setResponseHeaders ? opts.setResponseHeaders(reply) : null,
       close,
+      drain,
       async refresh () {
         // if this is using a supplied schema refresh is done manually with setSchema
         if (opts.schema) {
           return serviceConfig
         }
 
-        const { schema, schemaDefinition, typeMap, types, extensionTypeMap } =
-          await serviceConfig.init()
+        if (opts.schemaFile) {
+          serviceConfig.setSchema(await readFile(opts.schemaFile, 'utf8'))
+          serviceConfig.fromSnapshot = false
+          return serviceConfig
+        }
 
-        serviceConfig.schema = schema
-        serviceConfig.schemaDefinition = schemaDefinition
-        serviceConfig.typeMap = typeMap
-        serviceConfig.types = types
-        serviceConfig.extensionTypeMap = extensionTypeMap
+        const fetchedSchema = await serviceConfig.init()
+        serviceConfig.fromSnapshot = false
+        // the schema of the service did not change, it keeps the schema composed with the other services
+        if (fetchedSchema === null) {
+          return serviceConfig
+        }
+        if (fetchedSchema.schemaDefinition === serviceConfig.schemaDefinition) {
+          serviceConfig.schemaETag = fetchedSchema.schemaETag
+          serviceConfig.schemaHash = fetchedSchema.schemaHash
+          return serviceConfig
+        }
+
+        Object.assign(serviceConfig, fetchedSchema)
 
         return serviceConfig
       },
@@ -172,21 +320,35 @@ async function buildServiceMap (serviceMap, services, errorHandler, log) {
           serviceConfig.unsubscribe = client.unsubscribe.bind(client)
         }
       },
+      /**
+       * Returns the schema of the service, or `null` if the remote schema did not change since the last fetch.
+       */
       async init () {
-        const schemaDefinition =
+        let schemaDefinition =
           opts.schema ||
-          (await getRemoteSchemaDefinition(serviceConfig, initHeaders))
+          (opts.schemaFile && (await readFile(opts.schemaFile, 'utf8')))
+        let schemaETag
+        let schemaHash
+
+        if (!schemaDefinition) {
+          const remoteSchema = await getRemoteSchemaDefinition(serviceConfig, initHeaders, schemaHashQuery)
+          if (remoteSchema === null) {
+            return null
+          }
+          ({ schemaDefinition, schemaETag, schemaHash } = remoteSchema)
+        }
 
-        const { typeMap, types, extensionTypeMap } =
-          createTypeMap(schemaDefinition)
-        const schema = safeBuildSchema(schemaDefinition)
+        const { schema, typeMap, types, extensionTypeMap } =
+          parseServiceSchema(schemaDefinition)
 
         return {
           schema,
           schemaDefinition,
           typeMap,
           types,
-          extensionTypeMap
+          extensionTypeMap,
+          schemaETag,
+          schemaHash
         }
       },
       setSchema (schemaDefinition) {
@@ -194,9 +356,8 @@ async function buildServiceMap (serviceMap, services, errorHandler, log) {
           return serviceConfig
         }
 
-        const { typeMap, types, extensionTypeMap } =
-          createTypeMap(schemaDefinition)
-        const schema = safeBuildSchema(schemaDefinition)
+        const { schema, typeMap, types, extensionTypeMap } =
+          parseServiceSchema(schemaDefinition)
 
         serviceConfig.schema = schema
         serviceConfig.schemaDefinition = schemaDefinition
@@ -228,7 +389,13 @@ async function buildServiceMap (serviceMap, services, errorHandler, log) {
       serviceConfig = await serviceMap[service.name].init()
     } catch (err) {
       serviceConfigErr = err
-      if (!service.mandatory || err instanceof GraphQLError) {
+      // the last schema of the service is used when it cannot be fetched
+      serviceConfig = snapshot ? await snapshot.read(service.name) : null
+      if (serviceConfig) {
+        log.warn(
+          `Initializing service "${service.name}" failed with message: "${err.message}", its schema snapshot is used`
+        )
+      } else if (!service.mandatory || err instanceof GraphQLError) {
         log.warn(
           `Initializing service "${service.name}" failed with message: "${err.message}"`
         )
@@ -242,7 +409,11 @@ async function buildServiceMap (serviceMap, services, errorHandler, log) {
       serviceMap[service.name].typeMap = serviceConfig.typeMap
       serviceMap[service.name].types = serviceConfig.types
       serviceMap[service.name].extensionTypeMap = serviceConfig.extensionTypeMap
+      serviceMap[service.name].schemaETag = serviceConfig.schemaETag
+      serviceMap[service.name].schemaHash = serviceConfig.schemaHash
       serviceMap[service.name].error = null
+      // a mandatory service started from its snapshot is retried as a failed one
+      serviceMap[service.name].fromSnapshot = serviceConfigErr !== undefined
     } else {
       serviceMap[service.name].schema = new GraphQLSchema({})
       serviceMap[service.name].schemaDefinition = ''
@@ -250,6 +421,7 @@ async function buildServiceMap (serviceMap, services, errorHandler, log) {
       serviceMap[service.name].types = new Set()
       serviceMap[service.name].extensionTypeMap = {}
       serviceMap[service.name].error = serviceConfigErr
+      serviceMap[service.name].fromSnapshot = false
     }
 
     serviceMap[service.name].name = service.name
@@ -262,4 +434,9 @@ async function buildServiceMap (serviceMap, services, errorHandler, log) {
   return serviceMap
 }
 
-module.exports = buildServiceMap
+module.exports = {
+  buildServiceMap,
+  isSameServiceOptions,
+  parseServiceSchema,
+  validateService
+}
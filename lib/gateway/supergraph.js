@@ -0,0 +1,137 @@
+'use strict'
+
+const { readFile } = require('fs/promises')
+const { parse, valueFromASTUntyped, Kind } = require('graphql')
+const { MER_ERR_GQL_GATEWAY_INVALID_SUPERGRAPH } = require('../errors')
+
+function getServiceDirective (node) {
+  if (node.kind !== Kind.SCHEMA_EXTENSION) {
+    return null
+  }
+  return node.directives.find(directive => directive.name.value === 'service') || null
+}
+
+function getArguments (directive) {
+  const args = {}
+  for (const argument of directive.arguments) {
+    args[argument.name.value] = valueFromASTUntyped(argument.value)
+  }
+  return args
+}
+
+/**
+ * Parses a supergraph document: each service starts with an `extend schema @service(name: "...", url: "...")`
+ * directive followed by its own schema definition, until the next service.
+ * @param {string} source The supergraph document
+ * @returns {Array<{ name: string, url: string | string[], schema: string }>} The services of the supergraph
+ */
+function parseSupergraph (source) {
+  let document
+  try {
+    document = parse(source)
+  } catch (err) {
+    throw new MER_ERR_GQL_GATEWAY_INVALID_SUPERGRAPH(err.message)
+  }
+
+  const sections = []
+  for (const node of document.definitions) {
+    const directive = getServiceDirective(node)
+    if (directive) {
+      sections.push({ node, directive })
+    } else if (sections.length === 0) {
+      throw new MER_ERR_GQL_GATEWAY_INVALID_SUPERGRAPH('the document must start with an "extend schema @service" directive')
+    }
+  }
+
+  const services = []
+  for (let i = 0; i < sections.length; i++) {
+    const { node, directive } = sections[i]
+    const { name, url } = getArguments(directive)
+
+    if (typeof name !== 'string') {
+      throw new MER_ERR_GQL_GATEWAY_INVALID_SUPERGRAPH('all the services must have a "name" String argument')
+    }
+    if (services.some(service => service.name === name)) {
+      throw new MER_ERR_GQL_GATEWAY_INVALID_SUPERGRAPH(`the service "${name}" is defined more than once`)
+    }
+    if (typeof url !== 'string' && (!Array.isArray(url) || url.length === 0 || !url.every(url => typeof url === 'string'))) {
+      throw new MER_ERR_GQL_GATEWAY_INVALID_SUPERGRAPH(`the service "${name}" must have an "url" String, or a non-empty list of String, argument`)
+    }
+
+    const end = i + 1 < sections.length ? sections[i + 1].node.loc.start : source.length
+    const schema = source.slice(node.loc.end, end).trim()
+    if (schema === '') {
+      throw new MER_ERR_GQL_GATEWAY_INVALID_SUPERGRAPH(`the service "${name}" has no schema definition`)
+    }
+
+    services.push({ name, url, schema })
+  }
+
+  return services
+}
+
+/**
+ * Loads the services of a supergraph, given as the path of a file or as a document.
+ * The string is read as a file first, a string that cannot be read is parsed as a document.
+ * @returns {Promise<{ services: Array<{ name: string, url: string | string[], schema: string }>, file: boolean }>}
+ */
+async function loadSupergraph (supergraph) {
+  let source
+  try {
+    source = await readFile(supergraph, 'utf8')
+  } catch (err) {
+    return { services: parseSupergraph(supergraph), file: false }
+  }
+
+  return { services: parseSupergraph(source), file: true }
+}
+
+/**
+ * Reads the supergraph file again and sets the schemas of the services.
+ * The services keep their previous schemas if the file is invalid.
+ */
+async function refreshSupergraphServices (serviceMap, supergraphFile) {
+  const services = parseSupergraph(await readFile(supergraphFile, 'utf8'))
+
+  const names = services.map(({ name }) => name)
+  const serviceNames = Object.keys(serviceMap)
+  if (names.length !== serviceNames.length || !names.every(name => serviceNames.includes(name))) {
+    throw new MER_ERR_GQL_GATEWAY_INVALID_SUPERGRAPH('the services cannot be added or removed on refresh')
+  }
+
+  const previousSchemas = serviceNames.map(name => [name, serviceMap[name].schemaDefinition])
+  try {
+    for (const { name, schema } of services) {
+      serviceMap[name].setSchema(schema)
+    }
+  } catch (err) {
+    for (const [name, schemaDefinition] of previousSchemas) {
+      serviceMap[name].setSchema(schemaDefinition)
+    }
+    throw new MER_ERR_GQL_GATEWAY_INVALID_SUPERGRAPH(err.message)
+  }
+}
+
+/**
+ * Merges the options of the `services` with the services of the supergraph of the same name.
+ */
+function mergeSupergraphServices (supergraphServices, services = []) {
+  for (const { name } of services) {
+    if (!supergraphServices.some(service => service.name === name)) {
+      throw new MER_ERR_GQL_GATEWAY_INVALID_SUPERGRAPH(`the service "${name}" is not defined in the supergraph`)
+    }
+  }
+
+  return supergraphServices.map(service => ({
+    ...service,
+    ...services.find(({ name }) => name === service.name),
+    schema: service.schema
+  }))
+}
+
+module.exports = {
+  loadSupergraph,
+  mergeSupergraphServices,
+  parseSupergraph,
+  refreshSupergraphServices
+}
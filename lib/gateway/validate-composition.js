@@ -0,0 +1,183 @@
+'use strict'
+
+const {
+  parse,
+  print,
+  isTypeDefinitionNode,
+  isTypeExtensionNode,
+  Kind
+} = require('graphql')
+const { hasDirective, hasExtensionDirective } = require('../util')
+
+const ROOT_TYPES = ['Query', 'Mutation', 'Subscription']
+const OBJECT_KINDS = [
+  Kind.OBJECT_TYPE_DEFINITION,
+  Kind.OBJECT_TYPE_EXTENSION,
+  Kind.INTERFACE_TYPE_DEFINITION,
+  Kind.INTERFACE_TYPE_EXTENSION
+]
+
+const kindNames = {
+  [Kind.OBJECT_TYPE_DEFINITION]: 'an object type',
+  [Kind.INTERFACE_TYPE_DEFINITION]: 'an interface',
+  [Kind.UNION_TYPE_DEFINITION]: 'a union',
+  [Kind.ENUM_TYPE_DEFINITION]: 'an enum',
+  [Kind.INPUT_OBJECT_TYPE_DEFINITION]: 'an input type',
+  [Kind.SCALAR_TYPE_DEFINITION]: 'a scalar'
+}
+
+/**
+ * Groups the definitions and the extensions of each type by service.
+ */
+function collectTypes (services) {
+  const types = new Map()
+
+  for (const { name, schemaDefinition } of services) {
+    for (const node of parse(schemaDefinition).definitions) {
+      const isExtension = isTypeExtensionNode(node) || (isTypeDefinitionNode(node) && hasExtensionDirective(node))
+      if (!isExtension && !isTypeDefinitionNode(node)) {
+        continue
+      }
+      if (!types.has(node.name.value)) {
+        types.set(node.name.value, { definitions: [], extensions: [] })
+      }
+      types.get(node.name.value)[isExtension ? 'extensions' : 'definitions'].push({ service: name, node })
+    }
+  }
+
+  return types
+}
+
+// the members of a type compared between the services: fields, enum values and union types
+function getMembers (node) {
+  return (node.fields || node.values || node.types || []).map(member => member.name.value)
+}
+
+function validateKinds (typeName, definitions, conflicts) {
+  const [first, ...others] = definitions
+  for (const { service, node } of others) {
+    if (node.kind !== first.node.kind) {
+      conflicts.push({
+        message: `Type "${typeName}" is ${kindNames[node.kind]} in service "${service}" but ${kindNames[first.node.kind]} in service "${first.service}"`,
+        service,
+        type: typeName
+      })
+    }
+  }
+}
+
+function validateFieldTypes (typeName, nodes, conflicts) {
+  const fieldTypes = new Map()
+
+  for (const { service, node } of nodes) {
+    for (const field of node.fields || []) {
+      const fieldType = print(field.type)
+      // the nullability of a field may differ between the services, e.g. on the @external fields
+      const nullableType = fieldType.replace(/!/g, '')
+      const first = fieldTypes.get(field.name.value)
+      if (!first) {
+        fieldTypes.set(field.name.value, { service, fieldType, nullableType })
+      } else if (first.nullableType !== nullableType) {
+        conflicts.push({
+          message: `Field "${typeName}.${field.name.value}" has type "${fieldType}" in service "${service}" but type "${first.fieldType}" in service "${first.service}"`,
+          service,
+          type: typeName,
+          field: field.name.value
+        })
+      }
+    }
+  }
+}
+
+/**
+ * The types defined by several services without `@key` are value types,
+ * each service must define the same fields, enum values or union types.
+ */
+function validateValueType (typeName, definitions, conflicts) {
+  const [first, ...others] = definitions
+  const firstMembers = getMembers(first.node)
+
+  for (const { service, node } of others) {
+    if (node.kind !== first.node.kind) {
+      continue
+    }
+    const members = getMembers(node)
+    for (const member of firstMembers.filter(member => !members.includes(member))) {
+      conflicts.push({
+        message: `Value type "${typeName}" defines "${member}" in service "${first.service}" but not in service "${service}"`,
+        service,
+        type: typeName,
+        field: member
+      })
+    }
+    for (const member of members.filter(member => !firstMembers.includes(member))) {
+      conflicts.push({
+        message: `Value type "${typeName}" defines "${member}" in service "${service}" but not in service "${first.service}"`,
+        service,
+        type: typeName,
+        field: member
+      })
+    }
+  }
+}
+
+/**
+ * The types extended by other services with their own fields must be entities: the gateway fetches these fields with their keys.
+ * The extensions with only `@external` fields are references to the type and do not need a key.
+ */
+function validateEntity (typeName, definitions, extensions, conflicts) {
+  for (const { service, node } of extensions) {
+    const hasOwnFields = (node.fields || []).some(field => !hasDirective('external', field))
+    if (hasOwnFields && !hasDirective('key', node)) {
+      conflicts.push({
+        message: `Type "${typeName}" is extended by service "${service}" without a @key directive`,
+        service,
+        type: typeName
+      })
+    }
+  }
+
+  const entityExtensions = extensions.filter(({ node }) => hasDirective('key', node))
+  if (entityExtensions.length === 0) {
+    return
+  }
+  for (const { service, node } of definitions) {
+    if (!hasDirective('key', node)) {
+      conflicts.push({
+        message: `Type "${typeName}" is extended by service "${entityExtensions[0].service}" but has no @key directive in service "${service}"`,
+        service,
+        type: typeName
+      })
+    }
+  }
+}
+
+/**
+ * Validates the composition of the schema definitions of the services.
+ * @param {Array<{ name: string, schemaDefinition: string }>} services The services, with the Federation 2 schema definitions in the Federation 1 form
+ * @returns {Array<{ message: string, service: string, type: string, field?: string }>} The conflicts between the services
+ */
+function validateComposition (services) {
+  const conflicts = []
+
+  for (const [typeName, { definitions, extensions }] of collectTypes(services)) {
+    if (definitions.length > 1) {
+      validateKinds(typeName, definitions, conflicts)
+    }
+    validateFieldTypes(typeName, [...definitions, ...extensions], conflicts)
+
+    if (ROOT_TYPES.includes(typeName)) {
+      continue
+    }
+    const objectExtensions = extensions.filter(({ node }) => OBJECT_KINDS.includes(node.kind))
+    if (objectExtensions.length > 0) {
+      validateEntity(typeName, definitions, objectExtensions, conflicts)
+    } else if (definitions.length > 1 && !definitions.some(({ node }) => hasDirective('key', node))) {
+      validateValueType(typeName, definitions, conflicts)
+    }
+  }
+
+  return conflicts
+}
+
+module.exports = validateComposition
@@ -0,0 +1,42 @@
+'use strict'
+
+const fs = require('fs')
+const { basename, dirname, resolve } = require('path')
+
+/**
+ * Calls `onChange` once the files stop changing for `debounce` milliseconds.
+ * The directories of the files are watched, so that the files replaced by the editors are still watched.
+ * @param {string[]} paths The paths of the files
+ * @param {number} debounce The delay in milliseconds
+ * @param {Function} onChange The function called after the changes
+ * @param {Function} onError The function called with the errors of the watchers, e.g. a removed directory
+ * @returns {{ close: Function }} The watcher
+ */
+function watchFiles (paths, debounce, onChange, onError) {
+  let timer = null
+
+  const watchers = [...new Set(paths.map(path => resolve(path)))].map(path => {
+    const filename = basename(path)
+
+    const watcher = fs.watch(dirname(path), (eventType, changedFilename) => {
+      if (changedFilename !== filename) {
+        return
+      }
+      clearTimeout(timer)
+      timer = setTimeout(onChange, debounce)
+    })
+    watcher.on('error', onError)
+    return watcher
+  })
+
+  return {
+    close () {
+      clearTimeout(timer)
+      for (const watcher of watchers) {
+        watcher.close()
+      }
+    }
+  }
+}
+
+module.exports = watchFiles
@@ -10,7 +10,7 @@ function gatewayHookRunner (fn, request) {
 }
 
 function onGatewayReplaceSchemaHookRunner (fn, data) {
-  return fn(data.instance, data.schema)
+  return fn(data.instance, data.schema, data.schemaChanges)
 }
 
 async function onGatewayReplaceSchemaHandler (context, data) {
@@ -0,0 +1,152 @@
+'use strict'
+
+const { test } = require('node:test')
+const { setTimeout: sleep } = require('node:timers/promises')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String!
+  }
+`
+
+const postSchema = `
+  extend type Query {
+    topPostTitle: String
+  }
+`
+
+async function createTestService (t, schema, resolvers) {
+  const service = Fastify()
+  const state = { failing: false, requests: 0 }
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  service.addHook('onRequest', async (request, reply) => {
+    state.requests++
+    if (state.failing) {
+      return reply.code(500).send({ data: null, errors: [{ message: 'Service unavailable' }] })
+    }
+  })
+  await service.listen({ port: 0 })
+  t.after(() => service.close())
+  return { service, state }
+}
+
+async function createTestGatewayServer (t, circuitBreaker) {
+  const user = await createTestService(t, userSchema, {
+    Query: {
+      me: () => ({ id: 'u1', name: 'John' })
+    }
+  })
+  const post = await createTestService(t, postSchema, {
+    Query: {
+      topPostTitle: () => 'Post 1'
+    }
+  })
+
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+  await gateway.register(plugin, {
+    gateway: {
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${user.service.server.address().port}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${post.service.server.address().port}/graphql`,
+          circuitBreaker
+        }
+      ]
+    }
+  })
+
+  return { gateway, post }
+}
+
+async function query (gateway) {
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ me { name } topPostTitle }' }
+  })
+  return res.json()
+}
+
+const openCircuitError = {
+  message: 'The circuit of service "post" is open',
+  extensions: {
+    code: 'MER_ERR_GQL_GATEWAY_CIRCUIT_OPEN',
+    service: 'post'
+  }
+}
+
+test('fails the requests to a service at once when its circuit is open', async t => {
+  const { gateway, post } = await createTestGatewayServer(t, { failureThreshold: 2 })
+  post.state.failing = true
+
+  for (let i = 0; i < 2; i++) {
+    const { errors } = await query(gateway)
+    t.assert.strictEqual(errors[0].message, 'Service unavailable')
+  }
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.post.circuitBreaker.state, 'open')
+
+  const requests = post.state.requests
+  const { data, errors } = await query(gateway)
+  t.assert.deepStrictEqual(data, { me: { name: 'John' }, topPostTitle: null })
+  t.assert.deepStrictEqual(errors, [openCircuitError])
+  t.assert.strictEqual(post.state.requests, requests)
+})
+
+test('closes the circuit when the probe succeeds once the circuit is half open', async t => {
+  const { gateway, post } = await createTestGatewayServer(t, { failureThreshold: 1, openDuration: 100 })
+  post.state.failing = true
+  await query(gateway)
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.post.circuitBreaker.state, 'open')
+
+  post.state.failing = false
+  await sleep(100)
+
+  t.assert.deepStrictEqual(await query(gateway), {
+    data: { me: { name: 'John' }, topPostTitle: 'Post 1' }
+  })
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.post.circuitBreaker.state, 'closed')
+})
+
+test('opens the circuit again when the probe fails', async t => {
+  const { gateway, post } = await createTestGatewayServer(t, { failureThreshold: 1, openDuration: 100 })
+  post.state.failing = true
+  await query(gateway)
+
+  await sleep(100)
+
+  const { errors } = await query(gateway)
+  t.assert.strictEqual(errors[0].message, 'Service unavailable')
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.post.circuitBreaker.state, 'open')
+
+  const { errors: openErrors } = await query(gateway)
+  t.assert.strictEqual(openErrors[0].extensions.code, 'MER_ERR_GQL_GATEWAY_CIRCUIT_OPEN')
+})
+
+test('does not count the successful requests as failures', async t => {
+  const { gateway } = await createTestGatewayServer(t, true)
+
+  for (let i = 0; i < 6; i++) {
+    t.assert.deepStrictEqual(await query(gateway), {
+      data: { me: { name: 'John' }, topPostTitle: 'Post 1' }
+    })
+  }
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.post.circuitBreaker.state, 'closed')
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.user.circuitBreaker, null)
+})
@@ -0,0 +1,238 @@
+'use strict'
+
+const { test } = require('node:test')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+const validateComposition = require('../lib/gateway/validate-composition')
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String!
+  }
+`
+
+async function createTestService (t, schema, resolvers = {}) {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  t.after(() => service.close())
+  return service
+}
+
+async function createTestGatewayServer (t, services) {
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+
+  await gateway.register(plugin, {
+    gateway: {
+      services: await Promise.all(services.map(async ({ name, schema }) => {
+        const service = await createTestService(t, schema)
+        return {
+          name,
+          url: `http://localhost:${service.server.address().port}/graphql`
+        }
+      }))
+    }
+  })
+
+  return gateway
+}
+
+test('refuses to start when a field has a different type in two services', async t => {
+  const services = [
+    { name: 'user', schema: userSchema },
+    {
+      name: 'post',
+      schema: `
+        extend type User @key(fields: "id") {
+          id: ID! @external
+          name: Int @external
+          nickname: String @requires(fields: "name")
+        }
+      `
+    }
+  ]
+
+  await t.assert.rejects(async () => createTestGatewayServer(t, services), err => {
+    t.assert.strictEqual(err.code, 'MER_ERR_GQL_GATEWAY_INVALID_COMPOSITION')
+    t.assert.strictEqual(err.message, 'Invalid composition of the services: Field "User.name" has type "Int" in service "post" but type "String!" in service "user"')
+    t.assert.deepStrictEqual(err.errors, [{
+      message: 'Field "User.name" has type "Int" in service "post" but type "String!" in service "user"',
+      service: 'post',
+      type: 'User',
+      field: 'name'
+    }])
+    return true
+  })
+})
+
+test('refuses to start when an entity is extended without @key', async t => {
+  const services = [
+    { name: 'user', schema: userSchema },
+    {
+      name: 'post',
+      schema: `
+        extend type User {
+          id: ID! @external
+          numberOfPosts: Int
+        }
+      `
+    }
+  ]
+
+  await t.assert.rejects(async () => createTestGatewayServer(t, services), err => {
+    t.assert.strictEqual(err.code, 'MER_ERR_GQL_GATEWAY_INVALID_COMPOSITION')
+    t.assert.deepStrictEqual(err.errors, [{
+      message: 'Type "User" is extended by service "post" without a @key directive',
+      service: 'post',
+      type: 'User'
+    }])
+    return true
+  })
+})
+
+test('refuses to start when a value type is defined differently by two services', async t => {
+  const services = [
+    {
+      name: 'user',
+      schema: `
+        extend type Query {
+          me: User
+        }
+
+        type User @key(fields: "id") {
+          id: ID!
+          location: Location
+        }
+
+        type Location {
+          city: String
+          country: String
+        }
+      `
+    },
+    {
+      name: 'shop',
+      schema: `
+        extend type Query {
+          shops: [Shop]
+        }
+
+        type Shop @key(fields: "id") {
+          id: ID!
+          location: Location
+        }
+
+        type Location {
+          city: String
+        }
+      `
+    }
+  ]
+
+  await t.assert.rejects(async () => createTestGatewayServer(t, services), err => {
+    t.assert.strictEqual(err.code, 'MER_ERR_GQL_GATEWAY_INVALID_COMPOSITION')
+    t.assert.deepStrictEqual(err.errors, [{
+      message: 'Value type "Location" defines "country" in service "user" but not in service "shop"',
+      service: 'shop',
+      type: 'Location',
+      field: 'country'
+    }])
+    return true
+  })
+})
+
+test('refuses to refresh with an invalid composition and keeps the current schema', async t => {
+  const userService = await createTestService(t, userSchema, {
+    Query: {
+      me: () => ({ id: 'u1', name: 'John' })
+    }
+  })
+  const postService = await createTestService(t, `
+    extend type User @key(fields: "id") {
+      id: ID! @external
+      numberOfPosts: Int
+    }
+  `, {
+    User: {
+      numberOfPosts: () => 2
+    }
+  })
+
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+  await gateway.register(plugin, {
+    gateway: {
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userService.server.address().port}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postService.server.address().port}/graphql`
+        }
+      ]
+    }
+  })
+  await gateway.ready()
+
+  postService.graphql.replaceSchema(buildFederationSchema(`
+    extend type User @key(fields: "id") {
+      id: ID! @external
+      name: Int @external
+      numberOfPosts: Int
+    }
+  `))
+  postService.graphql.defineResolvers({
+    User: {
+      numberOfPosts: () => 2
+    }
+  })
+
+  await t.assert.rejects(async () => gateway.graphqlGateway.refresh(), {
+    code: 'MER_ERR_GQL_GATEWAY_INVALID_COMPOSITION'
+  })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ me { name numberOfPosts } }' }
+  })
+
+  t.assert.deepStrictEqual(res.json(), {
+    data: { me: { name: 'John', numberOfPosts: 2 } }
+  })
+})
+
+test('accepts the stub extensions and the nullability differences of the external fields', t => {
+  const conflicts = validateComposition([
+    { name: 'user', schemaDefinition: userSchema },
+    {
+      name: 'post',
+      schemaDefinition: `
+        type Post @key(fields: "id") {
+          id: ID!
+          author: User
+        }
+
+        extend type User {
+          id: ID! @external
+          name: String @external
+        }
+      `
+    }
+  ])
+
+  t.assert.deepStrictEqual(conflicts, [])
+})
@@ -0,0 +1,173 @@
+'use strict'
+
+const { test } = require('node:test')
+const { setTimeout: sleep } = require('node:timers/promises')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+
+const userSchema = `
+  extend type Query {
+    me: User
+    schemaVersion: Int
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String!
+  }
+`
+
+const postSchema = `
+  extend type Query {
+    topPostTitle: String
+  }
+`
+
+// the version of the schema is returned by the schema hash query
+const userResolvers = state => ({
+  Query: {
+    schemaVersion: () => state.version
+  }
+})
+
+// a service counting the requests of its schema, its schema version is sent as `ETag` if `useETag` is set
+async function createTestService (t, schema, { resolvers = () => ({}), useETag = false } = {}) {
+  const service = Fastify()
+  const state = { version: 1, sdlRequests: 0, notModified: 0 }
+
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers: resolvers(state)
+  })
+
+  service.addHook('preHandler', async (request, reply) => {
+    if (!request.body.query.includes('_service')) {
+      return
+    }
+    if (useETag && request.headers['if-none-match'] === `"${state.version}"`) {
+      state.notModified++
+      return reply.code(304).send()
+    }
+    state.sdlRequests++
+    if (useETag) {
+      reply.header('etag', `"${state.version}"`)
+    }
+  })
+
+  await service.listen({ port: 0 })
+  t.after(() => service.close())
+
+  service.updateSchema = newSchema => {
+    state.version++
+    service.graphql.replaceSchema(buildFederationSchema(newSchema))
+    service.graphql.defineResolvers(resolvers(state))
+  }
+
+  return { service, state }
+}
+
+async function createTestGatewayServer (t, services, gatewayOpts = {}) {
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+  await gateway.register(plugin, {
+    gateway: {
+      services: services.map(({ service, ...opts }) => ({
+        ...opts,
+        url: `http://localhost:${service.server.address().port}/graphql`
+      })),
+      ...gatewayOpts
+    }
+  })
+  return gateway
+}
+
+test('does not fetch the schema of a service replying 304 to the ETag of its last schema', async t => {
+  const { service, state } = await createTestService(t, userSchema, { resolvers: userResolvers, useETag: true })
+  const gateway = await createTestGatewayServer(t, [{ name: 'user', service }])
+
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.user.schemaETag, '"1"')
+  t.assert.strictEqual(await gateway.graphqlGateway.refresh(), null)
+  t.assert.strictEqual(state.sdlRequests, 1)
+  t.assert.strictEqual(state.notModified, 1)
+
+  service.updateSchema(userSchema.replace('name: String!', 'name: String!\n    lastName: String'))
+
+  const schema = await gateway.graphqlGateway.refresh()
+  t.assert.ok(schema.getType('User').getFields().lastName)
+  t.assert.strictEqual(state.sdlRequests, 2)
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.user.schemaETag, '"2"')
+})
+
+test('does not fetch the schema of a service when the result of the schema hash query did not change', async t => {
+  const { service, state } = await createTestService(t, userSchema, { resolvers: userResolvers })
+  const gateway = await createTestGatewayServer(t, [
+    { name: 'user', service, schemaHashQuery: '{ schemaVersion }' }
+  ])
+
+  t.assert.strictEqual(await gateway.graphqlGateway.refresh(), null)
+  t.assert.strictEqual(state.sdlRequests, 1)
+
+  service.updateSchema(userSchema.replace('name: String!', 'name: String!\n    lastName: String'))
+
+  const schema = await gateway.graphqlGateway.refresh()
+  t.assert.ok(schema.getType('User').getFields().lastName)
+  t.assert.strictEqual(state.sdlRequests, 2)
+})
+
+test('fetches the schema again after the refreshed schema is refused', async t => {
+  const { service, state } = await createTestService(t, userSchema, { resolvers: userResolvers, useETag: true })
+  const gateway = await createTestGatewayServer(t, [{ name: 'user', service }], { breakingChangePolicy: 'reject' })
+
+  service.updateSchema(userSchema.replace('name: String!', ''))
+
+  await t.assert.rejects(async () => gateway.graphqlGateway.refresh(), { code: 'MER_ERR_GQL_GATEWAY_BREAKING_CHANGES' })
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.user.schemaETag, '"1"')
+
+  await t.assert.rejects(async () => gateway.graphqlGateway.refresh(), { code: 'MER_ERR_GQL_GATEWAY_BREAKING_CHANGES' })
+  t.assert.strictEqual(state.sdlRequests, 3)
+})
+
+test('polls a service at its own polling interval', async t => {
+  const user = await createTestService(t, userSchema, { resolvers: userResolvers })
+  const post = await createTestService(t, postSchema)
+  const gateway = await createTestGatewayServer(t, [
+    { name: 'user', service: user.service, pollingInterval: 100 },
+    { name: 'post', service: post.service }
+  ])
+
+  const replacedSchema = new Promise(resolve => {
+    gateway.graphqlGateway.addHook('onGatewayReplaceSchema', async (instance, schema) => {
+      resolve(schema)
+    })
+  })
+
+  user.service.updateSchema(userSchema.replace('name: String!', 'name: String!\n    lastName: String'))
+
+  const schema = await replacedSchema
+  t.assert.ok(schema.getType('User').getFields().lastName)
+  t.assert.ok(user.state.sdlRequests > 1)
+  t.assert.strictEqual(post.state.sdlRequests, 1)
+})
+
+test('polls the services added or updated with their own polling interval and stops polling the removed ones', async t => {
+  const user = await createTestService(t, userSchema, { resolvers: userResolvers })
+  const post = await createTestService(t, postSchema)
+  const gateway = await createTestGatewayServer(t, [{ name: 'user', service: user.service }])
+  const postUrl = `http://localhost:${post.service.server.address().port}/graphql`
+
+  await gateway.graphqlGateway.addService({ name: 'post', url: postUrl, pollingInterval: 50 })
+  await sleep(200)
+  t.assert.ok(post.state.sdlRequests > 2)
+
+  await gateway.graphqlGateway.updateService('user', { pollingInterval: 50 })
+  const userRequests = user.state.sdlRequests
+  await sleep(200)
+  t.assert.ok(user.state.sdlRequests > userRequests + 1)
+
+  await gateway.graphqlGateway.removeService('post')
+  const postRequests = post.state.sdlRequests
+  await sleep(200)
+  t.assert.strictEqual(post.state.sdlRequests, postRequests)
+})
@@ -110,7 +110,7 @@ test('Each "gateway" option "services" must have an "url"', async t => {
   } catch (err) {
     t.assert.strictEqual(
       err.message,
-      'Invalid options: gateway: all "services" must have an "url" String, or a non-empty Array of String, property'
+      'Invalid options: gateway: all "services" must have an "url" String, or a non-empty Array of String or { url, weight } Object, property'
     )
   }
 })
@@ -127,7 +127,7 @@ test('Each "gateway" option "services" must have an "url" that is a String or an
   } catch (err) {
     t.assert.strictEqual(
       err.message,
-      'Invalid options: gateway: all "services" must have an "url" String, or a non-empty Array of String, property'
+      'Invalid options: gateway: all "services" must have an "url" String, or a non-empty Array of String or { url, weight } Object, property'
     )
   }
 })
@@ -144,7 +144,7 @@ test('Each "gateway" option "services" must have an "url" that, if it is an Arra
   } catch (err) {
     t.assert.strictEqual(
       err.message,
-      'Invalid options: gateway: all "services" must have an "url" String, or a non-empty Array of String, property'
+      'Invalid options: gateway: all "services" must have an "url" String, or a non-empty Array of String or { url, weight } Object, property'
     )
   }
 })
@@ -161,7 +161,7 @@ test('Each "gateway" option "services" must have an "url" that, if it is a non-e
   } catch (err) {
     t.assert.strictEqual(
       err.message,
-      'Invalid options: gateway: all "services" must have an "url" String, or a non-empty Array of String, property'
+      'Invalid options: gateway: all "services" must have an "url" String, or a non-empty Array of String or { url, weight } Object, property'
     )
   }
 })
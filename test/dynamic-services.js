@@ -0,0 +1,249 @@
+'use strict'
+
+const { test } = require('node:test')
+const { setTimeout: sleep } = require('node:timers/promises')
+const Fastify = require('fastify')
+const { Agent } = require('undici')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+
+const user = {
+  id: 'u1',
+  name: 'John'
+}
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String!
+  }
+`
+
+const postSchema = `
+  extend type Query {
+    topPostTitle: String
+  }
+
+  extend type User @key(fields: "id") {
+    id: ID! @external
+    numberOfPosts: Int
+  }
+`
+
+async function createTestService (t, schema, resolvers) {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  t.after(() => service.close())
+  return service
+}
+
+function createPostService (t, title, delay = 0) {
+  return createTestService(t, postSchema, {
+    Query: {
+      topPostTitle: async () => {
+        await sleep(delay)
+        return title
+      }
+    },
+    User: {
+      numberOfPosts: () => 2
+    }
+  })
+}
+
+function getUrl (service) {
+  return `http://localhost:${service.server.address().port}/graphql`
+}
+
+async function createTestGatewayServer (t, services, opts = {}) {
+  const userService = await createTestService(t, userSchema, {
+    Query: {
+      me: () => user
+    }
+  })
+  const userConfig = {
+    name: 'user',
+    url: getUrl(userService),
+    rewriteHeaders: () => ({ 'x-gateway': 'true' })
+  }
+
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+  await gateway.register(plugin, {
+    gateway: {
+      services: async () => [{ ...userConfig }, ...services()],
+      ...opts
+    }
+  })
+
+  return gateway
+}
+
+async function query (gateway, query) {
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query }
+  })
+  return res.json()
+}
+
+test('rebuilds a service whose url is changed by the services function', async t => {
+  const postService = await createPostService(t, 'Post 1', 200)
+  const newPostService = await createPostService(t, 'New post 1')
+  let postConfig = { name: 'post', url: getUrl(postService) }
+  const gateway = await createTestGatewayServer(t, () => [postConfig])
+  const { user, post } = gateway.graphqlGateway.serviceMap
+
+  // the pending request of the replaced service is completed
+  const pendingQuery = query(gateway, '{ topPostTitle }')
+  await sleep(50)
+
+  postConfig = { name: 'post', url: getUrl(newPostService) }
+  const schema = await gateway.graphqlGateway.refresh()
+
+  t.assert.ok(schema)
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.user, user)
+  t.assert.notStrictEqual(gateway.graphqlGateway.serviceMap.post, post)
+  t.assert.deepStrictEqual(await pendingQuery, { data: { topPostTitle: 'Post 1' } })
+  t.assert.deepStrictEqual(await query(gateway, '{ topPostTitle me { numberOfPosts } }'), {
+    data: { topPostTitle: 'New post 1', me: { numberOfPosts: 2 } }
+  })
+})
+
+test('keeps the services whose options did not change', async t => {
+  const postService = await createPostService(t, 'Post 1')
+  const gateway = await createTestGatewayServer(t, () => [
+    { name: 'post', url: getUrl(postService), initHeaders: { authorization: 'token' } }
+  ])
+  const { user, post } = gateway.graphqlGateway.serviceMap
+
+  t.assert.strictEqual(await gateway.graphqlGateway.refresh(), null)
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.user, user)
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.post, post)
+})
+
+function createTokenService (t) {
+  return createTestService(t, postSchema, {
+    Query: {
+      topPostTitle: (root, args, { reply }) => reply.request.headers.authorization
+    },
+    User: {
+      numberOfPosts: () => 2
+    }
+  })
+}
+
+test('rebuilds a service whose rewriteHeaders closure captures a new token', async t => {
+  const postService = await createTokenService(t)
+  let token = 'token 1'
+  const gateway = await createTestGatewayServer(t, () => {
+    const authorization = token
+    return [{ name: 'post', url: getUrl(postService), rewriteHeaders: () => ({ authorization }) }]
+  })
+  const { user, post } = gateway.graphqlGateway.serviceMap
+  t.assert.deepStrictEqual(await query(gateway, '{ topPostTitle }'), { data: { topPostTitle: 'token 1' } })
+
+  token = 'token 2'
+  await gateway.graphqlGateway.refresh()
+
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.user, user)
+  t.assert.notStrictEqual(gateway.graphqlGateway.serviceMap.post, post)
+  t.assert.deepStrictEqual(await query(gateway, '{ topPostTitle }'), { data: { topPostTitle: 'token 2' } })
+})
+
+test('keeps a service with new functions and agents until its revision changes', async t => {
+  const postService = await createTokenService(t)
+  const agents = []
+  t.after(() => Promise.all(agents.map(agent => agent.close())))
+  let revision = 1
+  const gateway = await createTestGatewayServer(t, () => {
+    const authorization = `token ${revision}`
+    const agent = new Agent()
+    agents.push(agent)
+    return [{ name: 'post', url: getUrl(postService), revision, agent, rewriteHeaders: () => ({ authorization }) }]
+  })
+  const { post } = gateway.graphqlGateway.serviceMap
+
+  t.assert.strictEqual(await gateway.graphqlGateway.refresh(), null)
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.post, post)
+  t.assert.deepStrictEqual(await query(gateway, '{ topPostTitle }'), { data: { topPostTitle: 'token 1' } })
+
+  revision = 2
+  await gateway.graphqlGateway.refresh()
+
+  t.assert.notStrictEqual(gateway.graphqlGateway.serviceMap.post, post)
+  t.assert.deepStrictEqual(await query(gateway, '{ topPostTitle }'), { data: { topPostTitle: 'token 2' } })
+})
+
+test('keeps a service whose new url cannot be reached', async t => {
+  const postService = await createPostService(t, 'Post 1')
+  let postConfig = { name: 'post', url: getUrl(postService) }
+  const gateway = await createTestGatewayServer(t, () => [postConfig])
+  const { post } = gateway.graphqlGateway.serviceMap
+
+  postConfig = { name: 'post', url: 'http://localhost:1/graphql' }
+  await t.assert.rejects(async () => gateway.graphqlGateway.refresh())
+
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.post, post)
+  t.assert.deepStrictEqual(await query(gateway, '{ topPostTitle }'), {
+    data: { topPostTitle: 'Post 1' }
+  })
+})
+
+test('keeps a deleted service when the refreshed schema is refused', async t => {
+  const postService = await createPostService(t, 'Post 1')
+  let services = [{ name: 'post', url: getUrl(postService) }]
+  const gateway = await createTestGatewayServer(t, () => services, { breakingChangePolicy: 'reject' })
+  const { post } = gateway.graphqlGateway.serviceMap
+
+  services = []
+  await t.assert.rejects(async () => gateway.graphqlGateway.refresh(), {
+    code: 'MER_ERR_GQL_GATEWAY_BREAKING_CHANGES'
+  })
+
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.post, post)
+  t.assert.deepStrictEqual(await query(gateway, '{ topPostTitle me { numberOfPosts } }'), {
+    data: { topPostTitle: 'Post 1', me: { numberOfPosts: 2 } }
+  })
+})
+
+test('adds a service added by the services function', async t => {
+  const postService = await createPostService(t, 'Post 1')
+  let services = []
+  const gateway = await createTestGatewayServer(t, () => services)
+
+  services = [{ name: 'post', url: getUrl(postService) }]
+  t.assert.ok(await gateway.graphqlGateway.refresh())
+
+  t.assert.ok(gateway.graphqlGateway.serviceMap.post)
+  t.assert.deepStrictEqual(await query(gateway, '{ topPostTitle me { numberOfPosts } }'), {
+    data: { topPostTitle: 'Post 1', me: { numberOfPosts: 2 } }
+  })
+})
+
+test('refuses to change the services of the services function at runtime', async t => {
+  const postService = await createPostService(t, 'Post 1')
+  const gateway = await createTestGatewayServer(t, () => [])
+
+  for (const [action, change] of [
+    ['added', () => gateway.graphqlGateway.addService({ name: 'post', url: getUrl(postService) })],
+    ['removed', () => gateway.graphqlGateway.removeService('user')],
+    ['updated', () => gateway.graphqlGateway.updateService('user', { url: getUrl(postService) })]
+  ]) {
+    await t.assert.rejects(change, {
+      code: 'MER_ERR_GQL_GATEWAY_MANAGED_SERVICES',
+      message: `The services are defined by the services function, they cannot be ${action} at runtime`
+    })
+  }
+  t.assert.deepStrictEqual(Object.keys(gateway.graphqlGateway.serviceMap), ['user'])
+})
@@ -0,0 +1,298 @@
+'use strict'
+
+const { test } = require('node:test')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+
+const books = {
+  b1: { id: 'b1', name: 'Book 1', title: 'Title 1' }
+}
+
+const movies = {
+  m1: { id: 'm1', name: 'Movie 1', director: 'Director 1' }
+}
+
+const reviews = {
+  r1: { id: 'r1', body: 'Review 1', productId: 'b1', productType: 'Book' },
+  r2: { id: 'r2', body: 'Review 2', productId: 'm1', productType: 'Movie' }
+}
+
+async function createTestService (t, schema, resolvers = {}) {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  t.after(() => service.close())
+  return service.server.address().port
+}
+
+async function createTestGatewayServer (t, services, opts = {}) {
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+
+  await gateway.register(plugin, {
+    gateway: {
+      services: await Promise.all(services.map(async ({ name, schema, resolvers }) => ({
+        name,
+        url: `http://localhost:${await createTestService(t, schema, resolvers)}/graphql`
+      }))),
+      ...opts
+    }
+  })
+
+  return gateway
+}
+
+const interfaceServices = [
+  {
+    name: 'review',
+    schema: `
+      interface Product {
+        id: ID!
+      }
+
+      extend type Query {
+        topReviews: [Review]
+      }
+
+      type Review @key(fields: "id") {
+        id: ID!
+        body: String
+        product: Product
+      }
+
+      extend type Book implements Product @key(fields: "id") {
+        id: ID! @external
+      }
+
+      extend type Movie implements Product @key(fields: "id") {
+        id: ID! @external
+      }
+    `,
+    resolvers: {
+      Query: {
+        topReviews: () => Object.values(reviews)
+      },
+      Product: {
+        resolveType: product => product.__typename
+      },
+      Review: {
+        product: review => ({ __typename: review.productType, id: review.productId })
+      }
+    }
+  },
+  {
+    name: 'book',
+    schema: `
+      interface Product {
+        id: ID!
+      }
+
+      type Book implements Product @key(fields: "id") {
+        id: ID!
+        title: String
+      }
+    `,
+    resolvers: {
+      Book: {
+        __resolveReference: book => books[book.id]
+      }
+    }
+  },
+  {
+    name: 'movie',
+    schema: `
+      interface Product {
+        id: ID!
+      }
+
+      type Movie implements Product @key(fields: "id") {
+        id: ID!
+        director: String
+      }
+    `,
+    resolvers: {
+      Movie: {
+        __resolveReference: movie => movies[movie.id]
+      }
+    }
+  }
+]
+
+const interfaceObjectServices = [
+  {
+    name: 'inventory',
+    schema: `
+      extend schema @link(url: "https://specs.apollo.dev/federation/v2.3", import: ["@key"])
+
+      type Query {
+        products: [Product]
+      }
+
+      interface Product @key(fields: "id") {
+        id: ID!
+        name: String
+      }
+
+      type Book implements Product @key(fields: "id") {
+        id: ID!
+        name: String
+        title: String
+      }
+
+      type Movie implements Product @key(fields: "id") {
+        id: ID!
+        name: String
+        director: String
+      }
+    `,
+    resolvers: {
+      Query: {
+        products: () => [
+          { __typename: 'Book', ...books.b1 },
+          { __typename: 'Movie', ...movies.m1 }
+        ]
+      },
+      Product: {
+        resolveType: product => product.__typename || (books[product.id] ? 'Book' : 'Movie')
+      },
+      Book: {
+        __resolveReference: book => books[book.id]
+      },
+      Movie: {
+        __resolveReference: movie => movies[movie.id]
+      }
+    }
+  },
+  {
+    name: 'review',
+    schema: `
+      extend schema @link(url: "https://specs.apollo.dev/federation/v2.3", import: ["@key", "@interfaceObject"])
+
+      type Query {
+        topProducts: [Product]
+      }
+
+      type Product @key(fields: "id") @interfaceObject {
+        id: ID!
+        reviews: [Review]
+      }
+
+      type Review {
+        body: String
+      }
+    `,
+    resolvers: {
+      Query: {
+        topProducts: () => [{ id: 'm1' }, { id: 'b1' }]
+      },
+      Product: {
+        __resolveReference: product => product,
+        reviews: product => Object.values(reviews).filter(review => review.productId === product.id)
+      }
+    }
+  }
+]
+
+for (const queryPlanner of [false, true]) {
+  const suffix = queryPlanner ? ' with the query planner' : ''
+
+  test(`resolves the implementations of an interface owned by different services${suffix}`, async t => {
+    const gateway = await createTestGatewayServer(t, interfaceServices, { queryPlanner })
+
+    const res = await gateway.inject({
+      method: 'POST',
+      url: '/graphql',
+      body: {
+        query: `{
+          topReviews {
+            body
+            product {
+              id
+              __typename
+              ... on Book {
+                title
+              }
+              ... on Movie {
+                director
+              }
+            }
+          }
+        }`
+      }
+    })
+
+    t.assert.deepStrictEqual(res.json(), {
+      data: {
+        topReviews: [
+          { body: 'Review 1', product: { id: 'b1', __typename: 'Book', title: 'Title 1' } },
+          { body: 'Review 2', product: { id: 'm1', __typename: 'Movie', director: 'Director 1' } }
+        ]
+      }
+    })
+  })
+
+  test(`resolves the fields of an @interfaceObject for the implementations of the interface${suffix}`, async t => {
+    const gateway = await createTestGatewayServer(t, interfaceObjectServices, { queryPlanner })
+
+    const res = await gateway.inject({
+      method: 'POST',
+      url: '/graphql',
+      body: {
+        query: `{
+          products {
+            name
+            reviews {
+              body
+            }
+            ... on Book {
+              title
+            }
+          }
+        }`
+      }
+    })
+
+    t.assert.deepStrictEqual(res.json(), {
+      data: {
+        products: [
+          { name: 'Book 1', reviews: [{ body: 'Review 1' }], title: 'Title 1' },
+          { name: 'Movie 1', reviews: [{ body: 'Review 2' }] }
+        ]
+      }
+    })
+  })
+
+  test(`resolves the type of the objects returned as an @interfaceObject${suffix}`, async t => {
+    const gateway = await createTestGatewayServer(t, interfaceObjectServices, { queryPlanner })
+
+    const res = await gateway.inject({
+      method: 'POST',
+      url: '/graphql',
+      body: {
+        query: `{
+          topProducts {
+            __typename
+            name
+            ... on Movie {
+              director
+            }
+          }
+        }`
+      }
+    })
+
+    t.assert.deepStrictEqual(res.json(), {
+      data: {
+        topProducts: [
+          { __typename: 'Movie', name: 'Movie 1', director: 'Director 1' },
+          { __typename: 'Book', name: 'Book 1' }
+        ]
+      }
+    })
+  })
+}
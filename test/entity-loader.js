@@ -0,0 +1,183 @@
+'use strict'
+
+const { test } = require('node:test')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+const { users, posts } = require('./utils/mocks')
+
+async function createTestService (t, schema, resolvers = {}, fn = async () => {}) {
+  const service = Fastify()
+  service.addHook('preHandler', fn)
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers,
+    allowBatchedQueries: true
+  })
+  await service.listen({ port: 0 })
+  return [service, service.server.address().port]
+}
+
+async function createTestGatewayServer (t, opts = {}, serviceOpts = {}) {
+  const calls = { user: [], post: [] }
+
+  const [userService, userServicePort] = await createTestService(t, `
+    extend type Query {
+      users: [User]
+    }
+
+    type User @key(fields: "id") {
+      id: ID!
+      name: String!
+    }
+  `, {
+    Query: {
+      users: () => Object.values(users)
+    },
+    User: {
+      __resolveReference: user => users[user.id]
+    }
+  }, async (req) => { calls.user.push(req.body) })
+
+  const [postService, postServicePort] = await createTestService(t, `
+    type Post @key(fields: "pid") {
+      pid: ID!
+      title: String
+    }
+
+    extend type User @key(fields: "id") {
+      id: ID! @external
+      posts: [Post]
+      numberOfPosts: Int
+    }
+  `, {
+    User: {
+      posts: user => Object.values(posts).filter(post => post.authorId === user.id),
+      numberOfPosts: user => Object.values(posts).filter(post => post.authorId === user.id).length
+    }
+  }, async (req) => { calls.post.push(req.body) })
+
+  const gateway = Fastify()
+  t.after(async () => {
+    await gateway.close()
+    await userService.close()
+    await postService.close()
+  })
+
+  await gateway.register(plugin, {
+    gateway: {
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userServicePort}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postServicePort}/graphql`,
+          ...serviceOpts
+        }
+      ],
+      ...opts
+    }
+  })
+
+  // ignore the SDL requests
+  calls.user.length = 0
+  calls.post.length = 0
+
+  return { gateway, calls }
+}
+
+const query = `{
+  users {
+    name
+    numberOfPosts
+    posts {
+      title
+    }
+  }
+}`
+
+const expected = {
+  data: {
+    users: [
+      {
+        name: 'John',
+        numberOfPosts: 3,
+        posts: [{ title: 'Post 1' }, { title: 'Post 3' }, { title: 'Post 4' }]
+      },
+      {
+        name: 'Jane',
+        numberOfPosts: 1,
+        posts: [{ title: 'Post 2' }]
+      }
+    ]
+  }
+}
+
+for (const queryPlanner of [false, true]) {
+  test(`fetches all the fields of the entities of a type in one request${queryPlanner ? ' with the query planner' : ''}`, async t => {
+    const { gateway, calls } = await createTestGatewayServer(t, { queryPlanner })
+
+    const res = await gateway.inject({
+      method: 'POST',
+      url: '/graphql',
+      body: { query }
+    })
+
+    t.assert.deepStrictEqual(res.json(), expected)
+    t.assert.strictEqual(calls.user.length, 1)
+    t.assert.strictEqual(calls.post.length, 1)
+    t.assert.deepStrictEqual(calls.post[0].variables, {
+      representations: [
+        { __typename: 'User', id: 'u1' },
+        { __typename: 'User', id: 'u2' }
+      ]
+    })
+    t.assert.match(calls.post[0].query, /numberOfPosts/)
+    t.assert.match(calls.post[0].query, /posts/)
+  })
+}
+
+test('sends one request for the entities of a type with batched queries', async t => {
+  const { gateway, calls } = await createTestGatewayServer(t, {}, { allowBatchedQueries: true })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query }
+  })
+
+  t.assert.deepStrictEqual(res.json(), expected)
+  t.assert.strictEqual(calls.post.length, 1)
+  t.assert.strictEqual(calls.post[0].length, 1)
+})
+
+test('explain reports the entities queries of a type merged into one request', async t => {
+  const { gateway, calls } = await createTestGatewayServer(t)
+
+  const explanation = gateway.graphqlGateway.explain(query)
+  await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query }
+  })
+
+  t.assert.deepStrictEqual(
+    explanation.operations.map(({ id, service, operation, merged, dependsOn }) => ({ id, service, operation, merged, dependsOn })),
+    [
+      { id: 'users', service: 'user', operation: 'query', merged: undefined, dependsOn: [] },
+      {
+        id: 'users.@.numberOfPosts',
+        service: 'post',
+        operation: 'entities',
+        merged: ['users.@.numberOfPosts', 'users.@.posts'],
+        dependsOn: ['users']
+      }
+    ]
+  )
+  t.assert.strictEqual(calls.user.length, 1)
+  t.assert.strictEqual(calls.post.length, 1)
+  t.assert.strictEqual(explanation.operations[1].query, calls.post[0].query)
+})
@@ -0,0 +1,250 @@
+'use strict'
+
+const { test } = require('node:test')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+const { users, posts } = require('./utils/mocks')
+
+async function createTestService (t, schema, resolvers = {}, fn = async () => {}) {
+  const service = Fastify()
+  service.addHook('preHandler', fn)
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers,
+    allowBatchedQueries: true
+  })
+  await service.listen({ port: 0 })
+  return [service, service.server.address().port]
+}
+
+async function createTestGatewayServer (t, opts = {}, serviceOpts = {}) {
+  let calls = 0
+
+  const [userService, userServicePort] = await createTestService(t, `
+    extend type Query {
+      me: User
+    }
+
+    type User @key(fields: "id") {
+      id: ID!
+      name: String!
+    }
+  `, {
+    Query: {
+      me: () => users.u1
+    },
+    User: {
+      __resolveReference: user => users[user.id]
+    }
+  }, async () => { calls++ })
+
+  const [postService, postServicePort] = await createTestService(t, `
+    extend type Query {
+      topPosts(count: Int): [Post]
+    }
+
+    type Post @key(fields: "pid") {
+      pid: ID!
+      title: String
+      author: User
+    }
+
+    extend type User @key(fields: "id") {
+      id: ID! @external
+      posts: [Post]
+    }
+  `, {
+    Query: {
+      topPosts: (root, { count = 2 }) => Object.values(posts).slice(0, count)
+    },
+    Post: {
+      author: post => ({ __typename: 'User', id: post.authorId })
+    }
+  }, async () => { calls++ })
+
+  const gateway = Fastify()
+  t.after(async () => {
+    await gateway.close()
+    await userService.close()
+    await postService.close()
+  })
+
+  await gateway.register(plugin, {
+    gateway: {
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userServicePort}/graphql`,
+          ...serviceOpts
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postServicePort}/graphql`
+        }
+      ],
+      ...opts
+    }
+  })
+
+  calls = 0
+
+  return { gateway, getCalls: () => calls }
+}
+
+const query = `
+  query TopPosts($count: Int, $withAuthor: Boolean!) {
+    topPosts(count: $count) {
+      title
+      author @include(if: $withAuthor) {
+        name
+      }
+    }
+  }
+`
+
+test('explain route returns the requests sent to the services without calling them', async t => {
+  const { gateway, getCalls } = await createTestGatewayServer(t, { explain: true })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql/explain',
+    body: { query, variables: { count: 1, withAuthor: true } }
+  })
+
+  t.assert.strictEqual(res.statusCode, 200)
+  t.assert.deepStrictEqual(res.json(), {
+    operation: 'query',
+    operations: [
+      {
+        id: 'topPosts',
+        service: 'post',
+        operation: 'query',
+        path: [],
+        query: `query Query_topPosts($count: Int, $withAuthor: Boolean!) {
+  topPosts(count: $count) {
+    title
+    author @include(if: $withAuthor) {
+      __typename
+      id
+    }
+    __typename
+    pid
+  }
+}`,
+        variables: { count: 1, withAuthor: true },
+        batched: false,
+        dependsOn: []
+      },
+      {
+        id: 'topPosts.@.author',
+        service: 'user',
+        operation: 'entities',
+        path: ['topPosts', '@', 'author'],
+        entityType: 'User',
+        query: `query EntitiesQuery($representations: [_Any!]!) {
+  _entities(representations: $representations) {
+    __typename
+    ... on User {
+      name
+      __typename
+      id
+    }
+  }
+}`,
+        variables: {},
+        batched: false,
+        dependsOn: ['topPosts']
+      }
+    ]
+  })
+  t.assert.strictEqual(getCalls(), 0)
+})
+
+test('explain omits the requests excluded by the variables', async t => {
+  const { gateway } = await createTestGatewayServer(t)
+
+  const explanation = gateway.graphqlGateway.explain(query, {
+    variables: { withAuthor: false }
+  })
+
+  t.assert.deepStrictEqual(
+    explanation.operations.map(({ id }) => id),
+    ['topPosts']
+  )
+})
+
+test('explain reports the batched requests', async t => {
+  const { gateway } = await createTestGatewayServer(t, {}, { allowBatchedQueries: true })
+
+  const explanation = gateway.graphqlGateway.explain(`{
+    topPosts {
+      author {
+        name
+      }
+    }
+    me {
+      name
+    }
+  }`)
+
+  t.assert.deepStrictEqual(
+    explanation.operations.map(({ id, service, batched, dependsOn }) => ({ id, service, batched, dependsOn })),
+    [
+      { id: 'topPosts', service: 'post', batched: false, dependsOn: [] },
+      { id: 'topPosts.@.author', service: 'user', batched: true, dependsOn: ['topPosts'] },
+      { id: 'me', service: 'user', batched: false, dependsOn: [] }
+    ]
+  )
+})
+
+test('explain route can be registered on a custom path', async t => {
+  const { gateway } = await createTestGatewayServer(t, { explain: { path: '/explain' } })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/explain',
+    body: { query: '{ me { name } }' }
+  })
+
+  t.assert.strictEqual(res.statusCode, 200)
+  t.assert.deepStrictEqual(res.json().operations.map(({ id }) => id), ['me'])
+})
+
+test('explain route replies with 400 when the query is not valid', async t => {
+  const { gateway } = await createTestGatewayServer(t, { explain: true })
+
+  {
+    const res = await gateway.inject({
+      method: 'POST',
+      url: '/graphql/explain',
+      body: { query: '{ me { unknown } }' }
+    })
+
+    t.assert.strictEqual(res.statusCode, 400)
+    t.assert.strictEqual(res.json().code, 'MER_ERR_GQL_GATEWAY_QUERY_PLAN')
+  }
+
+  {
+    const res = await gateway.inject({
+      method: 'POST',
+      url: '/graphql/explain',
+      body: {}
+    })
+
+    t.assert.strictEqual(res.statusCode, 400)
+  }
+})
+
+test('explain route is not registered by default', async t => {
+  const { gateway } = await createTestGatewayServer(t)
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql/explain',
+    body: { query: '{ me { name } }' }
+  })
+
+  t.assert.strictEqual(res.statusCode, 404)
+})
@@ -0,0 +1,259 @@
+'use strict'
+
+const { test } = require('node:test')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+const { users, posts } = require('./utils/mocks')
+
+async function createTestService (t, schema, resolvers = {}) {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  t.after(() => service.close())
+  return service.server.address().port
+}
+
+async function createTestGatewayServer (t, services) {
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+
+  await gateway.register(plugin, {
+    gateway: {
+      services: await Promise.all(services.map(async ({ name, schema, resolvers }) => ({
+        name,
+        url: `http://localhost:${await createTestService(t, schema, resolvers)}/graphql`
+      })))
+    }
+  })
+
+  return gateway
+}
+
+const userService = {
+  name: 'user',
+  schema: `
+    extend schema @link(url: "https://specs.apollo.dev/federation/v2.3", import: ["@key", "@shareable", "@inaccessible", "@tag"])
+
+    type Query {
+      me: User
+      hello: String @shareable
+    }
+
+    type User @key(fields: "id") @tag(name: "public") {
+      id: ID!
+      name: String! @shareable
+      password: String @inaccessible
+      username: String
+    }
+  `,
+  resolvers: {
+    Query: {
+      me: () => ({ ...users.u1, password: 'secret', username: 'john' }),
+      hello: () => 'Hello from user'
+    },
+    User: {
+      __resolveReference: user => ({ ...users[user.id], password: 'secret', username: users[user.id].name.toLowerCase() })
+    }
+  }
+}
+
+const postService = {
+  name: 'post',
+  schema: `
+    extend schema @link(url: "https://specs.apollo.dev/federation/v2.3", import: ["@key", { name: "@shareable", as: "@share" }, "@override"])
+
+    type Query {
+      topPosts(count: Int): [Post]
+      hello: String @share
+    }
+
+    type Post @key(fields: "pid") {
+      pid: ID!
+      title: String
+      author: User
+    }
+
+    type User @key(fields: "id", resolvable: false) {
+      id: ID!
+      name: String! @share
+      username: String @federation__override(from: "user")
+      posts: [Post]
+    }
+  `,
+  resolvers: {
+    Query: {
+      topPosts: (root, { count = 2 }) => Object.values(posts).slice(0, count),
+      hello: () => 'Hello from post'
+    },
+    Post: {
+      author: post => ({ __typename: 'User', id: post.authorId })
+    },
+    User: {
+      username: user => `${users[user.id].name.toLowerCase()} from post`,
+      posts: user => Object.values(posts).filter(post => post.authorId === user.id)
+    }
+  }
+}
+
+test('composes and routes Federation 2 services', async t => {
+  const gateway = await createTestGatewayServer(t, [userService, postService])
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: {
+      query: `{
+        hello
+        me {
+          name
+          posts {
+            title
+          }
+        }
+        topPosts(count: 2) {
+          title
+          author {
+            name
+          }
+        }
+      }`
+    }
+  })
+
+  t.assert.deepStrictEqual(res.json(), {
+    data: {
+      hello: 'Hello from user',
+      me: {
+        name: 'John',
+        posts: [{ title: 'Post 1' }, { title: 'Post 3' }, { title: 'Post 4' }]
+      },
+      topPosts: [
+        { title: 'Post 1', author: { name: 'John' } },
+        { title: 'Post 2', author: { name: 'Jane' } }
+      ]
+    }
+  })
+})
+
+test('resolves the overridden fields from the overriding service', async t => {
+  const gateway = await createTestGatewayServer(t, [userService, postService])
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ me { name username } }' }
+  })
+
+  t.assert.deepStrictEqual(res.json(), {
+    data: {
+      me: { name: 'John', username: 'john from post' }
+    }
+  })
+})
+
+test('does not expose the inaccessible fields', async t => {
+  const gateway = await createTestGatewayServer(t, [userService, postService])
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ me { password } }' }
+  })
+
+  t.assert.strictEqual(res.statusCode, 400)
+  t.assert.deepStrictEqual(res.json().errors.map(({ message }) => message), [
+    'Cannot query field "password" on type "User".'
+  ])
+  t.assert.strictEqual(gateway.graphql.schema.getDirective('tag'), undefined)
+  t.assert.strictEqual(gateway.graphql.schema.getDirective('shareable'), undefined)
+})
+
+test('keeps the composed schemas of the services when their schemas did not change', async t => {
+  const gateway = await createTestGatewayServer(t, [userService, postService])
+  const { user, post } = gateway.graphqlGateway.serviceMap
+  const { typeMap: userTypeMap } = user
+  const { typeMap: postTypeMap } = post
+
+  t.assert.strictEqual(await gateway.graphqlGateway.refresh(), null)
+  t.assert.strictEqual(user.typeMap, userTypeMap)
+  t.assert.strictEqual(post.typeMap, postTypeMap)
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ me { name username } }' }
+  })
+
+  t.assert.deepStrictEqual(res.json(), {
+    data: {
+      me: { name: 'John', username: 'john from post' }
+    }
+  })
+})
+
+test('composes Federation 2 services with Federation 1 services', async t => {
+  const gateway = await createTestGatewayServer(t, [
+    {
+      name: 'user',
+      schema: `
+        extend type Query {
+          me: User
+        }
+
+        type User @key(fields: "id") {
+          id: ID!
+          name: String!
+        }
+      `,
+      resolvers: {
+        Query: {
+          me: () => users.u1
+        },
+        User: {
+          __resolveReference: user => users[user.id]
+        }
+      }
+    },
+    {
+      name: 'post',
+      schema: `
+        extend schema @link(url: "https://specs.apollo.dev/federation/v2.0", import: ["@key"])
+
+        type Post @key(fields: "pid") {
+          pid: ID!
+          title: String
+        }
+
+        type User @key(fields: "id") {
+          id: ID!
+          posts: [Post]
+        }
+      `,
+      resolvers: {
+        User: {
+          posts: user => Object.values(posts).filter(post => post.authorId === user.id)
+        }
+      }
+    }
+  ])
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ me { name posts { title } } }' }
+  })
+
+  t.assert.deepStrictEqual(res.json(), {
+    data: {
+      me: {
+        name: 'John',
+        posts: [{ title: 'Post 1' }, { title: 'Post 3' }, { title: 'Post 4' }]
+      }
+    }
+  })
+})
@@ -1,7 +1,7 @@
 'use strict'
 
-const { parse } = require('graphql')
-const getQueryResult = require('../lib/gateway/get-query-result')
+const { parse, buildSchema } = require('graphql')
+const { getQueryResult } = require('../lib/gateway/get-query-result')
 const { test } = require('node:test')
 
 const getQueryWithCount = count => `
@@ -139,3 +139,308 @@ test('it works with a basic example and batched queries', async t => {
   t.assert.deepStrictEqual(result[1].data._entities[0], entity1)
   t.assert.deepStrictEqual(result[1].data._entities[1], entity2)
 })
+
+const getQueryWithFields = (...fields) => `
+query EntitiesQuery($representations: [_Any!]!) {
+  _entities(representations: $representations) {
+    __typename
+    ... on User {
+      ${fields.join('\n      ')}
+    }
+  }
+}
+`
+
+const createContext = () => ({
+  gateway: {
+    preGatewayExecution: null
+  },
+  reply: {
+    request: {
+      headers: {}
+    }
+  }
+})
+
+const representations = () => [
+  { __typename: 'User', id: 'u1' },
+  { __typename: 'User', id: 'u2' }
+]
+
+test('it merges the queries for different fields of the same entities', async t => {
+  const requests = []
+  const result = await getQueryResult({
+    context: createContext(),
+    queries: [
+      {
+        document: parse(getQueryWithFields('name')),
+        query: getQueryWithFields('name'),
+        variables: { representations: representations() }
+      },
+      {
+        document: parse(getQueryWithFields('name', 'numberOfPosts')),
+        query: getQueryWithFields('name', 'numberOfPosts'),
+        variables: { representations: representations() }
+      }
+    ],
+    serviceDefinition: {
+      sendRequest: async ({ body }) => {
+        requests.push(JSON.parse(body))
+        return createNotBatchedResponse(
+          { __typename: 'User', name: 'John', numberOfPosts: 3 },
+          { __typename: 'User', name: 'Jane', numberOfPosts: 1 }
+        )
+      }
+    }
+  })
+
+  t.assert.strictEqual(requests.length, 1)
+  t.assert.strictEqual(requests[0].query, `query EntitiesQuery($representations: [_Any!]!) {
+  _entities(representations: $representations) {
+    __typename
+    ... on User {
+      name
+      numberOfPosts
+    }
+  }
+}`)
+  t.assert.deepStrictEqual(requests[0].variables, { representations: representations() })
+
+  for (const queryIndex of [0, 1]) {
+    t.assert.deepStrictEqual(result[queryIndex].json.data._entities, [
+      { __typename: 'User', name: 'John', numberOfPosts: 3 },
+      { __typename: 'User', name: 'Jane', numberOfPosts: 1 }
+    ])
+  }
+})
+
+test('it merges the queries for different fields of the same entities with batched queries', async t => {
+  const requests = []
+  const result = await getQueryResult({
+    context: createContext(),
+    queries: [
+      {
+        document: parse(getQueryWithFields('name')),
+        query: getQueryWithFields('name'),
+        variables: { representations: representations() }
+      },
+      {
+        document: parse(getQueryWithFields('numberOfPosts')),
+        query: getQueryWithFields('numberOfPosts'),
+        variables: { representations: representations().slice(0, 1) }
+      },
+      {
+        document: parse(getQueryWithFields('numberOfPosts')),
+        query: getQueryWithFields('numberOfPosts'),
+        variables: { representations: representations().slice(1) }
+      }
+    ],
+    serviceDefinition: {
+      allowBatchedQueries: true,
+      sendRequest: async ({ body }) => {
+        requests.push(JSON.parse(body))
+        return {
+          json: [{
+            data: {
+              _entities: [
+                { __typename: 'User', name: 'John', numberOfPosts: 3 },
+                { __typename: 'User', name: 'Jane', numberOfPosts: 1 }
+              ]
+            }
+          }]
+        }
+      }
+    }
+  })
+
+  t.assert.strictEqual(requests.length, 1)
+  t.assert.strictEqual(requests[0].length, 1)
+  t.assert.deepStrictEqual(result.map(({ json }) => json.data._entities), [
+    [
+      { __typename: 'User', name: 'John', numberOfPosts: 3 },
+      { __typename: 'User', name: 'Jane', numberOfPosts: 1 }
+    ],
+    [{ __typename: 'User', name: 'John', numberOfPosts: 3 }],
+    [{ __typename: 'User', name: 'Jane', numberOfPosts: 1 }]
+  ])
+})
+
+test('it does not merge the queries selecting the same field differently in the same request', async t => {
+  const requests = []
+  await getQueryResult({
+    context: createContext(),
+    queries: [
+      {
+        document: parse(getQueryWithFields('posts(count: 1) { pid }')),
+        query: getQueryWithFields('posts(count: 1) { pid }'),
+        variables: { representations: representations() }
+      },
+      {
+        document: parse(getQueryWithFields('posts(count: 2) { pid }')),
+        query: getQueryWithFields('posts(count: 2) { pid }'),
+        variables: { representations: representations() }
+      },
+      {
+        document: parse(getQueryWithFields('name')),
+        query: getQueryWithFields('name'),
+        variables: { representations: representations().slice(1) }
+      }
+    ],
+    serviceDefinition: {
+      sendRequest: async ({ body }) => {
+        requests.push(JSON.parse(body))
+        return createNotBatchedResponse()
+      }
+    }
+  })
+
+  t.assert.strictEqual(requests.length, 2)
+  t.assert.strictEqual(requests[0].query, `query EntitiesQuery($representations: [_Any!]!) {
+  _entities(representations: $representations) {
+    __typename
+    ... on User {
+      posts(count: 1) {
+        pid
+      }
+      name
+    }
+  }
+}`)
+  t.assert.deepStrictEqual(requests[0].variables, { representations: representations() })
+})
+
+test('it requests each entity once and maps the entities back to each query', async t => {
+  const requests = []
+  const result = await getQueryResult({
+    context: createContext(),
+    queries: [
+      {
+        document: parse(getQueryWithFields('name')),
+        query: getQueryWithFields('name'),
+        variables: { representations: [{ __typename: 'User', id: 'u1' }] }
+      },
+      {
+        document: parse(getQueryWithFields('numberOfPosts')),
+        query: getQueryWithFields('numberOfPosts'),
+        variables: { representations: [{ __typename: 'User', id: 'u2' }] }
+      },
+      {
+        document: parse(getQueryWithFields('numberOfPosts')),
+        query: getQueryWithFields('numberOfPosts'),
+        variables: { representations: [{ __typename: 'User', id: 'u1' }] }
+      },
+      {
+        document: parse(getQueryWithFields('name')),
+        query: getQueryWithFields('name'),
+        variables: { representations: [{ __typename: 'User', id: 'u1' }] }
+      }
+    ],
+    serviceDefinition: {
+      sendRequest: async ({ body }) => {
+        requests.push(JSON.parse(body))
+        return createNotBatchedResponse(
+          { __typename: 'User', name: 'John', numberOfPosts: 3 },
+          { __typename: 'User', name: 'Jane', numberOfPosts: 1 }
+        )
+      }
+    }
+  })
+
+  t.assert.strictEqual(requests.length, 1)
+  t.assert.deepStrictEqual(requests[0].variables, { representations: representations() })
+  t.assert.deepStrictEqual(result.map(({ json }) => json.data._entities), [
+    [{ __typename: 'User', name: 'John', numberOfPosts: 3 }],
+    [{ __typename: 'User', name: 'Jane', numberOfPosts: 1 }],
+    [{ __typename: 'User', name: 'John', numberOfPosts: 3 }],
+    [{ __typename: 'User', name: 'John', numberOfPosts: 3 }]
+  ])
+})
+
+test('it does not merge the queries with different variable values', async t => {
+  const requests = []
+  const query = `
+    query EntitiesQuery($representations: [_Any!]!, $count: Int) {
+      _entities(representations: $representations) {
+        __typename
+        ... on User {
+          posts(count: $count) { pid }
+        }
+      }
+    }
+  `
+  await getQueryResult({
+    context: createContext(),
+    queries: [
+      {
+        document: parse(query),
+        query,
+        variables: { representations: representations(), count: 1 }
+      },
+      {
+        document: parse(getQueryWithFields('name')),
+        query: getQueryWithFields('name'),
+        variables: { representations: representations(), count: 2 }
+      }
+    ],
+    serviceDefinition: {
+      sendRequest: async ({ body }) => {
+        requests.push(JSON.parse(body))
+        return createNotBatchedResponse()
+      }
+    }
+  })
+
+  t.assert.strictEqual(requests.length, 2)
+})
+
+test('it does not merge the queries when the representations miss required fields', async t => {
+  const schema = buildSchema(`
+    directive @key(fields: String!) on OBJECT
+    directive @requires(fields: String!) on FIELD_DEFINITION
+
+    type User @key(fields: "id") {
+      id: ID!
+      name: String
+      numberOfPosts: Int
+      rank: Int @requires(fields: "numberOfPosts")
+    }
+
+    type Query {
+      me: User
+    }
+  `)
+  const requests = []
+  await getQueryResult({
+    context: createContext(),
+    schema,
+    queries: [
+      {
+        document: parse(getQueryWithFields('name')),
+        query: getQueryWithFields('name'),
+        variables: { representations: [{ __typename: 'User', id: 'u1' }] }
+      },
+      {
+        document: parse(getQueryWithFields('rank')),
+        query: getQueryWithFields('rank'),
+        variables: { representations: [{ __typename: 'User', id: 'u2', numberOfPosts: 1 }] }
+      },
+      {
+        document: parse(getQueryWithFields('numberOfPosts')),
+        query: getQueryWithFields('numberOfPosts'),
+        variables: { representations: [{ __typename: 'User', id: 'u2' }] }
+      }
+    ],
+    serviceDefinition: {
+      sendRequest: async ({ body }) => {
+        requests.push(JSON.parse(body))
+        return createNotBatchedResponse()
+      }
+    }
+  })
+
+  t.assert.strictEqual(requests.length, 2)
+  t.assert.deepStrictEqual(requests.map(({ variables }) => variables.representations), [
+    [{ __typename: 'User', id: 'u1' }, { __typename: 'User', id: 'u2' }],
+    [{ __typename: 'User', id: 'u2', numberOfPosts: 1 }]
+  ])
+})
@@ -0,0 +1,206 @@
+'use strict'
+
+const { test } = require('node:test')
+const { setTimeout: sleep } = require('node:timers/promises')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String!
+  }
+`
+
+// a replica of the user service, replying 503 to every request when it is not healthy
+// and resetting the connections of the queries when `reset` is set
+async function createReplica (t) {
+  const service = Fastify()
+  const state = { healthy: true, reset: false, queries: 0 }
+  service.register(GQL, {
+    schema: buildFederationSchema(userSchema),
+    resolvers: {
+      Query: {
+        me: () => ({ id: 'u1', name: 'John' })
+      }
+    }
+  })
+  service.addHook('preHandler', async (request, reply) => {
+    if (!state.healthy) {
+      return reply.code(503).send({ data: null, errors: [{ message: 'Service unavailable' }] })
+    }
+    if (request.body.query.includes('me')) {
+      if (state.reset) {
+        request.raw.socket.destroy()
+        return reply
+      }
+      state.queries++
+    }
+  })
+  await service.listen({ port: 0 })
+  t.after(() => service.close())
+  return { service, state, origin: `http://localhost:${service.server.address().port}` }
+}
+
+async function createTestGatewayServer (t, replicas, healthCheck) {
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+  await gateway.register(plugin, {
+    gateway: {
+      services: [
+        {
+          name: 'user',
+          url: replicas.map(({ origin }) => `${origin}/graphql`),
+          healthCheck
+        }
+      ]
+    }
+  })
+  return gateway
+}
+
+async function query (gateway) {
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ me { name } }' }
+  })
+  return res.json()
+}
+
+async function waitForHealth (gateway, origin, healthy) {
+  while (gateway.graphqlGateway.getServiceHealth().user[origin].healthy !== healthy) {
+    await sleep(20)
+  }
+}
+
+test('removes an upstream failing its health checks from the pool until it is healthy again', async t => {
+  const replicas = [await createReplica(t), await createReplica(t)]
+  const gateway = await createTestGatewayServer(t, replicas, {
+    interval: 50,
+    unhealthyThreshold: 1,
+    healthyThreshold: 1
+  })
+
+  replicas[1].state.healthy = false
+  await waitForHealth(gateway, replicas[1].origin, false)
+
+  const health = gateway.graphqlGateway.getServiceHealth()
+  t.assert.deepStrictEqual(Object.keys(health.user), replicas.map(({ origin }) => origin))
+  t.assert.strictEqual(health.user[replicas[0].origin].healthy, true)
+  t.assert.strictEqual(health.user[replicas[0].origin].lastError, null)
+  t.assert.ok(health.user[replicas[0].origin].lastCheck instanceof Date)
+  t.assert.strictEqual(health.user[replicas[1].origin].lastError, 'Unexpected status code 503')
+
+  for (let i = 0; i < 4; i++) {
+    t.assert.deepStrictEqual(await query(gateway), { data: { me: { name: 'John' } } })
+  }
+  t.assert.strictEqual(replicas[1].state.queries, 0)
+
+  replicas[1].state.healthy = true
+  await waitForHealth(gateway, replicas[1].origin, true)
+
+  for (let i = 0; i < 4; i++) {
+    t.assert.deepStrictEqual(await query(gateway), { data: { me: { name: 'John' } } })
+  }
+  t.assert.ok(replicas[1].state.queries > 0)
+})
+
+test('removes an upstream whose connections fail from the pool', async t => {
+  const replicas = [await createReplica(t), await createReplica(t)]
+  const gateway = await createTestGatewayServer(t, replicas, {
+    interval: 60e3,
+    maxFailures: 2
+  })
+
+  await replicas[1].service.close()
+
+  let failures = 0
+  for (let i = 0; i < 6; i++) {
+    const { errors } = await query(gateway)
+    if (errors) {
+      failures++
+    }
+  }
+
+  t.assert.ok(failures <= 2)
+  const health = gateway.graphqlGateway.getServiceHealth().user[replicas[1].origin]
+  t.assert.strictEqual(health.healthy, false)
+  t.assert.match(health.lastError, /ECONNREFUSED/)
+  t.assert.deepStrictEqual(await query(gateway), { data: { me: { name: 'John' } } })
+})
+
+test('removes an upstream whose requests fail from the pool', async t => {
+  const replicas = [await createReplica(t), await createReplica(t)]
+  const gateway = await createTestGatewayServer(t, replicas, {
+    interval: 60e3,
+    maxFailures: 2
+  })
+
+  replicas[1].state.reset = true
+  for (let i = 0; i < 6; i++) {
+    await query(gateway)
+  }
+
+  const health = gateway.graphqlGateway.getServiceHealth().user[replicas[1].origin]
+  t.assert.strictEqual(health.healthy, false)
+  t.assert.strictEqual(health.lastError, 'other side closed')
+  t.assert.deepStrictEqual(await query(gateway), { data: { me: { name: 'John' } } })
+})
+
+test('does not count the idle connections closed by an upstream as failures', async t => {
+  const replicas = [await createReplica(t), await createReplica(t)]
+  const gateway = await createTestGatewayServer(t, replicas, {
+    interval: 60e3,
+    maxFailures: 1
+  })
+
+  for (let i = 0; i < 4; i++) {
+    t.assert.deepStrictEqual(await query(gateway), { data: { me: { name: 'John' } } })
+    for (const { service } of replicas) {
+      service.server.closeIdleConnections()
+    }
+    await sleep(20)
+  }
+
+  for (const { origin } of replicas) {
+    const health = gateway.graphqlGateway.getServiceHealth().user[origin]
+    t.assert.strictEqual(health.healthy, true)
+    t.assert.strictEqual(health.failures, 0)
+  }
+})
+
+test('keeps the last upstream in the pool', async t => {
+  const replicas = [await createReplica(t), await createReplica(t)]
+  const gateway = await createTestGatewayServer(t, replicas, {
+    interval: 50,
+    unhealthyThreshold: 1,
+    healthyThreshold: 1
+  })
+
+  replicas[0].state.healthy = false
+  replicas[1].state.healthy = false
+  await waitForHealth(gateway, replicas[0].origin, false)
+  await waitForHealth(gateway, replicas[1].origin, false)
+
+  // the request is still sent to an upstream
+  const { errors } = await query(gateway)
+  t.assert.strictEqual(errors[0].message, 'Service unavailable')
+
+  replicas[0].state.healthy = true
+  await waitForHealth(gateway, replicas[0].origin, true)
+  t.assert.deepStrictEqual(await query(gateway), { data: { me: { name: 'John' } } })
+})
+
+test('does not check the health of the upstreams by default', async t => {
+  const replicas = [await createReplica(t), await createReplica(t)]
+  const gateway = await createTestGatewayServer(t, replicas)
+
+  t.assert.deepStrictEqual(gateway.graphqlGateway.getServiceHealth(), {})
+})
@@ -0,0 +1,220 @@
+'use strict'
+
+const { test } = require('node:test')
+const { setTimeout: sleep } = require('node:timers/promises')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+const createHedging = require('../lib/gateway/hedging')
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  extend type Mutation {
+    rename(name: String!): User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String!
+  }
+`
+
+// a replica of the user service, whose resolvers are slowed down by `delay`
+async function createReplica (t) {
+  const service = Fastify()
+  const state = { delay: 0, queries: 0, mutations: 0 }
+  service.register(GQL, {
+    schema: buildFederationSchema(userSchema),
+    resolvers: {
+      Query: {
+        me: async () => {
+          state.queries++
+          await sleep(state.delay)
+          return { id: 'u1', name: 'John' }
+        }
+      },
+      Mutation: {
+        rename: async (root, { name }) => {
+          state.mutations++
+          await sleep(state.delay)
+          return { id: 'u1', name }
+        }
+      }
+    }
+  })
+  await service.listen({ port: 0 })
+  t.after(() => service.close())
+  return { state, url: `http://localhost:${service.server.address().port}/graphql` }
+}
+
+async function createTestGatewayServer (t, replicas, hedging) {
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+  await gateway.register(plugin, {
+    gateway: {
+      services: [{
+        name: 'user',
+        url: replicas.map(({ url }) => url),
+        // the first available url is picked first
+        loadBalancer: upstreams => upstreams[0],
+        hedging
+      }]
+    }
+  })
+  return gateway
+}
+
+async function query (gateway, query) {
+  const start = Date.now()
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query }
+  })
+  return { result: res.json(), duration: Date.now() - start }
+}
+
+// the requests are hedged once the latencies of 10 queries are known
+async function warmUp (gateway) {
+  for (let i = 0; i < 10; i++) {
+    await query(gateway, '{ me { name } }')
+  }
+}
+
+test('sends a late query to another url and replies the first response', async t => {
+  const replicas = [await createReplica(t), await createReplica(t)]
+  const gateway = await createTestGatewayServer(t, replicas, { minDelay: 50 })
+  await warmUp(gateway)
+
+  replicas[0].state.delay = 1000
+  const { result, duration } = await query(gateway, '{ me { name } }')
+
+  t.assert.deepStrictEqual(result, { data: { me: { name: 'John' } } })
+  t.assert.ok(duration < 500)
+  t.assert.strictEqual(replicas[0].state.queries, 11)
+  t.assert.strictEqual(replicas[1].state.queries, 1)
+})
+
+test('does not hedge the queries before the latencies are known', async t => {
+  const replicas = [await createReplica(t), await createReplica(t)]
+  const gateway = await createTestGatewayServer(t, replicas, true)
+
+  replicas[0].state.delay = 200
+  const { result, duration } = await query(gateway, '{ me { name } }')
+
+  t.assert.deepStrictEqual(result, { data: { me: { name: 'John' } } })
+  t.assert.ok(duration >= 200)
+  t.assert.strictEqual(replicas[1].state.queries, 0)
+})
+
+test('never hedges a mutation', async t => {
+  const replicas = [await createReplica(t), await createReplica(t)]
+  const gateway = await createTestGatewayServer(t, replicas, { minDelay: 50 })
+  await warmUp(gateway)
+
+  replicas[0].state.delay = 300
+  const { result, duration } = await query(gateway, 'mutation { rename(name: "Jane") { name } }')
+
+  t.assert.deepStrictEqual(result, { data: { rename: { name: 'Jane' } } })
+  t.assert.ok(duration >= 300)
+  t.assert.strictEqual(replicas[0].state.mutations, 1)
+  t.assert.strictEqual(replicas[1].state.mutations, 0)
+})
+
+test('does not hedge the queries by default', async t => {
+  const replicas = [await createReplica(t), await createReplica(t)]
+  const gateway = await createTestGatewayServer(t, replicas)
+  await warmUp(gateway)
+
+  replicas[0].state.delay = 200
+  const { duration } = await query(gateway, '{ me { name } }')
+
+  t.assert.ok(duration >= 200)
+  t.assert.strictEqual(replicas[1].state.queries, 0)
+})
+
+// replies to the request after the delay of the upstream, unless it is aborted
+function send (upstream, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve({ body: { destroy () {} } }), upstream.delay)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(new Error('aborted'))
+    })
+  })
+}
+
+test('records the latency seen by the client when the hedged request replies first', async t => {
+  const hedging = createHedging({ percentile: 50, minDelay: 1 })
+  const slow = { delay: 1000 }
+  const fast = { delay: 0 }
+  for (let i = 0; i < 10; i++) {
+    await hedging.request(send, { delay: 40 }, () => fast)
+  }
+
+  for (let i = 0; i < 10; i++) {
+    await hedging.request(send, slow, () => fast)
+  }
+
+  const start = Date.now()
+  await hedging.request(send, slow, () => fast)
+  t.assert.ok(Date.now() - start >= 35)
+})
+
+test('keeps the pending request when the hedged upstream cannot be picked', async t => {
+  const hedging = createHedging({ minDelay: 20 })
+  for (let i = 0; i < 10; i++) {
+    await hedging.request(send, { delay: 0 }, () => ({ delay: 0 }))
+  }
+
+  const response = await hedging.request(send, { delay: 100 }, () => {
+    throw new Error('kaboom')
+  })
+  t.assert.ok(response.body)
+})
+
+test('sends a late query to the next url on the hash ring', async t => {
+  const replicas = [await createReplica(t), await createReplica(t)]
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+  await gateway.register(plugin, {
+    gateway: {
+      services: [{
+        name: 'user',
+        url: replicas.map(({ url }) => url),
+        loadBalancer: { hash: () => 'tenant-1' },
+        hedging: { minDelay: 50 }
+      }]
+    }
+  })
+  await warmUp(gateway)
+  const [hashed, next] = replicas[0].state.queries > 0 ? replicas : [replicas[1], replicas[0]]
+
+  hashed.state.delay = 1000
+  const { result, duration } = await query(gateway, '{ me { name } }')
+
+  t.assert.deepStrictEqual(result, { data: { me: { name: 'John' } } })
+  t.assert.ok(duration < 500)
+  t.assert.strictEqual(hashed.state.queries, 11)
+  t.assert.strictEqual(next.state.queries, 1)
+})
+
+test('does not record the latency of the aborted hedged requests', async t => {
+  const hedging = createHedging({ percentile: 10, minDelay: 1 })
+  for (let i = 0; i < 10; i++) {
+    await hedging.request(send, { delay: 40 }, () => ({ delay: 0 }))
+  }
+
+  // the hedged requests are aborted shortly after they are sent
+  for (let i = 0; i < 5; i++) {
+    await hedging.request(send, { delay: 45 }, () => ({ delay: 1000 }))
+  }
+
+  const start = Date.now()
+  await hedging.request(send, { delay: 1000 }, () => ({ delay: 0 }))
+  t.assert.ok(Date.now() - start >= 35)
+})
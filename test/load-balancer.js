@@ -0,0 +1,181 @@
+'use strict'
+
+const { test } = require('node:test')
+const { setTimeout: sleep } = require('node:timers/promises')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+const { getUpstreams, createLoadBalancer } = require('../lib/gateway/load-balancer')
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String!
+  }
+`
+
+// a replica of the user service, counting the queries it resolves
+async function createReplica (t, delay = 0) {
+  const service = Fastify()
+  const state = { queries: 0 }
+  service.register(GQL, {
+    schema: buildFederationSchema(userSchema),
+    resolvers: {
+      Query: {
+        me: async () => {
+          state.queries++
+          await sleep(delay)
+          return { id: 'u1', name: 'John' }
+        }
+      }
+    }
+  })
+  await service.listen({ port: 0 })
+  t.after(() => service.close())
+  return { state, url: `http://localhost:${service.server.address().port}/graphql` }
+}
+
+async function createTestGatewayServer (t, service) {
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+  await gateway.register(plugin, {
+    gateway: {
+      services: [{ name: 'user', ...service }]
+    }
+  })
+  return gateway
+}
+
+async function query (gateway, headers = {}) {
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers,
+    body: { query: '{ me { name } }' }
+  })
+  return res.json()
+}
+
+test('load balances weighted urls according to their weight', async t => {
+  const replicas = [await createReplica(t), await createReplica(t)]
+  const gateway = await createTestGatewayServer(t, {
+    url: [
+      { url: replicas[0].url, weight: 3 },
+      { url: replicas[1].url, weight: 1 }
+    ]
+  })
+
+  for (let i = 0; i < 8; i++) {
+    t.assert.deepStrictEqual(await query(gateway), { data: { me: { name: 'John' } } })
+  }
+
+  t.assert.strictEqual(replicas[0].state.queries, 6)
+  t.assert.strictEqual(replicas[1].state.queries, 2)
+})
+
+test('sends the requests to the url with the fewest outstanding requests', async t => {
+  const replicas = [await createReplica(t, 300), await createReplica(t)]
+  const gateway = await createTestGatewayServer(t, {
+    url: replicas.map(({ url }) => url),
+    loadBalancer: 'least-outstanding'
+  })
+
+  const queries = []
+  for (let i = 0; i < 6; i++) {
+    queries.push(query(gateway))
+    await sleep(30)
+  }
+  for (const result of await Promise.all(queries)) {
+    t.assert.deepStrictEqual(result, { data: { me: { name: 'John' } } })
+  }
+
+  t.assert.ok(replicas[0].state.queries <= 1)
+  t.assert.ok(replicas[1].state.queries >= 5)
+})
+
+test('sends the requests with the same hash key to the same url', async t => {
+  const replicas = [await createReplica(t), await createReplica(t)]
+  const gateway = await createTestGatewayServer(t, {
+    url: replicas.map(({ url }) => url),
+    loadBalancer: {
+      hash: headers => headers['x-tenant']
+    }
+  })
+
+  for (let i = 0; i < 4; i++) {
+    await query(gateway, { 'x-tenant': 'tenant-1' })
+  }
+  t.assert.deepStrictEqual(replicas.map(({ state }) => state.queries).sort(), [0, 4])
+
+  for (let i = 0; i < 20; i++) {
+    await query(gateway, { 'x-tenant': `tenant-${i}` })
+  }
+  t.assert.ok(replicas.every(({ state }) => state.queries > 0))
+})
+
+test('sends the requests to the url picked by a custom load balancer', async t => {
+  const replicas = [await createReplica(t), await createReplica(t)]
+  const picked = []
+  const gateway = await createTestGatewayServer(t, {
+    url: replicas.map(({ url }) => url),
+    loadBalancer: (upstreams, headers, context) => {
+      picked.push(upstreams.map(({ url, weight }) => ({ url, weight })))
+      return upstreams.find(({ url }) => url === replicas[1].url)
+    }
+  })
+
+  for (let i = 0; i < 3; i++) {
+    await query(gateway)
+  }
+
+  t.assert.strictEqual(replicas[0].state.queries, 0)
+  t.assert.strictEqual(replicas[1].state.queries, 3)
+  t.assert.deepStrictEqual(picked[0], replicas.map(({ url }) => ({ url, weight: 1 })))
+})
+
+test('refuses an unknown load balancer', async t => {
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+  gateway.register(plugin, {
+    gateway: {
+      services: [{
+        name: 'user',
+        url: ['http://localhost:4001/graphql', 'http://localhost:4002/graphql'],
+        loadBalancer: 'random'
+      }]
+    }
+  })
+
+  await t.assert.rejects(gateway.ready(), {
+    code: 'MER_ERR_INVALID_OPTS',
+    message: 'Invalid options: gateway: the "loadBalancer" of service "user" must be \'round-robin\', \'least-outstanding\', a { hash } Object or a Function'
+  })
+})
+
+test('throws when there is no upstream to pick', t => {
+  const upstreams = getUpstreams(['http://localhost:4001/graphql', 'http://localhost:4002/graphql'])
+  const opts = { originalRequestHeaders: { 'x-tenant': 'tenant-1' }, context: {} }
+
+  for (const loadBalancer of [
+    'round-robin',
+    'least-outstanding',
+    { hash: headers => headers['x-tenant'] },
+    candidates => candidates[0]
+  ]) {
+    const pick = createLoadBalancer('user', loadBalancer)
+    const error = {
+      code: 'MER_ERR_GQL_GATEWAY_NO_UPSTREAM',
+      message: 'No upstream available for service "user"',
+      statusCode: 503
+    }
+
+    t.assert.throws(() => pick([], opts), error)
+    t.assert.throws(() => pick([upstreams[0]], opts, upstreams[0]), error)
+    t.assert.strictEqual(pick(upstreams, opts, upstreams[0]), upstreams[1])
+  }
+})
@@ -0,0 +1,181 @@
+'use strict'
+
+const { test } = require('node:test')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+
+const products = [
+  { upc: '1', sku: 'table', name: 'Table' },
+  { upc: '2', sku: 'chair', name: 'Chair' }
+]
+
+const listings = [
+  { owner: { id: 'u1' }, slug: 'house', title: 'A house' },
+  { owner: { id: 'u2' }, slug: 'house', title: 'Another house' }
+]
+
+async function createTestService (t, schema, resolvers = {}) {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  t.after(() => service.close())
+  return service.server.address().port
+}
+
+async function createTestGatewayServer (t, opts = {}) {
+  const representations = { inventory: [], review: [], stats: [] }
+
+  const productServicePort = await createTestService(t, `
+    extend type Query {
+      topProducts: [Product]
+      listings: [Listing]
+    }
+
+    type Product @key(fields: "upc") @key(fields: "sku") {
+      upc: String!
+      sku: String!
+      name: String
+    }
+
+    type Owner {
+      id: ID!
+    }
+
+    type Listing @key(fields: "owner { id } slug") {
+      owner: Owner!
+      slug: String!
+      title: String
+    }
+  `, {
+    Query: {
+      topProducts: () => products,
+      listings: () => listings
+    },
+    Product: {
+      __resolveReference: product => products.find(p => p.upc === product.upc || p.sku === product.sku)
+    }
+  })
+
+  const inventoryServicePort = await createTestService(t, `
+    extend type Product @key(fields: "sku") {
+      sku: String! @external
+      inStock: Boolean
+    }
+  `, {
+    Product: {
+      inStock: product => {
+        representations.inventory.push(product)
+        return product.sku === 'table'
+      }
+    }
+  })
+
+  const reviewServicePort = await createTestService(t, `
+    extend type Product @key(fields: "upc") {
+      upc: String! @external
+      reviewsCount: Int
+    }
+  `, {
+    Product: {
+      reviewsCount: product => {
+        representations.review.push(product)
+        return Number(product.upc) * 10
+      }
+    }
+  })
+
+  const statsServicePort = await createTestService(t, `
+    type Owner {
+      id: ID!
+    }
+
+    extend type Listing @key(fields: "owner { id } slug") {
+      owner: Owner! @external
+      slug: String! @external
+      views: Int
+    }
+  `, {
+    Listing: {
+      views: listing => {
+        representations.stats.push(listing)
+        return listing.owner.id === 'u1' ? 100 : 200
+      }
+    }
+  })
+
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+
+  await gateway.register(plugin, {
+    gateway: {
+      services: [
+        { name: 'product', url: `http://localhost:${productServicePort}/graphql` },
+        { name: 'inventory', url: `http://localhost:${inventoryServicePort}/graphql` },
+        { name: 'review', url: `http://localhost:${reviewServicePort}/graphql` },
+        { name: 'stats', url: `http://localhost:${statsServicePort}/graphql` }
+      ],
+      ...opts
+    }
+  })
+
+  return { gateway, representations }
+}
+
+for (const queryPlanner of [false, true]) {
+  const suffix = queryPlanner ? ' with the query planner' : ''
+
+  test(`builds the representations from the key declared by each service${suffix}`, async t => {
+    const { gateway, representations } = await createTestGatewayServer(t, { queryPlanner })
+
+    const res = await gateway.inject({
+      method: 'POST',
+      url: '/graphql',
+      body: { query: '{ topProducts { name inStock reviewsCount } }' }
+    })
+
+    t.assert.deepStrictEqual(res.json(), {
+      data: {
+        topProducts: [
+          { name: 'Table', inStock: true, reviewsCount: 10 },
+          { name: 'Chair', inStock: false, reviewsCount: 20 }
+        ]
+      }
+    })
+    t.assert.deepStrictEqual(representations.inventory, [
+      { __typename: 'Product', sku: 'table' },
+      { __typename: 'Product', sku: 'chair' }
+    ])
+    t.assert.deepStrictEqual(representations.review, [
+      { __typename: 'Product', upc: '1' },
+      { __typename: 'Product', upc: '2' }
+    ])
+  })
+
+  test(`builds the representations from a nested key${suffix}`, async t => {
+    const { gateway, representations } = await createTestGatewayServer(t, { queryPlanner })
+
+    const res = await gateway.inject({
+      method: 'POST',
+      url: '/graphql',
+      body: { query: '{ listings { title views } }' }
+    })
+
+    t.assert.deepStrictEqual(res.json(), {
+      data: {
+        listings: [
+          { title: 'A house', views: 100 },
+          { title: 'Another house', views: 200 }
+        ]
+      }
+    })
+    t.assert.deepStrictEqual(representations.stats, [
+      { __typename: 'Listing', owner: { id: 'u1' }, slug: 'house' },
+      { __typename: 'Listing', owner: { id: 'u2' }, slug: 'house' }
+    ])
+  })
+}
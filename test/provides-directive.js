@@ -0,0 +1,199 @@
+'use strict'
+
+const { test } = require('node:test')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+const { users } = require('./utils/mocks')
+
+const reviews = {
+  r1: { id: 'r1', body: 'Review 1', authorId: 'u1' },
+  r2: { id: 'r2', body: 'Review 2', authorId: 'u2' }
+}
+
+async function createTestService (t, schema, resolvers = {}, fn = async () => {}) {
+  const service = Fastify()
+  service.addHook('preHandler', fn)
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  return [service, service.server.address().port]
+}
+
+async function createTestGatewayServer (t, opts = {}) {
+  const calls = { user: [], review: [] }
+
+  const [userService, userServicePort] = await createTestService(t, `
+    extend type Query {
+      me: User
+    }
+
+    type User @key(fields: "id") {
+      id: ID!
+      name: String!
+      username: String
+    }
+  `, {
+    Query: {
+      me: () => users.u1
+    },
+    User: {
+      __resolveReference: user => users[user.id],
+      username: user => user.name.toLowerCase()
+    }
+  }, async (req) => { calls.user.push(req.body) })
+
+  const [reviewService, reviewServicePort] = await createTestService(t, `
+    extend type Query {
+      topReviews: [Review]
+    }
+
+    type Review @key(fields: "id") {
+      id: ID!
+      body: String
+      author: User @provides(fields: "username")
+      editor: User
+    }
+
+    extend type User @key(fields: "id") {
+      id: ID! @external
+      username: String @external
+      reviews: [Review]
+    }
+  `, {
+    Query: {
+      topReviews: () => Object.values(reviews)
+    },
+    Review: {
+      author: review => ({
+        __typename: 'User',
+        id: review.authorId,
+        username: `${users[review.authorId].name.toLowerCase()} from review`
+      }),
+      editor: () => ({ __typename: 'User', id: 'u2' })
+    },
+    User: {
+      reviews: user => Object.values(reviews).filter(review => review.authorId === user.id)
+    }
+  }, async (req) => { calls.review.push(req.body) })
+
+  const gateway = Fastify()
+  t.after(async () => {
+    await gateway.close()
+    await userService.close()
+    await reviewService.close()
+  })
+
+  await gateway.register(plugin, {
+    gateway: {
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userServicePort}/graphql`
+        },
+        {
+          name: 'review',
+          url: `http://localhost:${reviewServicePort}/graphql`
+        }
+      ],
+      ...opts
+    }
+  })
+
+  // ignore the SDL requests
+  calls.user.length = 0
+  calls.review.length = 0
+
+  return { gateway, calls }
+}
+
+for (const queryPlanner of [false, true]) {
+  const suffix = queryPlanner ? ' with the query planner' : ''
+
+  test(`does not fetch the entities when only the provided fields are selected${suffix}`, async t => {
+    const { gateway, calls } = await createTestGatewayServer(t, { queryPlanner })
+
+    const res = await gateway.inject({
+      method: 'POST',
+      url: '/graphql',
+      body: {
+        query: `{
+          topReviews {
+            body
+            author {
+              id
+              username
+              reviews {
+                body
+              }
+            }
+          }
+        }`
+      }
+    })
+
+    t.assert.deepStrictEqual(res.json(), {
+      data: {
+        topReviews: [
+          { body: 'Review 1', author: { id: 'u1', username: 'john from review', reviews: [{ body: 'Review 1' }] } },
+          { body: 'Review 2', author: { id: 'u2', username: 'jane from review', reviews: [{ body: 'Review 2' }] } }
+        ]
+      }
+    })
+    t.assert.strictEqual(calls.user.length, 0)
+    t.assert.match(calls.review[0].query, /author \{\s+id\s+username/)
+  })
+
+  test(`fetches the entities when fields not provided are selected${suffix}`, async t => {
+    const { gateway, calls } = await createTestGatewayServer(t, { queryPlanner })
+
+    const res = await gateway.inject({
+      method: 'POST',
+      url: '/graphql',
+      body: {
+        query: `{
+          topReviews {
+            author {
+              name
+              username
+            }
+          }
+        }`
+      }
+    })
+
+    t.assert.deepStrictEqual(res.json(), {
+      data: {
+        topReviews: [
+          { author: { name: 'John', username: 'john' } },
+          { author: { name: 'Jane', username: 'jane' } }
+        ]
+      }
+    })
+    t.assert.strictEqual(calls.user.length, 1)
+  })
+}
+
+test('does not request the external fields which are not provided', async t => {
+  const { gateway, calls } = await createTestGatewayServer(t)
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ topReviews { editor { username } } }' }
+  })
+
+  t.assert.deepStrictEqual(res.json(), {
+    data: {
+      topReviews: [
+        { editor: { username: 'jane' } },
+        { editor: { username: 'jane' } }
+      ]
+    }
+  })
+  t.assert.strictEqual(calls.user.length, 1)
+  t.assert.doesNotMatch(calls.review[0].query, /username/)
+})
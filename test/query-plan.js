@@ -0,0 +1,291 @@
+'use strict'
+
+const { test } = require('node:test')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { parse } = require('graphql')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+const { users, posts } = require('./utils/mocks')
+
+async function createTestService (t, schema, resolvers = {}, fn = async () => {}) {
+  const service = Fastify()
+  service.addHook('preHandler', fn)
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  return [service, service.server.address().port]
+}
+
+async function createTestGatewayServer (t, opts = {}) {
+  const calls = { user: [], post: [] }
+
+  const [userService, userServicePort] = await createTestService(t, `
+    extend type Query {
+      me: User
+    }
+
+    type User @key(fields: "id") {
+      id: ID!
+      name: String!
+    }
+  `, {
+    Query: {
+      me: () => users.u1
+    },
+    User: {
+      __resolveReference: user => users[user.id]
+    }
+  }, async (req) => { calls.user.push(req.body) })
+
+  const [postService, postServicePort] = await createTestService(t, `
+    extend type Query {
+      topPosts(count: Int): [Post]
+    }
+
+    type Post @key(fields: "pid") {
+      pid: ID!
+      title: String
+      author: User
+    }
+
+    extend type User @key(fields: "id") {
+      id: ID! @external
+      posts: [Post]
+    }
+  `, {
+    Query: {
+      topPosts: (root, { count = 2 }) => Object.values(posts).slice(0, count)
+    },
+    Post: {
+      author: post => ({ __typename: 'User', id: post.authorId })
+    },
+    User: {
+      posts: user => Object.values(posts).filter(post => post.authorId === user.id)
+    }
+  }, async (req) => { calls.post.push(req.body) })
+
+  const gateway = Fastify()
+  t.after(async () => {
+    await gateway.close()
+    await userService.close()
+    await postService.close()
+  })
+
+  await gateway.register(plugin, {
+    gateway: {
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userServicePort}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postServicePort}/graphql`
+        }
+      ],
+      ...opts
+    }
+  })
+
+  // ignore the SDL requests
+  calls.user.length = 0
+  calls.post.length = 0
+
+  return { gateway, calls }
+}
+
+const query = `
+  query TopPosts($count: Int, $skipPosts: Boolean!) {
+    topPosts(count: $count) {
+      title
+      author {
+        name
+        posts @skip(if: $skipPosts) {
+          title
+        }
+      }
+    }
+    me {
+      name
+    }
+  }
+`
+
+test('getQueryPlan returns the plan of an operation without executing it', async t => {
+  const { gateway, calls } = await createTestGatewayServer(t)
+
+  const plan = gateway.graphqlGateway.getQueryPlan(query)
+
+  t.assert.strictEqual(plan.kind, 'QueryPlan')
+  t.assert.strictEqual(plan.operation, 'query')
+  t.assert.strictEqual(plan.node.kind, 'Parallel')
+
+  const [topPosts, me] = plan.node.nodes
+  t.assert.strictEqual(topPosts.kind, 'Sequence')
+  t.assert.strictEqual(topPosts.nodes[0].kind, 'Fetch')
+  t.assert.strictEqual(topPosts.nodes[0].service, 'post')
+  t.assert.strictEqual(topPosts.nodes[0].operation, 'query')
+  t.assert.deepStrictEqual(topPosts.nodes[0].variableUsages, ['count', 'skipPosts'])
+
+  const [author, authorPosts] = topPosts.nodes[1].nodes
+  t.assert.deepStrictEqual(author.path, ['topPosts', '@', 'author'])
+  t.assert.strictEqual(author.node.service, 'user')
+  t.assert.strictEqual(author.node.operation, 'entities')
+  t.assert.strictEqual(author.node.entityType, 'User')
+  t.assert.strictEqual(author.node.query, `query EntitiesQuery($representations: [_Any!]!) {
+  _entities(representations: $representations) {
+    __typename
+    ... on User {
+      name
+      __typename
+      id
+    }
+  }
+}`)
+
+  t.assert.deepStrictEqual(authorPosts.path, ['topPosts', '@', 'author'])
+  t.assert.strictEqual(authorPosts.node.service, 'post')
+  t.assert.deepStrictEqual(authorPosts.node.field, { responseName: 'posts', fieldName: 'posts' })
+  t.assert.deepStrictEqual(authorPosts.node.conditions, [{ directive: 'skip', variable: 'skipPosts' }])
+
+  t.assert.strictEqual(me.kind, 'Fetch')
+  t.assert.strictEqual(me.service, 'user')
+  t.assert.strictEqual(me.query, `query Query_me {
+  me {
+    name
+    __typename
+    id
+  }
+}`)
+
+  t.assert.strictEqual(calls.user.length, 0)
+  t.assert.strictEqual(calls.post.length, 0)
+})
+
+test('getQueryPlan throws when the query is not valid', async t => {
+  const { gateway } = await createTestGatewayServer(t)
+
+  t.assert.throws(() => gateway.graphqlGateway.getQueryPlan('{ me { unknown } }'), {
+    code: 'MER_ERR_GQL_GATEWAY_QUERY_PLAN',
+    message: 'Unable to build the query plan: Cannot query field "unknown" on type "User".'
+  })
+
+  t.assert.throws(() => gateway.graphqlGateway.getQueryPlan('{ me { '), {
+    code: 'MER_ERR_GQL_GATEWAY_QUERY_PLAN'
+  })
+
+  t.assert.throws(() => gateway.graphqlGateway.getQueryPlan(query, 'Unknown'), {
+    code: 'MER_ERR_GQL_GATEWAY_QUERY_PLAN',
+    message: 'Unable to build the query plan: Unknown operation named "Unknown"'
+  })
+})
+
+test('queryPlanner executes the query plan instead of the field resolvers', async t => {
+  const { gateway, calls } = await createTestGatewayServer(t, { queryPlanner: true })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query, variables: { count: 2, skipPosts: false } }
+  })
+
+  t.assert.deepStrictEqual(res.json(), {
+    data: {
+      topPosts: [
+        {
+          title: 'Post 1',
+          author: {
+            name: 'John',
+            posts: [{ title: 'Post 1' }, { title: 'Post 3' }, { title: 'Post 4' }]
+          }
+        },
+        {
+          title: 'Post 2',
+          author: {
+            name: 'Jane',
+            posts: [{ title: 'Post 2' }]
+          }
+        }
+      ],
+      me: {
+        name: 'John'
+      }
+    }
+  })
+
+  // me and the authors
+  t.assert.strictEqual(calls.user.length, 2)
+  t.assert.strictEqual(calls.user[1].variables.representations.length, 2)
+  // the posts of the authors are returned by the topPosts query
+  t.assert.strictEqual(calls.post.length, 1)
+})
+
+test('queryPlanner does not fetch the skipped fields', async t => {
+  const { gateway, calls } = await createTestGatewayServer(t, { queryPlanner: true })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: {
+      query: `
+        query ($skipAuthor: Boolean!) {
+          topPosts(count: 1) {
+            title
+            author @skip(if: $skipAuthor) {
+              name
+            }
+          }
+        }
+      `,
+      variables: { skipAuthor: true }
+    }
+  })
+
+  t.assert.deepStrictEqual(res.json(), {
+    data: {
+      topPosts: [{ title: 'Post 1' }]
+    }
+  })
+  t.assert.strictEqual(calls.user.length, 0)
+  t.assert.strictEqual(calls.post.length, 1)
+})
+
+test('queryPlanner returns the errors of the failed fetches', async t => {
+  const { gateway } = await createTestGatewayServer(t, { queryPlanner: true })
+
+  gateway.graphqlGateway.addHook('preGatewayExecution', async (schema, document, context, service) => {
+    if (service.name === 'user') {
+      return { document: parse('{ unknown }') }
+    }
+  })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: {
+      query: `{
+        topPosts(count: 1) {
+          title
+          author {
+            name
+          }
+        }
+      }`
+    }
+  })
+
+  t.assert.deepStrictEqual(res.json(), {
+    data: {
+      topPosts: [{ title: 'Post 1', author: null }]
+    },
+    errors: [
+      {
+        message: 'Cannot query field "unknown" on type "Query".',
+        locations: [{ line: 2, column: 3 }]
+      }
+    ]
+  })
+})
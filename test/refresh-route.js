@@ -0,0 +1,226 @@
+'use strict'
+
+const { test } = require('node:test')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+
+const user = {
+  id: 'u1',
+  name: 'John',
+  lastName: 'Doe'
+}
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String!
+  }
+`
+
+const postSchema = `
+  extend type Query {
+    topPostTitle: String
+  }
+`
+
+async function createTestService (t, schema, resolvers) {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  t.after(() => service.close())
+  return service
+}
+
+const userResolvers = {
+  Query: {
+    me: () => user
+  }
+}
+
+const postResolvers = {
+  Query: {
+    topPostTitle: () => 'Post 1'
+  }
+}
+
+async function createTestGatewayServer (t, refreshRoute) {
+  const userService = await createTestService(t, userSchema, userResolvers)
+  const postService = await createTestService(t, postSchema, postResolvers)
+
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+  await gateway.register(plugin, {
+    gateway: {
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userService.server.address().port}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postService.server.address().port}/graphql`
+        }
+      ],
+      refreshRoute
+    }
+  })
+
+  const replacedSchemas = []
+  gateway.graphqlGateway.addHook('onGatewayReplaceSchema', async (instance, schema) => {
+    replacedSchemas.push(schema)
+  })
+
+  return { gateway, userService, postService, replacedSchemas }
+}
+
+const refreshRoute = {
+  auth: request => request.headers.authorization === 'Bearer secret'
+}
+
+function updateSchemas (userService, postService) {
+  userService.graphql.replaceSchema(buildFederationSchema(userSchema.replace('name: String!', 'name: String!\n    lastName: String')))
+  userService.graphql.defineResolvers(userResolvers)
+  postService.graphql.replaceSchema(buildFederationSchema(postSchema.replace('topPostTitle: String', 'topPostTitle: String\n    topPostContent: String')))
+  postService.graphql.defineResolvers({
+    Query: {
+      ...postResolvers.Query,
+      topPostContent: () => 'Content 1'
+    }
+  })
+}
+
+test('refreshes the schema of a service', async t => {
+  const { gateway, userService, postService, replacedSchemas } = await createTestGatewayServer(t, refreshRoute)
+  updateSchemas(userService, postService)
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/_gateway/refresh?service=user',
+    headers: { authorization: 'Bearer secret' }
+  })
+
+  t.assert.strictEqual(res.statusCode, 200)
+  t.assert.deepStrictEqual(res.json(), { replaced: true })
+  t.assert.strictEqual(replacedSchemas.length, 1)
+
+  const fields = gateway.graphqlGateway.schema.getQueryType().getFields()
+  t.assert.ok(gateway.graphqlGateway.schema.getType('User').getFields().lastName)
+  t.assert.strictEqual(fields.topPostContent, undefined)
+
+  const query = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ me { lastName } }' }
+  })
+  t.assert.deepStrictEqual(query.json(), { data: { me: { lastName: 'Doe' } } })
+})
+
+test('refreshes the schemas of all the services', async t => {
+  const { gateway, userService, postService } = await createTestGatewayServer(t, refreshRoute)
+  updateSchemas(userService, postService)
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/_gateway/refresh',
+    headers: { authorization: 'Bearer secret' }
+  })
+
+  t.assert.deepStrictEqual(res.json(), { replaced: true })
+  t.assert.ok(gateway.graphqlGateway.schema.getType('User').getFields().lastName)
+  t.assert.ok(gateway.graphqlGateway.schema.getQueryType().getFields().topPostContent)
+})
+
+test('does not replace the schema when the schema of the service did not change', async t => {
+  const { gateway, replacedSchemas } = await createTestGatewayServer(t, refreshRoute)
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/_gateway/refresh?service=post',
+    headers: { authorization: 'Bearer secret' }
+  })
+
+  t.assert.deepStrictEqual(res.json(), { replaced: false })
+  t.assert.strictEqual(replacedSchemas.length, 0)
+})
+
+test('refuses the refresh requests not authorized', async t => {
+  const { gateway, userService, postService, replacedSchemas } = await createTestGatewayServer(t, refreshRoute)
+  updateSchemas(userService, postService)
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/_gateway/refresh?service=user',
+    headers: { authorization: 'Bearer wrong' }
+  })
+
+  t.assert.strictEqual(res.statusCode, 401)
+  t.assert.strictEqual(res.json().code, 'MER_ERR_GQL_GATEWAY_REFRESH_UNAUTHORIZED')
+  t.assert.strictEqual(replacedSchemas.length, 0)
+  t.assert.strictEqual(gateway.graphqlGateway.schema.getType('User').getFields().lastName, undefined)
+})
+
+test('refuses the refresh of an unknown service', async t => {
+  const { gateway } = await createTestGatewayServer(t, {
+    path: '/admin/refresh',
+    auth: async () => true
+  })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/admin/refresh?service=unknown'
+  })
+
+  t.assert.strictEqual(res.statusCode, 404)
+  t.assert.deepStrictEqual(res.json(), {
+    statusCode: 404,
+    code: 'MER_ERR_GQL_GATEWAY_UNKNOWN_SERVICE',
+    error: 'Not Found',
+    message: 'Unknown service "unknown"'
+  })
+})
+
+test('requires an auth function', async t => {
+  await t.assert.rejects(async () => createTestGatewayServer(t, { path: '/admin/refresh' }), {
+    code: 'MER_ERR_INVALID_OPTS',
+    message: 'Invalid options: gateway: "refreshRoute.auth" must be a Function'
+  })
+})
+
+test('refuses the refresh route options before fetching the schemas of the services', async t => {
+  let requests = 0
+  const userService = Fastify()
+  userService.addHook('onRequest', async () => { requests++ })
+  userService.register(GQL, {
+    schema: buildFederationSchema(userSchema),
+    resolvers: userResolvers
+  })
+  await userService.listen({ port: 0 })
+  t.after(() => userService.close())
+
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+  gateway.register(plugin, {
+    gateway: {
+      services: [{
+        name: 'user',
+        url: `http://localhost:${userService.server.address().port}/graphql`
+      }],
+      refreshRoute: { auth: 'secret' }
+    }
+  })
+
+  await t.assert.rejects(gateway.ready(), {
+    code: 'MER_ERR_INVALID_OPTS',
+    message: 'Invalid options: gateway: "refreshRoute.auth" must be a Function'
+  })
+  t.assert.strictEqual(requests, 0)
+})
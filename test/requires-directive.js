@@ -592,3 +592,90 @@ test('gateway exposes @requires directive in list of directives', async t => {
     }
   })
 })
+
+test('gateway handles nested and multi-field @requires selections', async t => {
+  const products = {
+    p1: { upc: 'p1', name: 'Table', weight: 10, dimensions: { width: 2, height: 1, depth: 3 } },
+    p2: { upc: 'p2', name: 'Chair', weight: 2, dimensions: { width: 1, height: 1, depth: 1 } }
+  }
+  const representations = []
+
+  const productService = await createService(
+    `
+    extend type Query {
+      topProducts: [Product]
+    }
+
+    type Dimensions {
+      width: Int
+      height: Int
+      depth: Int
+    }
+
+    type Product @key(fields: "upc") {
+      upc: ID!
+      name: String
+      weight: Int
+      dimensions: Dimensions
+    }`,
+    {
+      Query: {
+        topProducts: () => Object.values(products)
+      },
+      Product: {
+        __resolveReference: product => products[product.upc]
+      }
+    }
+  )
+
+  const shippingService = await createService(
+    `
+    type Dimensions {
+      width: Int
+      height: Int
+      depth: Int
+    }
+
+    extend type Product @key(fields: "upc") {
+      upc: ID! @external
+      weight: Int @external
+      dimensions: Dimensions @external
+      shippingEstimate: Int @requires(fields: "dimensions { width height } weight")
+    }`,
+    {
+      Product: {
+        shippingEstimate (product) {
+          representations.push(product)
+          return product.dimensions.width * product.dimensions.height * product.weight
+        }
+      }
+    }
+  )
+
+  const { gateway, teardown } = await createGatewayService(
+    productService,
+    shippingService
+  )
+  t.after(teardown)
+
+  const res = await gatewayRequest(gateway, `
+    query {
+      topProducts {
+        name
+        shippingEstimate
+      }
+    }`)
+
+  t.assert.deepStrictEqual(JSON.parse(res.body), {
+    data: {
+      topProducts: [
+        { name: 'Table', shippingEstimate: 20 },
+        { name: 'Chair', shippingEstimate: 2 }
+      ]
+    }
+  })
+  t.assert.deepStrictEqual(representations, [
+    { __typename: 'Product', upc: 'p1', dimensions: { width: 2, height: 1 }, weight: 10 },
+    { __typename: 'Product', upc: 'p2', dimensions: { width: 1, height: 1 }, weight: 2 }
+  ])
+})
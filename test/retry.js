@@ -0,0 +1,179 @@
+'use strict'
+
+const { test } = require('node:test')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String!
+  }
+`
+
+const postSchema = `
+  extend type Query {
+    topPostTitle: String
+  }
+
+  extend type Mutation {
+    addPost(title: String!): String
+  }
+
+  extend type User @key(fields: "id") {
+    id: ID! @external
+    numberOfPosts: Int
+  }
+`
+
+async function createTestService (t, schema, resolvers) {
+  const service = Fastify()
+  // the next `failures` requests are replied with `failWith`, i.e. a status code or 'reset'
+  const state = { failures: 0, failWith: 503, requests: 0 }
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  service.addHook('preHandler', async (request, reply) => {
+    if (request.body.query.includes('_service')) {
+      return
+    }
+    state.requests++
+    if (state.failures > 0) {
+      state.failures--
+      if (state.failWith === 'reset') {
+        request.raw.socket.destroy()
+        return reply
+      }
+      return reply.code(state.failWith).send({ data: null, errors: [{ message: 'Service unavailable' }] })
+    }
+  })
+  await service.listen({ port: 0 })
+  t.after(() => service.close())
+  return { service, state }
+}
+
+async function createTestGatewayServer (t, retry) {
+  const user = await createTestService(t, userSchema, {
+    Query: {
+      me: () => ({ id: 'u1', name: 'John' })
+    }
+  })
+  const post = await createTestService(t, postSchema, {
+    Query: {
+      topPostTitle: () => 'Post 1'
+    },
+    Mutation: {
+      addPost: (root, { title }) => title
+    },
+    User: {
+      numberOfPosts: () => 2
+    }
+  })
+
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+  await gateway.register(plugin, {
+    gateway: {
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${user.service.server.address().port}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${post.service.server.address().port}/graphql`,
+          retry,
+          collectors: { collectRetries: true }
+        }
+      ]
+    }
+  })
+
+  let collectors
+  gateway.graphql.addHook('onResolution', async (execution, context) => {
+    collectors = context.collectors
+  })
+
+  // replies the result of the query with the collectors of its context
+  async function query (query) {
+    collectors = undefined
+    const res = await gateway.inject({
+      method: 'POST',
+      url: '/graphql',
+      body: { query }
+    })
+    return { ...res.json(), collectors }
+  }
+
+  return { query, post }
+}
+
+test('retries a query replied with a retryable status code', async t => {
+  const { query, post } = await createTestGatewayServer(t, { backoff: 10, jitter: 0 })
+  post.state.failures = 2
+
+  t.assert.deepStrictEqual(await query('{ topPostTitle }'), {
+    data: { topPostTitle: 'Post 1' },
+    collectors: {
+      retries: [
+        { service: 'post', data: { operation: 'query', attempt: 1, reason: 503, delay: 10 } },
+        { service: 'post', data: { operation: 'query', attempt: 2, reason: 503, delay: 20 } }
+      ]
+    }
+  })
+  t.assert.strictEqual(post.state.requests, 3)
+})
+
+test('retries an entities request whose connection is reset', async t => {
+  const { query, post } = await createTestGatewayServer(t, { backoff: 10, jitter: 0 })
+  post.state.failures = 1
+  post.state.failWith = 'reset'
+
+  const { data, collectors } = await query('{ me { name numberOfPosts } }')
+
+  t.assert.deepStrictEqual(data, { me: { name: 'John', numberOfPosts: 2 } })
+  t.assert.strictEqual(collectors.retries.length, 1)
+  t.assert.strictEqual(collectors.retries[0].data.operation, 'entities')
+  t.assert.strictEqual(collectors.retries[0].data.reason, 'UND_ERR_SOCKET')
+  t.assert.strictEqual(post.state.requests, 2)
+})
+
+test('does not retry a mutation', async t => {
+  const { query, post } = await createTestGatewayServer(t, { backoff: 10 })
+  post.state.failures = 1
+
+  const { data, errors, collectors } = await query('mutation { addPost(title: "Post 2") }')
+
+  t.assert.deepStrictEqual(data, { addPost: null })
+  t.assert.strictEqual(errors[0].message, 'Service unavailable')
+  t.assert.strictEqual(collectors, undefined)
+  t.assert.strictEqual(post.state.requests, 1)
+})
+
+test('fails once the attempts are exhausted', async t => {
+  const { query, post } = await createTestGatewayServer(t, { attempts: 2, backoff: 10 })
+  post.state.failures = 3
+
+  const { errors, collectors } = await query('{ topPostTitle }')
+
+  t.assert.strictEqual(errors[0].message, 'Service unavailable')
+  t.assert.strictEqual(collectors.retries.length, 1)
+  t.assert.strictEqual(post.state.requests, 2)
+})
+
+test('does not retry the status codes and errors which are not retryable', async t => {
+  const { query, post } = await createTestGatewayServer(t, { backoff: 10, statusCodes: [502] })
+  post.state.failures = 1
+
+  const { errors } = await query('{ topPostTitle }')
+
+  t.assert.strictEqual(errors[0].message, 'Service unavailable')
+  t.assert.strictEqual(post.state.requests, 1)
+})
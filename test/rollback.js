@@ -0,0 +1,172 @@
+'use strict'
+
+const { test } = require('node:test')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+
+const user = {
+  id: 'u1',
+  name: 'John',
+  lastName: 'Doe'
+}
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String!
+    lastName: String
+  }
+`
+
+const postSchema = `
+  extend type Query {
+    topPostTitle: String
+  }
+
+  extend type User @key(fields: "id") {
+    id: ID! @external
+    numberOfPosts: Int
+  }
+`
+
+const userResolvers = {
+  Query: {
+    me: () => user
+  }
+}
+
+async function createTestService (t, schema, resolvers) {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  t.after(() => service.close())
+  return service
+}
+
+async function createTestGatewayServer (t) {
+  const userService = await createTestService(t, userSchema, userResolvers)
+  const postService = await createTestService(t, postSchema, {
+    Query: {
+      topPostTitle: () => 'Post 1'
+    },
+    User: {
+      numberOfPosts: () => 2
+    }
+  })
+
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+  await gateway.register(plugin, {
+    gateway: {
+      services: [
+        {
+          name: 'user',
+          url: `http://localhost:${userService.server.address().port}/graphql`
+        },
+        {
+          name: 'post',
+          url: `http://localhost:${postService.server.address().port}/graphql`
+        }
+      ]
+    }
+  })
+
+  return { gateway, userService, postService }
+}
+
+function replaceUserSchema (userService, schema) {
+  userService.graphql.replaceSchema(buildFederationSchema(schema))
+  userService.graphql.defineResolvers(userResolvers)
+}
+
+async function query (gateway, query) {
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query }
+  })
+  return res.json()
+}
+
+test('rolls back to the schema replaced by the last refresh', async t => {
+  const { gateway, userService } = await createTestGatewayServer(t)
+
+  replaceUserSchema(userService, userSchema.replace('lastName: String', ''))
+  await gateway.graphqlGateway.refresh()
+  t.assert.strictEqual(gateway.graphqlGateway.schema.getType('User').getFields().lastName, undefined)
+
+  // the service is rolled back too
+  replaceUserSchema(userService, userSchema)
+
+  const replacedSchemaChanges = []
+  gateway.graphqlGateway.addHook('onGatewayReplaceSchema', async (instance, schema, schemaChanges) => {
+    replacedSchemaChanges.push(schemaChanges)
+  })
+
+  const schema = await gateway.graphqlGateway.rollback()
+
+  t.assert.strictEqual(schema, gateway.graphqlGateway.schema)
+  t.assert.ok(schema.getType('User').getFields().lastName)
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.user.schemaDefinition, userSchema)
+  t.assert.deepStrictEqual(replacedSchemaChanges, [
+    [{ kind: 'FIELD_ADDED', type: 'User', field: 'lastName', breaking: false }]
+  ])
+  t.assert.deepStrictEqual(await query(gateway, '{ me { lastName numberOfPosts } topPostTitle }'), {
+    data: { me: { lastName: 'Doe', numberOfPosts: 2 }, topPostTitle: 'Post 1' }
+  })
+})
+
+test('applies the schemas of the services again on the next refresh after a rollback', async t => {
+  const { gateway, userService } = await createTestGatewayServer(t)
+
+  replaceUserSchema(userService, userSchema.replace('lastName: String', ''))
+  await gateway.graphqlGateway.refresh()
+  await gateway.graphqlGateway.rollback()
+
+  const schema = await gateway.graphqlGateway.refresh()
+  t.assert.strictEqual(schema.getType('User').getFields().lastName, undefined)
+})
+
+test('keeps the current schema and routing when a refreshed schema is refused', async t => {
+  const { gateway, userService } = await createTestGatewayServer(t)
+  const { schema } = gateway.graphqlGateway
+
+  replaceUserSchema(userService, userSchema.replace('lastName: String', 'numberOfPosts: String'))
+
+  await t.assert.rejects(async () => gateway.graphqlGateway.refresh(), {
+    code: 'MER_ERR_GQL_GATEWAY_INVALID_COMPOSITION'
+  })
+
+  t.assert.strictEqual(gateway.graphqlGateway.schema, schema)
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.user.schemaDefinition, userSchema)
+  t.assert.deepStrictEqual(await query(gateway, '{ me { name numberOfPosts } }'), {
+    data: { me: { name: 'John', numberOfPosts: 2 } }
+  })
+  t.assert.deepStrictEqual(gateway.graphqlGateway.explain('{ me { name numberOfPosts } }').operations.map(({ service }) => service), ['user', 'post'])
+})
+
+test('refuses to roll back without a previous schema', async t => {
+  const { gateway, userService } = await createTestGatewayServer(t)
+
+  await t.assert.rejects(async () => gateway.graphqlGateway.rollback(), {
+    code: 'MER_ERR_GQL_GATEWAY_ROLLBACK',
+    message: 'Cannot roll back the gateway schema: there is no previous schema'
+  })
+
+  replaceUserSchema(userService, userSchema.replace('lastName: String', ''))
+  await gateway.graphqlGateway.refresh()
+  await gateway.graphqlGateway.rollback()
+
+  await t.assert.rejects(async () => gateway.graphqlGateway.rollback(), {
+    code: 'MER_ERR_GQL_GATEWAY_ROLLBACK'
+  })
+})
@@ -0,0 +1,144 @@
+'use strict'
+
+const { test } = require('node:test')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+
+const user = {
+  id: 'u1',
+  name: 'John'
+}
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String!
+  }
+`
+
+const postSchema = `
+  extend type Query {
+    topPostTitle: String
+  }
+
+  extend type User @key(fields: "id") {
+    id: ID! @external
+    numberOfPosts: Int
+  }
+`
+
+const userResolvers = {
+  Query: {
+    me: () => user
+  }
+}
+
+const postResolvers = {
+  Query: {
+    topPostTitle: () => 'Post 1'
+  },
+  User: {
+    numberOfPosts: () => 2
+  }
+}
+
+async function createTestService (t, schema, resolvers) {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  t.after(() => service.close())
+  return service
+}
+
+async function createTestGatewayServer (t, services) {
+  const gateway = Fastify({ logger: true })
+  const moves = []
+  gateway.log.info = message => {
+    moves.push(message)
+  }
+  t.after(() => gateway.close())
+  await gateway.register(plugin, {
+    gateway: { services }
+  })
+
+  return { gateway, moves }
+}
+
+function getServiceConfig (name, service) {
+  return {
+    name,
+    url: `http://localhost:${service.server.address().port}/graphql`
+  }
+}
+
+async function query (gateway, query) {
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query }
+  })
+  return res.json()
+}
+
+test('routes a field moved to another service to its new owner after a refresh', async t => {
+  const userService = await createTestService(t, userSchema, userResolvers)
+  const postService = await createTestService(t, postSchema, postResolvers)
+  const { gateway, moves } = await createTestGatewayServer(t, [
+    getServiceConfig('user', userService),
+    getServiceConfig('post', postService)
+  ])
+
+  t.assert.deepStrictEqual(await query(gateway, '{ me { numberOfPosts } }'), {
+    data: { me: { numberOfPosts: 2 } }
+  })
+
+  userService.graphql.replaceSchema(buildFederationSchema(userSchema.replace('name: String!', 'name: String!\n    numberOfPosts: Int')))
+  userService.graphql.defineResolvers({
+    ...userResolvers,
+    User: {
+      numberOfPosts: () => 5
+    }
+  })
+  postService.graphql.replaceSchema(buildFederationSchema(postSchema.replace('numberOfPosts: Int', '')))
+  postService.graphql.defineResolvers({ Query: postResolvers.Query })
+
+  await gateway.graphqlGateway.refresh()
+
+  t.assert.deepStrictEqual(await query(gateway, '{ me { numberOfPosts } topPostTitle }'), {
+    data: { me: { numberOfPosts: 5 }, topPostTitle: 'Post 1' }
+  })
+  t.assert.deepStrictEqual(moves, [
+    'Field "User.numberOfPosts" is not routed to service "post" anymore'
+  ])
+})
+
+test('removes the routing of a service removed by the services function', async t => {
+  const userService = await createTestService(t, userSchema, userResolvers)
+  const postService = await createTestService(t, postSchema, postResolvers)
+  let services = [
+    getServiceConfig('user', userService),
+    getServiceConfig('post', postService)
+  ]
+  const { gateway, moves } = await createTestGatewayServer(t, async () => services)
+
+  services = [getServiceConfig('user', userService)]
+  await gateway.graphqlGateway.refresh()
+
+  t.assert.deepStrictEqual(moves, [
+    'Field "Query.topPostTitle" is not routed to service "post" anymore',
+    'Field "User.numberOfPosts" is not routed to service "post" anymore'
+  ])
+  t.assert.deepStrictEqual(await query(gateway, '{ me { name } }'), {
+    data: { me: { name: 'John' } }
+  })
+  t.assert.deepStrictEqual(gateway.graphqlGateway.explain('{ me { name } }').operations.map(({ service }) => service), ['user'])
+})
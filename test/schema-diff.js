@@ -0,0 +1,225 @@
+'use strict'
+
+const { test } = require('node:test')
+const { buildSchema } = require('graphql')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+const { diffSchemas } = require('../lib/gateway/schema-diff')
+
+const user = {
+  id: 'u1',
+  name: 'John',
+  lastName: 'Doe'
+}
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String!
+    lastName: String
+  }
+`
+
+const userResolvers = {
+  Query: {
+    me: () => user
+  }
+}
+
+async function createTestGatewayServer (t, gatewayOpts = {}) {
+  const userService = Fastify()
+  userService.register(GQL, {
+    schema: buildFederationSchema(userSchema),
+    resolvers: userResolvers
+  })
+  await userService.listen({ port: 0 })
+
+  const gateway = Fastify()
+  t.after(async () => {
+    await gateway.close()
+    await userService.close()
+  })
+  await gateway.register(plugin, {
+    gateway: {
+      services: [{
+        name: 'user',
+        url: `http://localhost:${userService.server.address().port}/graphql`
+      }],
+      ...gatewayOpts
+    }
+  })
+
+  return { gateway, userService }
+}
+
+// removes `User.lastName` and makes `User.name` nullable
+function updateUserSchema (userService) {
+  userService.graphql.replaceSchema(buildFederationSchema(`
+    extend type Query {
+      me: User
+    }
+
+    type User @key(fields: "id") {
+      id: ID!
+      name: String
+    }
+  `))
+  userService.graphql.defineResolvers(userResolvers)
+}
+
+const breakingChanges = [
+  { kind: 'FIELD_NULLABILITY_CHANGED', type: 'User', field: 'name', from: 'String!', to: 'String', breaking: true },
+  { kind: 'FIELD_REMOVED', type: 'User', field: 'lastName', breaking: true }
+]
+
+test('lists the changes between two schemas', t => {
+  const oldSchema = buildSchema(`
+    type Query {
+      user(id: ID!): User
+      users(filter: UserFilter): [User!]
+      search: SearchResult
+      comments: [String]
+    }
+
+    type User {
+      id: ID!
+      name: String
+      age: Int
+      email: String!
+    }
+
+    input UserFilter {
+      name: String
+      age: Int!
+    }
+
+    union SearchResult = User
+  `)
+  const newSchema = buildSchema(`
+    type Query {
+      user(id: ID!): User
+      users(filter: UserFilter): [User]
+      search: SearchResult
+      posts: [Post]
+    }
+
+    type User {
+      id: ID!
+      name: String!
+      age: String
+      email: String
+    }
+
+    type Post {
+      id: ID!
+    }
+
+    input UserFilter {
+      name: String
+      age: Int
+      country: String!
+    }
+
+    type SearchResult {
+      id: ID!
+    }
+  `)
+
+  t.assert.deepStrictEqual(diffSchemas(oldSchema, newSchema), [
+    { kind: 'FIELD_NULLABILITY_CHANGED', type: 'Query', field: 'users', from: '[User!]', to: '[User]', breaking: true },
+    { kind: 'FIELD_REMOVED', type: 'Query', field: 'comments', breaking: true },
+    { kind: 'FIELD_ADDED', type: 'Query', field: 'posts', breaking: false },
+    { kind: 'FIELD_NULLABILITY_CHANGED', type: 'User', field: 'name', from: 'String', to: 'String!', breaking: false },
+    { kind: 'FIELD_TYPE_CHANGED', type: 'User', field: 'age', from: 'Int', to: 'String', breaking: true },
+    { kind: 'FIELD_NULLABILITY_CHANGED', type: 'User', field: 'email', from: 'String!', to: 'String', breaking: true },
+    { kind: 'FIELD_NULLABILITY_CHANGED', type: 'UserFilter', field: 'age', from: 'Int!', to: 'Int', breaking: false },
+    { kind: 'FIELD_ADDED', type: 'UserFilter', field: 'country', breaking: true },
+    { kind: 'TYPE_KIND_CHANGED', type: 'SearchResult', from: 'GraphQLUnionType', to: 'GraphQLObjectType', breaking: true },
+    { kind: 'TYPE_ADDED', type: 'Post', breaking: false }
+  ])
+})
+
+test('passes the changes of the refreshed schema to the onGatewayReplaceSchema hook', async t => {
+  const { gateway, userService } = await createTestGatewayServer(t, { pollingInterval: 100 })
+
+  const replacedSchemaChanges = new Promise(resolve => {
+    gateway.graphqlGateway.addHook('onGatewayReplaceSchema', async (instance, schema, schemaChanges) => {
+      resolve(schemaChanges)
+    })
+  })
+
+  updateUserSchema(userService)
+
+  t.assert.deepStrictEqual(await replacedSchemaChanges, breakingChanges)
+  t.assert.deepStrictEqual(gateway.graphqlGateway.schemaChanges, breakingChanges)
+})
+
+test('refuses a refresh with breaking changes with the reject policy', async t => {
+  const { gateway, userService } = await createTestGatewayServer(t, { breakingChangePolicy: 'reject' })
+
+  updateUserSchema(userService)
+
+  await t.assert.rejects(async () => gateway.graphqlGateway.refresh(), err => {
+    t.assert.strictEqual(err.code, 'MER_ERR_GQL_GATEWAY_BREAKING_CHANGES')
+    t.assert.strictEqual(err.message, 'The refreshed schema has breaking changes: FIELD_NULLABILITY_CHANGED User.name, FIELD_REMOVED User.lastName')
+    t.assert.deepStrictEqual(err.changes, breakingChanges)
+    return true
+  })
+  t.assert.ok(gateway.graphqlGateway.schema.getType('User').getFields().lastName)
+})
+
+test('refuses a refresh with breaking changes of the fields in use with the reject-used policy', async t => {
+  const { gateway, userService } = await createTestGatewayServer(t, { breakingChangePolicy: 'reject-used' })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ me { lastName } }' }
+  })
+  t.assert.deepStrictEqual(res.json(), { data: { me: { lastName: 'Doe' } } })
+
+  updateUserSchema(userService)
+
+  await t.assert.rejects(async () => gateway.graphqlGateway.refresh(), err => {
+    t.assert.strictEqual(err.code, 'MER_ERR_GQL_GATEWAY_BREAKING_CHANGES')
+    t.assert.deepStrictEqual(err.changes, [breakingChanges[1]])
+    return true
+  })
+})
+
+test('accepts a refresh with breaking changes of the fields not in use with the reject-used policy', async t => {
+  const { gateway, userService } = await createTestGatewayServer(t, { breakingChangePolicy: 'reject-used' })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ me { id } }' }
+  })
+  t.assert.deepStrictEqual(res.json(), { data: { me: { id: 'u1' } } })
+
+  updateUserSchema(userService)
+
+  const schema = await gateway.graphqlGateway.refresh()
+  t.assert.strictEqual(schema.getType('User').getFields().lastName, undefined)
+})
+
+test('accepts a refresh with breaking changes of the fields not used for the usage window', async t => {
+  const { gateway, userService } = await createTestGatewayServer(t, { breakingChangePolicy: 'reject-used', fieldUsageWindow: 0 })
+
+  await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ me { lastName } }' }
+  })
+
+  updateUserSchema(userService)
+
+  const schema = await gateway.graphqlGateway.refresh()
+  t.assert.strictEqual(schema.getType('User').getFields().lastName, undefined)
+})
@@ -0,0 +1,242 @@
+'use strict'
+
+const { test } = require('node:test')
+const { mkdtemp, mkdir, readFile, rm, writeFile } = require('fs/promises')
+const { tmpdir } = require('os')
+const { join } = require('path')
+const { setTimeout: sleep } = require('timers/promises')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+const { users } = require('./utils/mocks')
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String!
+  }
+`
+
+const postSchema = `
+  extend type Query {
+    topPostTitle: String
+  }
+
+  extend type User @key(fields: "id") {
+    id: ID! @external
+    numberOfPosts: Int
+  }
+`
+
+async function createTestService (schema, resolvers = {}) {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  return service
+}
+
+async function createTestServices (t) {
+  const userService = await createTestService(userSchema, {
+    Query: {
+      me: () => users.u1
+    }
+  })
+  const postService = await createTestService(postSchema, {
+    Query: {
+      topPostTitle: () => 'Post 1'
+    },
+    User: {
+      numberOfPosts: () => 2
+    }
+  })
+  t.after(async () => {
+    await userService.close()
+    await postService.close()
+  })
+
+  return {
+    userService,
+    postService,
+    services: [
+      {
+        name: 'user',
+        url: `http://localhost:${userService.server.address().port}/graphql`,
+        mandatory: true
+      },
+      {
+        name: 'post',
+        url: `http://localhost:${postService.server.address().port}/graphql`
+      }
+    ]
+  }
+}
+
+async function createSnapshotDir (t) {
+  const dir = await mkdtemp(join(tmpdir(), 'mercurius-gateway-'))
+  t.after(() => rm(dir, { recursive: true }))
+  return join(dir, 'snapshot')
+}
+
+async function createTestGatewayServer (gatewayOpts) {
+  const gateway = Fastify()
+  await gateway.register(plugin, { gateway: gatewayOpts })
+  return gateway
+}
+
+async function readSnapshot (snapshotDir, name) {
+  return JSON.parse(await readFile(join(snapshotDir, `${name}.json`), 'utf8'))
+}
+
+test('writes the schema snapshot of the services', async t => {
+  const { services } = await createTestServices(t)
+  const snapshotDir = await createSnapshotDir(t)
+
+  const gateway = await createTestGatewayServer({ services, snapshotDir })
+  t.after(() => gateway.close())
+
+  t.assert.deepStrictEqual(await readSnapshot(snapshotDir, 'user'), {
+    name: 'user',
+    schemaDefinition: userSchema,
+    typeMap: { Query: ['me'], User: ['id', 'name'] },
+    types: ['User'],
+    extensionTypeMap: { Query: ['me'] }
+  })
+  t.assert.deepStrictEqual((await readSnapshot(snapshotDir, 'post')).typeMap, {
+    Query: ['topPostTitle'],
+    User: ['id', 'numberOfPosts']
+  })
+})
+
+test('starts from the schema snapshot when a service is not available', async t => {
+  const { services, userService } = await createTestServices(t)
+  const snapshotDir = await createSnapshotDir(t)
+
+  const firstGateway = await createTestGatewayServer({ services, snapshotDir })
+  await firstGateway.close()
+  await userService.close()
+
+  const gateway = await createTestGatewayServer({ services, snapshotDir })
+  t.after(() => gateway.close())
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ topPostTitle me { name } }' }
+  })
+
+  const { data, errors } = res.json()
+  t.assert.deepStrictEqual(data, { topPostTitle: 'Post 1', me: null })
+  t.assert.strictEqual(errors.length, 1)
+  t.assert.ok(gateway.graphqlGateway.schema.getType('User').getFields().name)
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.user.error, null)
+})
+
+test('retries a mandatory service started from its schema snapshot', async t => {
+  const { services } = await createTestServices(t)
+  const snapshotDir = await createSnapshotDir(t)
+
+  const firstGateway = await createTestGatewayServer({ services, snapshotDir })
+  await firstGateway.close()
+
+  // the user service fails on start and adds a field afterwards
+  let requests = 0
+  const userService = Fastify()
+  userService.addHook('onRequest', async (request, reply) => {
+    if (requests++ === 0) {
+      reply.code(500)
+      throw new Error('Not available')
+    }
+  })
+  userService.register(GQL, {
+    schema: buildFederationSchema(userSchema.replace('name: String!', 'name: String!\n    lastName: String')),
+    resolvers: {
+      Query: {
+        me: () => ({ ...users.u1, lastName: 'Doe' })
+      }
+    }
+  })
+  await userService.listen({ port: 0 })
+  t.after(() => userService.close())
+
+  const gateway = await createTestGatewayServer({
+    services: [
+      { ...services[0], url: `http://localhost:${userService.server.address().port}/graphql` },
+      services[1]
+    ],
+    snapshotDir,
+    retryServicesInterval: 50
+  })
+  t.after(() => gateway.close())
+
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.user.fromSnapshot, true)
+  t.assert.strictEqual(gateway.graphqlGateway.schema.getType('User').getFields().lastName, undefined)
+
+  for (let i = 0; i < 20 && !gateway.graphqlGateway.schema.getType('User').getFields().lastName; i++) {
+    await sleep(50)
+  }
+
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.user.fromSnapshot, false)
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ me { lastName } }' }
+  })
+  t.assert.deepStrictEqual(res.json(), { data: { me: { lastName: 'Doe' } } })
+})
+
+test('starts without the schema of a service not available without snapshot', async t => {
+  const { services, userService } = await createTestServices(t)
+  const snapshotDir = await createSnapshotDir(t)
+  await userService.close()
+
+  const gateway = await createTestGatewayServer({ services, snapshotDir })
+  t.after(() => gateway.close())
+
+  t.assert.ok(gateway.graphqlGateway.serviceMap.user.error)
+  t.assert.strictEqual(gateway.graphqlGateway.schema.getType('User').getFields().name, undefined)
+})
+
+test('starts without the schema of a service not available with an invalid snapshot', async t => {
+  const { services, userService } = await createTestServices(t)
+  const snapshotDir = await createSnapshotDir(t)
+  await userService.close()
+  await mkdir(snapshotDir)
+  await writeFile(join(snapshotDir, 'user.json'), JSON.stringify({
+    name: 'user',
+    schemaDefinition: 'type User {',
+    typeMap: {},
+    types: [],
+    extensionTypeMap: {}
+  }))
+
+  const gateway = await createTestGatewayServer({ services, snapshotDir })
+  t.after(() => gateway.close())
+
+  t.assert.ok(gateway.graphqlGateway.serviceMap.user.error)
+  t.assert.strictEqual(gateway.graphqlGateway.schema.getType('User').getFields().name, undefined)
+})
+
+test('writes the schema snapshot after a refresh', async t => {
+  const { services, postService } = await createTestServices(t)
+  const snapshotDir = await createSnapshotDir(t)
+
+  const gateway = await createTestGatewayServer({ services, snapshotDir })
+  t.after(() => gateway.close())
+
+  const newPostSchema = postSchema.replace('topPostTitle: String', 'topPostTitle: String\n    topPostContent: String')
+  postService.graphql.replaceSchema(buildFederationSchema(newPostSchema))
+
+  await gateway.graphqlGateway.refresh()
+
+  const snapshot = await readSnapshot(snapshotDir, 'post')
+  t.assert.strictEqual(snapshot.schemaDefinition, newPostSchema)
+  t.assert.deepStrictEqual(snapshot.typeMap.Query, ['topPostTitle', 'topPostContent'])
+})
@@ -0,0 +1,276 @@
+'use strict'
+
+const { test } = require('node:test')
+const { setTimeout: sleep } = require('node:timers/promises')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+
+const user = {
+  id: 'u1',
+  name: 'John'
+}
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String!
+  }
+`
+
+const postSchema = `
+  extend type Query {
+    topPostTitle: String
+  }
+
+  extend type User @key(fields: "id") {
+    id: ID! @external
+    numberOfPosts: Int
+  }
+`
+
+async function createTestService (t, schema, resolvers, preHandler = async () => {}) {
+  const service = Fastify()
+  service.addHook('preHandler', preHandler)
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  t.after(() => service.close())
+  return service
+}
+
+function createUserService (t, preHandler) {
+  return createTestService(t, userSchema, {
+    Query: {
+      me: () => user
+    }
+  }, preHandler)
+}
+
+function createPostService (t, numberOfPosts, preHandler) {
+  return createTestService(t, postSchema, {
+    Query: {
+      topPostTitle: () => 'Post 1'
+    },
+    User: {
+      numberOfPosts: () => numberOfPosts
+    }
+  }, preHandler)
+}
+
+function getUrl (service) {
+  return `http://localhost:${service.server.address().port}/graphql`
+}
+
+async function createTestGatewayServer (t, services) {
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+  await gateway.register(plugin, {
+    gateway: { services }
+  })
+
+  const replacedSchemas = []
+  gateway.graphqlGateway.addHook('onGatewayReplaceSchema', async (instance, schema) => {
+    replacedSchemas.push(schema)
+  })
+
+  return { gateway, replacedSchemas }
+}
+
+async function query (gateway, query) {
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query }
+  })
+  return res.json()
+}
+
+test('adds a service', async t => {
+  const userService = await createUserService(t)
+  const postService = await createPostService(t, 2)
+  const { gateway, replacedSchemas } = await createTestGatewayServer(t, [
+    { name: 'user', url: getUrl(userService) }
+  ])
+
+  const schema = await gateway.graphqlGateway.addService({ name: 'post', url: getUrl(postService) })
+
+  t.assert.strictEqual(gateway.graphqlGateway.schema, schema)
+  t.assert.deepStrictEqual(replacedSchemas, [schema])
+  t.assert.deepStrictEqual(Object.keys(gateway.graphqlGateway.serviceMap), ['user', 'post'])
+  t.assert.deepStrictEqual(await query(gateway, '{ me { name numberOfPosts } topPostTitle }'), {
+    data: { me: { name: 'John', numberOfPosts: 2 }, topPostTitle: 'Post 1' }
+  })
+})
+
+test('removes a service', async t => {
+  const userService = await createUserService(t)
+  const postService = await createPostService(t, 2)
+  const { gateway, replacedSchemas } = await createTestGatewayServer(t, [
+    { name: 'user', url: getUrl(userService) },
+    { name: 'post', url: getUrl(postService) }
+  ])
+
+  const schema = await gateway.graphqlGateway.removeService('post')
+
+  t.assert.deepStrictEqual(replacedSchemas, [schema])
+  t.assert.deepStrictEqual(Object.keys(gateway.graphqlGateway.serviceMap), ['user'])
+  t.assert.strictEqual(schema.getQueryType().getFields().topPostTitle, undefined)
+  t.assert.strictEqual(schema.getType('User').getFields().numberOfPosts, undefined)
+  t.assert.deepStrictEqual(await query(gateway, '{ me { name } }'), {
+    data: { me: { name: 'John' } }
+  })
+})
+
+test('updates the url of a service', async t => {
+  const userService = await createUserService(t)
+  const postService = await createPostService(t, 2)
+  const newPostService = await createPostService(t, 3)
+  const { gateway, replacedSchemas } = await createTestGatewayServer(t, [
+    { name: 'user', url: getUrl(userService) },
+    { name: 'post', url: getUrl(postService), mandatory: true }
+  ])
+  const { post } = gateway.graphqlGateway.serviceMap
+
+  await gateway.graphqlGateway.updateService('post', { url: getUrl(newPostService) })
+
+  t.assert.strictEqual(replacedSchemas.length, 1)
+  t.assert.notStrictEqual(gateway.graphqlGateway.serviceMap.post, post)
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.post.mandatory, true)
+  t.assert.deepStrictEqual(Object.keys(gateway.graphqlGateway.serviceMap), ['user', 'post'])
+  t.assert.deepStrictEqual(await query(gateway, '{ me { numberOfPosts } }'), {
+    data: { me: { numberOfPosts: 3 } }
+  })
+})
+
+test('keeps the services when the new service cannot be initialized', async t => {
+  const userService = await createUserService(t)
+  const postService = await createPostService(t, 2)
+  const { gateway, replacedSchemas } = await createTestGatewayServer(t, [
+    { name: 'user', url: getUrl(userService) },
+    { name: 'post', url: getUrl(postService) }
+  ])
+  const { post } = gateway.graphqlGateway.serviceMap
+
+  await t.assert.rejects(async () => gateway.graphqlGateway.addService({ name: 'comment', url: 'http://localhost:1/graphql' }))
+  await t.assert.rejects(async () => gateway.graphqlGateway.updateService('post', { url: 'http://localhost:1/graphql' }))
+
+  t.assert.strictEqual(replacedSchemas.length, 0)
+  t.assert.deepStrictEqual(Object.keys(gateway.graphqlGateway.serviceMap), ['user', 'post'])
+  t.assert.strictEqual(gateway.graphqlGateway.serviceMap.post, post)
+  t.assert.deepStrictEqual(await query(gateway, '{ me { numberOfPosts } }'), {
+    data: { me: { numberOfPosts: 2 } }
+  })
+})
+
+test('keeps the services when the schema of the new service is refused', async t => {
+  const userService = await createUserService(t)
+  const commentService = await createTestService(t, `
+    extend type User @key(fields: "id") {
+      id: ID! @external
+      name: Int
+    }
+  `, {})
+  const { gateway } = await createTestGatewayServer(t, [
+    { name: 'user', url: getUrl(userService) }
+  ])
+  const { schema } = gateway.graphqlGateway
+
+  await t.assert.rejects(async () => gateway.graphqlGateway.addService({ name: 'comment', url: getUrl(commentService) }), {
+    code: 'MER_ERR_GQL_GATEWAY_INVALID_COMPOSITION'
+  })
+
+  t.assert.strictEqual(gateway.graphqlGateway.schema, schema)
+  t.assert.deepStrictEqual(Object.keys(gateway.graphqlGateway.serviceMap), ['user'])
+})
+
+test('refuses to add or update a service with invalid options', async t => {
+  const userService = await createUserService(t)
+  const { gateway, replacedSchemas } = await createTestGatewayServer(t, [
+    { name: 'user', url: getUrl(userService) }
+  ])
+  const urlMessage = 'Invalid options: gateway: all "services" must have an "url" String, or a non-empty Array of String or { url, weight } Object, property'
+
+  await t.assert.rejects(async () => gateway.graphqlGateway.addService({ name: 'post' }), {
+    code: 'MER_ERR_INVALID_OPTS',
+    message: urlMessage
+  })
+  await t.assert.rejects(async () => gateway.graphqlGateway.addService({ url: getUrl(userService) }), {
+    code: 'MER_ERR_INVALID_OPTS',
+    message: 'Invalid options: gateway: all "services" must have a "name" String property'
+  })
+  await t.assert.rejects(async () => gateway.graphqlGateway.updateService('user', { url: [{ url: getUrl(userService), weight: 0 }] }), {
+    code: 'MER_ERR_INVALID_OPTS',
+    message: urlMessage
+  })
+  await t.assert.rejects(async () => gateway.graphqlGateway.updateService('user', { url: [{ url: getUrl(userService), weight: -1 }] }), {
+    code: 'MER_ERR_INVALID_OPTS',
+    message: urlMessage
+  })
+
+  t.assert.strictEqual(replacedSchemas.length, 0)
+  t.assert.deepStrictEqual(Object.keys(gateway.graphqlGateway.serviceMap), ['user'])
+})
+
+test('refuses to add an existing service or to change an unknown service', async t => {
+  const userService = await createUserService(t)
+  const { gateway } = await createTestGatewayServer(t, [
+    { name: 'user', url: getUrl(userService) }
+  ])
+
+  await t.assert.rejects(async () => gateway.graphqlGateway.addService({ name: 'user', url: getUrl(userService) }), {
+    code: 'MER_ERR_INVALID_OPTS',
+    message: 'Invalid options: gateway: all "services" must have a unique "name": "user" is already used'
+  })
+  await t.assert.rejects(async () => gateway.graphqlGateway.removeService('post'), {
+    code: 'MER_ERR_GQL_GATEWAY_UNKNOWN_SERVICE',
+    message: 'Unknown service "post"'
+  })
+  await t.assert.rejects(async () => gateway.graphqlGateway.updateService('post', { url: getUrl(userService) }), {
+    code: 'MER_ERR_GQL_GATEWAY_UNKNOWN_SERVICE'
+  })
+})
+
+test('replaces the schema once at a time', async t => {
+  // the schema of the user service is fetched slowly once the gateway is started
+  let userSchemaDelay = 0
+  const userService = await createUserService(t, async request => {
+    if (request.body.query.includes('_service')) {
+      await sleep(userSchemaDelay)
+    }
+  })
+  let postSchemaFetchedAt = null
+  const postService = await createPostService(t, 2, async request => {
+    if (request.body.query.includes('_service')) {
+      postSchemaFetchedAt = Date.now()
+    }
+  })
+  const { gateway, replacedSchemas } = await createTestGatewayServer(t, [
+    { name: 'user', url: getUrl(userService) }
+  ])
+  userSchemaDelay = 200
+  userService.graphql.replaceSchema(buildFederationSchema(userSchema.replace('name: String!', 'name: String!\n    lastName: String')))
+
+  let refreshedAt = null
+  const [refreshed, added] = await Promise.all([
+    gateway.graphqlGateway.refresh().then(schema => {
+      refreshedAt = Date.now()
+      return schema
+    }),
+    gateway.graphqlGateway.addService({ name: 'post', url: getUrl(postService) })
+  ])
+
+  t.assert.ok(postSchemaFetchedAt >= refreshedAt)
+  t.assert.ok(refreshed.getType('User').getFields().lastName)
+  t.assert.ok(added.getType('User').getFields().lastName)
+  t.assert.ok(added.getType('User').getFields().numberOfPosts)
+  t.assert.deepStrictEqual(replacedSchemas, [added])
+  t.assert.strictEqual(await gateway.graphqlGateway.rollback(), refreshed)
+})
@@ -0,0 +1,271 @@
+'use strict'
+
+const { test } = require('node:test')
+const { mkdtemp, mkdir, writeFile, rm } = require('fs/promises')
+const { tmpdir } = require('os')
+const { join } = require('path')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+const { parseSupergraph } = require('../lib/gateway/supergraph')
+const { users, posts } = require('./utils/mocks')
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String!
+  }
+`
+
+const postSchema = `
+  type Post @key(fields: "pid") {
+    pid: ID!
+    title: String
+  }
+
+  extend type User @key(fields: "id") {
+    id: ID! @external
+    posts: [Post]
+  }
+`
+
+async function createTestService (t, schema, resolvers = {}) {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(schema),
+    resolvers
+  })
+  await service.listen({ port: 0 })
+  t.after(() => service.close())
+  return service.server.address().port
+}
+
+async function createTestServices (t) {
+  const userServicePort = await createTestService(t, userSchema, {
+    Query: {
+      me: () => users.u1
+    },
+    User: {
+      __resolveReference: user => users[user.id]
+    }
+  })
+  const postServicePort = await createTestService(t, postSchema, {
+    User: {
+      posts: user => Object.values(posts).filter(post => post.authorId === user.id)
+    }
+  })
+
+  return `
+    extend schema @service(name: "user", url: "http://localhost:${userServicePort}/graphql")
+    ${userSchema}
+
+    extend schema @service(name: "post", url: "http://localhost:${postServicePort}/graphql")
+    ${postSchema}
+  `
+}
+
+async function createTestGatewayServer (t, gatewayOpts) {
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+  await gateway.register(plugin, { gateway: gatewayOpts })
+  return gateway
+}
+
+const query = '{ me { name posts { title } } }'
+
+test('loads the services from a supergraph document', async t => {
+  const supergraph = await createTestServices(t)
+  const gateway = await createTestGatewayServer(t, { supergraph })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query }
+  })
+
+  t.assert.deepStrictEqual(res.json(), {
+    data: {
+      me: {
+        name: 'John',
+        posts: [{ title: 'Post 1' }, { title: 'Post 3' }, { title: 'Post 4' }]
+      }
+    }
+  })
+})
+
+test('loads the services from a supergraph file', async t => {
+  const supergraph = await createTestServices(t)
+  const dir = await mkdtemp(join(tmpdir(), 'mercurius-gateway-'))
+  t.after(() => rm(dir, { recursive: true }))
+  const path = join(dir, 'supergraph.graphql')
+  await writeFile(path, supergraph)
+
+  const gateway = await createTestGatewayServer(t, { supergraph: path })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query }
+  })
+
+  t.assert.deepStrictEqual(res.json(), {
+    data: {
+      me: {
+        name: 'John',
+        posts: [{ title: 'Post 1' }, { title: 'Post 3' }, { title: 'Post 4' }]
+      }
+    }
+  })
+})
+
+test('loads the services from a supergraph file whose path contains "@service"', async t => {
+  const supergraph = await createTestServices(t)
+  const dir = await mkdtemp(join(tmpdir(), 'mercurius-gateway-'))
+  t.after(() => rm(dir, { recursive: true }))
+  await mkdir(join(dir, '@services'))
+  const path = join(dir, '@services', 'supergraph.graphql')
+  await writeFile(path, supergraph)
+
+  const gateway = await createTestGatewayServer(t, { supergraph: path })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ me { name } }' }
+  })
+
+  t.assert.deepStrictEqual(res.json(), { data: { me: { name: 'John' } } })
+})
+
+test('starts without fetching the schemas of the services', async t => {
+  const userServicePort = await createTestService(t, userSchema, {
+    Query: {
+      me: () => users.u1
+    }
+  })
+
+  const gateway = await createTestGatewayServer(t, {
+    supergraph: `
+      extend schema @service(name: "user", url: "http://localhost:${userServicePort}/graphql")
+      ${userSchema}
+
+      extend schema @service(name: "post", url: "http://localhost:1/graphql")
+      ${postSchema}
+    `,
+    services: [{ name: 'post', mandatory: true }]
+  })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ me { name } }' }
+  })
+
+  t.assert.deepStrictEqual(res.json(), { data: { me: { name: 'John' } } })
+  t.assert.ok(gateway.graphqlGateway.schema.getType('Post'))
+})
+
+test('refuses a service not defined in the supergraph', async t => {
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+
+  await t.assert.rejects(async () => gateway.register(plugin, {
+    gateway: {
+      supergraph: `
+        extend schema @service(name: "user", url: "http://localhost:1/graphql")
+        ${userSchema}
+      `,
+      services: [{ name: 'post' }]
+    }
+  }), {
+    code: 'MER_ERR_GQL_GATEWAY_INVALID_SUPERGRAPH',
+    message: 'Invalid supergraph: the service "post" is not defined in the supergraph'
+  })
+})
+
+test('refuses a malformed supergraph document', async t => {
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+
+  await t.assert.rejects(async () => gateway.register(plugin, {
+    gateway: {
+      supergraph: `
+        extend schema @service(name: "user", url: "http://localhost:1/graphql")
+        ${userSchema.replace('}', '')}
+      `
+    }
+  }), {
+    code: 'MER_ERR_GQL_GATEWAY_INVALID_SUPERGRAPH',
+    message: /^Invalid supergraph: Syntax Error/
+  })
+})
+
+test('refuses a services function with a supergraph', async t => {
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+
+  await t.assert.rejects(async () => gateway.register(plugin, {
+    gateway: {
+      supergraph: 'supergraph.graphql',
+      services: async () => []
+    }
+  }), {
+    code: 'MER_ERR_INVALID_OPTS',
+    message: 'Invalid options: gateway: "services" must be an Array when "supergraph" is set'
+  })
+})
+
+test('parses the services of a supergraph document', t => {
+  const services = parseSupergraph(`
+    extend schema @service(name: "user", url: ["http://a/graphql", "http://b/graphql"])
+    type Query { me: String }
+    extend schema @service(name: "post", url: "http://c/graphql")
+    extend type Query { posts: [String] }
+  `)
+
+  t.assert.deepStrictEqual(services, [
+    { name: 'user', url: ['http://a/graphql', 'http://b/graphql'], schema: 'type Query { me: String }' },
+    { name: 'post', url: 'http://c/graphql', schema: 'extend type Query { posts: [String] }' }
+  ])
+})
+
+test('refuses an invalid supergraph document', t => {
+  const cases = [
+    ['extend schema @service(name: "user", url: "http://a/graphql") type Query {', /^Invalid supergraph: Syntax Error/],
+    ['type Query { me: String } extend schema @service(name: "user", url: "http://a/graphql")', 'Invalid supergraph: the document must start with an "extend schema @service" directive'],
+    ['extend schema @service(url: "http://a/graphql") type Query { me: String }', 'Invalid supergraph: all the services must have a "name" String argument'],
+    ['extend schema @service(name: "user") type Query { me: String }', 'Invalid supergraph: the service "user" must have an "url" String, or a non-empty list of String, argument'],
+    ['extend schema @service(name: "user", url: "http://a/graphql")', 'Invalid supergraph: the service "user" has no schema definition'],
+    [
+      'extend schema @service(name: "user", url: "http://a/graphql") type Query { me: String } extend schema @service(name: "user", url: "http://b/graphql") type User { id: ID }',
+      'Invalid supergraph: the service "user" is defined more than once'
+    ]
+  ]
+
+  for (const [supergraph, message] of cases) {
+    t.assert.throws(() => parseSupergraph(supergraph), {
+      code: 'MER_ERR_GQL_GATEWAY_INVALID_SUPERGRAPH',
+      message
+    })
+  }
+})
+
+test('refuses to add or remove the services of a supergraph at runtime', async t => {
+  const supergraph = await createTestServices(t)
+  const gateway = await createTestGatewayServer(t, { supergraph })
+
+  await t.assert.rejects(async () => gateway.graphqlGateway.addService({ name: 'comment', url: 'http://localhost:1/graphql' }), {
+    code: 'MER_ERR_GQL_GATEWAY_MANAGED_SERVICES',
+    message: 'The services are defined by the supergraph, they cannot be added at runtime'
+  })
+  await t.assert.rejects(async () => gateway.graphqlGateway.removeService('post'), {
+    code: 'MER_ERR_GQL_GATEWAY_MANAGED_SERVICES',
+    message: 'The services are defined by the supergraph, they cannot be removed at runtime'
+  })
+  t.assert.deepStrictEqual(Object.keys(gateway.graphqlGateway.serviceMap), ['user', 'post'])
+})
@@ -2,7 +2,7 @@ import { expectAssignable, expectError } from 'tsd'
 import Fastify, { FastifyInstance } from 'fastify'
 import { MercuriusContext } from 'mercurius'
 
-import mercuriusGatewayPlugin, { MercuriusServiceMetadata } from '../../index'
+import mercuriusGatewayPlugin, { MercuriusServiceMetadata, QueryPlan, QueryPlanExplanation, SchemaChange, Upstream, UpstreamHealth } from '../../index'
 import { DocumentNode, GraphQLSchema } from 'graphql'
 import { Agent } from 'undici'
 
@@ -29,6 +29,7 @@ app.register(mercuriusGatewayPlugin, {
         },
         keepAliveMaxTimeout: 10000,
         mandatory: true,
+        revision: 1,
         allowBatchedQueries: true,
         rejectUnauthorized: true,
         rewriteHeaders: (headers, context) => {
@@ -365,3 +366,332 @@ app.graphqlGateway.addHook('onGatewayReplaceSchema', function (instance, schema)
   expectAssignable<FastifyInstance>(instance)
   expectAssignable<GraphQLSchema>(schema)
 })
+
+app.graphqlGateway.addHook('onGatewayReplaceSchema', function (instance, schema, schemaChanges) {
+  expectAssignable<SchemaChange[]>(schemaChanges)
+})
+
+expectAssignable<SchemaChange[]>(app.graphqlGateway.schemaChanges)
+
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    queryPlanner: true
+  }
+})
+
+expectError(() => app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    queryPlanner: 'true'
+  }
+}))
+
+expectAssignable<QueryPlan>(app.graphqlGateway.getQueryPlan('{ me { id } }'))
+expectAssignable<QueryPlan>(app.graphqlGateway.getQueryPlan('query Me { me { id } }', 'Me'))
+
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    explain: true
+  }
+})
+
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    explain: { path: '/explain' }
+  }
+})
+
+expectAssignable<QueryPlanExplanation>(app.graphqlGateway.explain('{ me { id } }'))
+expectAssignable<QueryPlanExplanation>(app.graphqlGateway.explain('query Me($id: ID!) { user(id: $id) { id } }', {
+  variables: { id: '1' },
+  operationName: 'Me'
+}))
+expectAssignable<string[] | undefined>(app.graphqlGateway.explain('{ me { id } }').operations[0].merged)
+
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    supergraph: './supergraph.graphql'
+  }
+})
+
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    supergraph: './supergraph.graphql',
+    services: [
+      {
+        name: 'user',
+        mandatory: true
+      }
+    ]
+  }
+})
+
+expectError(() => app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user'
+      }
+    ]
+  }
+}))
+
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql',
+        schemaFile: './user.graphql'
+      }
+    ],
+    watch: { debounce: 200 }
+  }
+})
+
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql',
+        schemaHashQuery: '{ schemaVersion }',
+        pollingInterval: 1000
+      }
+    ]
+  }
+})
+
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql',
+        circuitBreaker: { failureThreshold: 3, openDuration: 10000, halfOpenProbes: 2 }
+      },
+      {
+        name: 'post',
+        url: 'http://localhost:4002/graphql',
+        circuitBreaker: true
+      }
+    ]
+  }
+})
+
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql',
+        retry: {
+          attempts: 5,
+          backoff: 50,
+          maxBackoff: 1000,
+          jitter: 0.5,
+          statusCodes: [503],
+          errorCodes: ['ECONNRESET']
+        },
+        collectors: {
+          collectRetries: true
+        }
+      },
+      {
+        name: 'post',
+        url: 'http://localhost:4002/graphql',
+        retry: true
+      }
+    ]
+  }
+})
+
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: ['http://localhost:4001/graphql', 'http://localhost:4002/graphql'],
+        healthCheck: {
+          interval: 5000,
+          timeout: 1000,
+          path: '/health',
+          unhealthyThreshold: 3,
+          healthyThreshold: 2,
+          maxFailures: 10
+        }
+      },
+      {
+        name: 'post',
+        url: ['http://localhost:4003/graphql', 'http://localhost:4004/graphql'],
+        healthCheck: true
+      }
+    ]
+  }
+})
+
+expectAssignable<Record<string, Record<string, UpstreamHealth>>>(app.graphqlGateway.getServiceHealth())
+
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: [
+          { url: 'http://localhost:4001/graphql', weight: 3 },
+          'http://localhost:4002/graphql'
+        ]
+      },
+      {
+        name: 'post',
+        url: ['http://localhost:4003/graphql', 'http://localhost:4004/graphql'],
+        loadBalancer: 'least-outstanding'
+      },
+      {
+        name: 'comment',
+        url: ['http://localhost:4005/graphql', 'http://localhost:4006/graphql'],
+        loadBalancer: {
+          hash: (headers) => headers['x-tenant'] as string | undefined
+        }
+      },
+      {
+        name: 'tag',
+        url: ['http://localhost:4007/graphql', 'http://localhost:4008/graphql'],
+        loadBalancer: (upstreams: Upstream[]) => upstreams.find(upstream => upstream.outstanding === 0)
+      }
+    ]
+  }
+})
+
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: ['http://localhost:4001/graphql', 'http://localhost:4002/graphql'],
+        hedging: { percentile: 99, minDelay: 20, window: 500 }
+      },
+      {
+        name: 'post',
+        url: ['http://localhost:4003/graphql', 'http://localhost:4004/graphql'],
+        hedging: true
+      }
+    ]
+  }
+})
+
+expectError(app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: ['http://localhost:4001/graphql', 'http://localhost:4002/graphql'],
+        loadBalancer: 'random'
+      }
+    ]
+  }
+}))
+
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    supergraph: './supergraph.graphql',
+    watch: true
+  }
+})
+
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql',
+        mandatory: true
+      }
+    ],
+    snapshotDir: './schema-snapshot'
+  }
+})
+
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    refreshRoute: {
+      path: '/admin/refresh',
+      auth: async (request) => request.headers.authorization === 'Bearer secret'
+    }
+  }
+})
+
+expectError(() => app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    refreshRoute: {
+      path: '/admin/refresh'
+    }
+  }
+}))
+
+expectAssignable<Promise<GraphQLSchema | null>>(app.graphqlGateway.refresh(false, ['user']))
+expectAssignable<Promise<GraphQLSchema>>(app.graphqlGateway.rollback())
+expectAssignable<Promise<GraphQLSchema>>(app.graphqlGateway.addService({ name: 'post', url: 'http://localhost:4002/graphql' }))
+expectAssignable<Promise<GraphQLSchema>>(app.graphqlGateway.removeService('post'))
+expectAssignable<Promise<GraphQLSchema>>(app.graphqlGateway.updateService('post', { url: ['http://localhost:4002/graphql', 'http://localhost:4003/graphql'] }))
+expectError(app.graphqlGateway.updateService('post', { name: 'comment' }))
+
+app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    breakingChangePolicy: 'reject-used',
+    fieldUsageWindow: 24 * 60 * 60 * 1000
+  }
+})
+
+expectError(() => app.register(mercuriusGatewayPlugin, {
+  gateway: {
+    services: [
+      {
+        name: 'user',
+        url: 'http://localhost:4001/graphql'
+      }
+    ],
+    breakingChangePolicy: 'never'
+  }
+}))
@@ -0,0 +1,217 @@
+'use strict'
+
+const { test } = require('node:test')
+const fs = require('fs')
+const { mkdtemp, writeFile, rm } = require('fs/promises')
+const { tmpdir } = require('os')
+const { join } = require('path')
+const { setTimeout: sleep } = require('timers/promises')
+const Fastify = require('fastify')
+const GQL = require('mercurius')
+const { buildFederationSchema } = require('@mercuriusjs/federation')
+const plugin = require('../index')
+
+const user = {
+  id: 'u1',
+  name: 'John',
+  lastName: 'Doe'
+}
+
+const userSchema = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String!
+  }
+`
+
+const userSchemaWithLastName = `
+  extend type Query {
+    me: User
+  }
+
+  type User @key(fields: "id") {
+    id: ID!
+    name: String!
+    lastName: String
+  }
+`
+
+async function createTestService (t) {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: buildFederationSchema(userSchemaWithLastName),
+    resolvers: {
+      Query: {
+        me: () => user
+      }
+    }
+  })
+  await service.listen({ port: 0 })
+  t.after(() => service.close())
+  return service.server.address().port
+}
+
+async function createTempDir (t) {
+  const dir = await mkdtemp(join(tmpdir(), 'mercurius-gateway-'))
+  t.after(() => rm(dir, { recursive: true }))
+  return dir
+}
+
+async function createTestGatewayServer (t, gatewayOpts) {
+  const gateway = Fastify()
+  t.after(() => gateway.close())
+  await gateway.register(plugin, { gateway: gatewayOpts })
+
+  const replacedSchemas = []
+  gateway.graphqlGateway.addHook('onGatewayReplaceSchema', async (instance, schema) => {
+    replacedSchemas.push(schema)
+  })
+
+  return { gateway, replacedSchemas }
+}
+
+async function waitFor (fn) {
+  for (let i = 0; i < 100 && !fn(); i++) {
+    await sleep(20)
+  }
+}
+
+function queryMe (gateway) {
+  return gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ me { name lastName } }' }
+  })
+}
+
+test('replaces the schema when the schema file of a service changes', async t => {
+  const port = await createTestService(t)
+  const dir = await createTempDir(t)
+  const schemaFile = join(dir, 'user.graphql')
+  await writeFile(schemaFile, userSchema)
+
+  const { gateway, replacedSchemas } = await createTestGatewayServer(t, {
+    services: [{ name: 'user', url: `http://localhost:${port}/graphql`, schemaFile }],
+    watch: { debounce: 20 }
+  })
+
+  t.assert.strictEqual((await queryMe(gateway)).json().errors[0].message, 'Cannot query field "lastName" on type "User". Did you mean "name"?')
+
+  await writeFile(schemaFile, userSchemaWithLastName)
+  await waitFor(() => replacedSchemas.length > 0)
+
+  t.assert.strictEqual(replacedSchemas.length, 1)
+  t.assert.deepStrictEqual((await queryMe(gateway)).json(), {
+    data: { me: { name: 'John', lastName: 'Doe' } }
+  })
+})
+
+test('replaces the schema once for the changes within the debounce delay', async t => {
+  const port = await createTestService(t)
+  const dir = await createTempDir(t)
+  const schemaFile = join(dir, 'user.graphql')
+  await writeFile(schemaFile, userSchema)
+
+  const { gateway, replacedSchemas } = await createTestGatewayServer(t, {
+    services: [{ name: 'user', url: `http://localhost:${port}/graphql`, schemaFile }],
+    watch: { debounce: 200 }
+  })
+
+  await writeFile(schemaFile, userSchemaWithLastName.replace('lastName: String', ''))
+  await sleep(20)
+  await writeFile(schemaFile, userSchemaWithLastName)
+  await waitFor(() => replacedSchemas.length > 0)
+  await sleep(300)
+
+  t.assert.strictEqual(replacedSchemas.length, 1)
+  t.assert.deepStrictEqual((await queryMe(gateway)).json(), {
+    data: { me: { name: 'John', lastName: 'Doe' } }
+  })
+})
+
+test('keeps the schema when the changed file is invalid', async t => {
+  const port = await createTestService(t)
+  const dir = await createTempDir(t)
+  const schemaFile = join(dir, 'user.graphql')
+  await writeFile(schemaFile, userSchemaWithLastName)
+
+  const { gateway, replacedSchemas } = await createTestGatewayServer(t, {
+    services: [{ name: 'user', url: `http://localhost:${port}/graphql`, schemaFile, mandatory: true }],
+    watch: { debounce: 20 }
+  })
+
+  const errors = []
+  gateway.log.error = error => errors.push(error)
+
+  await writeFile(schemaFile, 'type User {')
+  await waitFor(() => errors.length > 0)
+
+  t.assert.strictEqual(replacedSchemas.length, 0)
+  t.assert.strictEqual(errors[0].code, 'MER_ERR_GQL_GATEWAY_REFRESH')
+  t.assert.match(errors[0].errors[0].message, /Syntax Error/)
+  t.assert.deepStrictEqual((await queryMe(gateway)).json(), {
+    data: { me: { name: 'John', lastName: 'Doe' } }
+  })
+})
+
+test('replaces the schema when the supergraph file changes', async t => {
+  const port = await createTestService(t)
+  const dir = await createTempDir(t)
+  const supergraph = join(dir, 'supergraph.graphql')
+  const service = `extend schema @service(name: "user", url: "http://localhost:${port}/graphql")`
+  await writeFile(supergraph, `${service}\n${userSchema}`)
+
+  const { gateway, replacedSchemas } = await createTestGatewayServer(t, {
+    supergraph,
+    watch: { debounce: 20 }
+  })
+
+  const errors = []
+  gateway.log.error = error => errors.push(error)
+
+  await writeFile(supergraph, `${service}\n${userSchema}\nextend schema @service(name: "post", url: "http://localhost:${port}/graphql")\ntype Post { id: ID }`)
+  await waitFor(() => errors.length > 0)
+
+  t.assert.strictEqual(errors[0].code, 'MER_ERR_GQL_GATEWAY_INVALID_SUPERGRAPH')
+  t.assert.strictEqual(replacedSchemas.length, 0)
+
+  await writeFile(supergraph, `${service}\n${userSchemaWithLastName}`)
+  await waitFor(() => replacedSchemas.length > 0)
+
+  t.assert.strictEqual(replacedSchemas.length, 1)
+  t.assert.deepStrictEqual((await queryMe(gateway)).json(), {
+    data: { me: { name: 'John', lastName: 'Doe' } }
+  })
+})
+
+test('logs the errors of the watcher', async t => {
+  const port = await createTestService(t)
+  const dir = await createTempDir(t)
+  const schemaFile = join(dir, 'user.graphql')
+  await writeFile(schemaFile, userSchema)
+
+  const watchers = []
+  const watch = fs.watch
+  t.mock.method(fs, 'watch', (...args) => {
+    const watcher = watch(...args)
+    watchers.push(watcher)
+    return watcher
+  })
+
+  const { gateway } = await createTestGatewayServer(t, {
+    services: [{ name: 'user', url: `http://localhost:${port}/graphql`, schemaFile }],
+    watch: { debounce: 20 }
+  })
+  const errors = []
+  gateway.log.error = error => errors.push(error)
+
+  const error = new Error('The watched directory was removed')
+  watchers[0].emit('error', error)
+
+  t.assert.strictEqual(watchers.length, 1)
+  t.assert.deepStrictEqual(errors, [error])
+})